@@ -9,23 +9,95 @@
 const DEFAULT_CONFIG = {
     src: '',
     poster: '',
+    tracks: [],
+    captionStyle: {},
+    chapters: [],
+    thumbnails: {
+        src: '',
+        capture: true,
+        interval: 10,
+        width: 160,
+        cacheSize: 200
+    },
+    playlist: {
+        items: [],
+        repeat: 'off',
+        shuffle: false,
+        autoAdvance: true,
+        panel: false
+    },
+    resume: {
+        enabled: true,
+        videoId: null,
+        storage: 'localStorage',
+        autoResume: false,
+        minPosition: 10,
+        finishedThreshold: 0.95,
+        expiryDays: 30
+    },
+    analytics: {
+        enabled: true,
+        endpoint: '',
+        transport: 'beacon',
+        heartbeatInterval: 30,
+        metadata: {}
+    },
+    ads: {
+        tag: '',
+        vmap: '',
+        breaks: [],
+        maxWrapperDepth: 5,
+        timeout: 8000
+    },
+    endScreen: {
+        enabled: true,
+        autoplay: true,
+        countdown: 10,
+        related: [],
+        renderItem: null
+    },
     autoplay: false,
     loop: false,
     muted: false,
     preload: 'metadata',
+    crossOrigin: null,
     controls: true,
     responsive: true,
     fluid: true,
     playbackRates: [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2],
     plugins: {},
+    keymap: {},
     language: 'en',
     languages: {},
-    techOrder: ['html5'],
+    techOrder: ['html5', 'hls', 'dash'],
     width: '100%',
     height: 'auto',
     premiumFeatures: true,
     bufferSegments: 50,
     bufferHealthCheckInterval: 1000,
+    hls: {
+        maxBufferLength: 30,
+        backBufferLength: 30,
+        liveSyncDurationCount: 3,
+        maxRetries: 3,
+        retryDelay: 1000
+    },
+    abr: {
+        defaultBandwidth: 500000,
+        fastHalfLife: 3,
+        slowHalfLife: 9,
+        upFactor: 0.7,
+        downFactor: 0.9,
+        minSwitchInterval: 8000,
+        minSampleBytes: 16000
+    },
+    dash: {
+        maxBufferLength: 30,
+        backBufferLength: 30,
+        liveSyncDurationCount: 3,
+        maxRetries: 3,
+        retryDelay: 1000
+    },
     theme: 'dark',
     accessibility: {
         enabled: true,
@@ -35,6 +107,21 @@ const DEFAULT_CONFIG = {
         reducedMotion: false,
         screenReader: true
     },
+    audioDescription: {
+        src: '',
+        speech: true,
+        extended: false,
+        voice: '',
+        rate: 1,
+        maxDrift: 0.3
+    },
+    signLanguage: {
+        src: '',
+        width: 0.25,
+        position: 'bottom-right',
+        fullscreenLayout: 'side-by-side',
+        maxDrift: 0.1
+    },
     piP: {
         enabled: true,
         controls: true,
@@ -44,7 +131,18 @@ const DEFAULT_CONFIG = {
     gestures: {
         enabled: true,
         swipeThreshold: 50,
-        doubleTapDelay: 300
+        doubleTapDelay: 300,
+        longPressDelay: 500,
+        longPressRate: 2,
+        seekStep: 10,
+        map: {}
+    },
+    zoom: {
+        enabled: true,
+        min: 1,
+        max: 4,
+        step: 0.5,
+        wheelModifier: 'ctrl'
     }
 };
 
@@ -70,744 +168,8558 @@ const EVENTS = {
     NETWORKCHANGE: 'networkchange',
     THEMECHANGE: 'themechange',
     GESTURE: 'gesture',
-    RESUME: 'resume'
+    ZOOMCHANGE: 'zoomchange',
+    LANGUAGECHANGE: 'languagechange',
+    AUDIODESCRIPTIONCHANGE: 'audiodescriptionchange',
+    SIGNLANGUAGECHANGE: 'signlanguagechange',
+    RESUME: 'resume',
+    QUALITYCHANGE: 'qualitychange',
+    SOURCEFALLBACK: 'sourcefallback',
+    TEXTTRACKCHANGE: 'texttrackchange',
+    CHAPTERCHANGE: 'chapterchange',
+    PLAYLISTITEM: 'playlistitem',
+    PLAYLISTEND: 'playlistend',
+    AUTOPLAYNEXT: 'autoplaynext',
+    AUTOPLAYCANCEL: 'autoplaycancel',
+    ADSTART: 'adstart',
+    ADEND: 'adend',
+    ADSKIP: 'adskip',
+    ADCLICK: 'adclick',
+    ADERROR: 'aderror'
 };
 
-/**
- * LionPlayer Class with Premium Features
- */
-class LionPlayer {
-    constructor(element, options = {}) {
-        // Handle element parameter
-        if (typeof element === 'string') {
-            this.el = document.querySelector(element);
-            if (!this.el) {
-                throw new Error(`LionPlayer: Element with selector "${element}" not found`);
-            }
-        } else if (element instanceof HTMLElement) {
-            this.el = element;
-        } else {
-            throw new Error('LionPlayer: Invalid element parameter');
-        }
+// Actions keyboard shortcuts can run, with the language key of the label shown in the shortcuts overlay
+const KEY_ACTIONS = {
+    togglePlay: { label: 'shortcutTogglePlay', run: player => player.togglePlay() },
+    seekBackward: { label: 'shortcutSeekBackward', run: player => player.skip(-5) },
+    seekForward: { label: 'shortcutSeekForward', run: player => player.skip(5) },
+    volumeUp: { label: 'shortcutVolumeUp', run: player => player.adjustVolume(0.1) },
+    volumeDown: { label: 'shortcutVolumeDown', run: player => player.adjustVolume(-0.1) },
+    toggleFullscreen: { label: 'fullscreen', run: player => player.toggleFullscreen() },
+    toggleMute: { label: 'mute', run: player => player.toggleMute() },
+    resume: { label: 'shortcutResume', run: player => player.resumePlayback() },
+    toggleCaptions: { label: 'shortcutCaptions', run: player => player.toggleCaptions() },
+    nextChapter: { label: 'shortcutNextChapter', run: player => player.nextChapter() },
+    previousChapter: { label: 'shortcutPreviousChapter', run: player => player.previousChapter() },
+    seekToPercent: { label: 'shortcutSeekToPercent', run: (player, e) => player.seekToPercent(parseInt(e.key, 10) * 10) },
+    zoomIn: { label: 'shortcutZoomIn', run: player => player.zoomBy(1) },
+    zoomOut: { label: 'shortcutZoomOut', run: player => player.zoomBy(-1) },
+    resetZoom: { label: 'shortcutResetZoom', run: player => player.resetZoom() },
+    showShortcuts: { label: 'keyboardShortcuts', run: player => player.toggleShortcutsOverlay() }
+};
 
-        // Merge options with defaults
-        this.config = Object.assign({}, DEFAULT_CONFIG, options);
-        
-        // Initialize state
-        this.state = {
-            isReady: false,
-            isPlaying: false,
-            isPaused: true,
-            isEnded: false,
-            isSeeking: false,
-            isFullscreen: false,
-            currentTime: 0,
-            duration: 0,
-            volume: this.config.muted ? 0 : 1,
-            buffered: 0,
-            playbackRate: 1,
-            networkState: 0,
-            readyState: 0,
-            quality: 'auto',
-            speed: 1,
-            controlsVisible: true,
-            isUserActive: true,
-            userActivityTimeout: null,
-            isBuffering: false,
-            bufferHealth: 'good',
-            networkStatus: 'idle',
-            bufferSegments: [],
-            lastBufferTime: 0,
-            bufferCheckInterval: null,
-            theme: this.config.theme,
-            currentLanguage: this.config.language,
-            resumePosition: 0,
-            gestures: {
-                lastTap: 0,
-                touchStartX: 0,
-                touchStartY: 0,
-                touchStartTime: 0,
-                pinchDistance: 0
-            }
-        };
+// Default key bindings; config.keymap entries override them, null removes one
+const DEFAULT_KEYMAP = {
+    'Space': 'togglePlay',
+    'ArrowLeft': 'seekBackward',
+    'ArrowRight': 'seekForward',
+    'ArrowUp': 'volumeUp',
+    'ArrowDown': 'volumeDown',
+    'f': 'toggleFullscreen',
+    'm': 'toggleMute',
+    'r': 'resume',
+    'c': 'toggleCaptions',
+    'n': 'nextChapter',
+    'p': 'previousChapter',
+    '0': 'seekToPercent',
+    '1': 'seekToPercent',
+    '2': 'seekToPercent',
+    '3': 'seekToPercent',
+    '4': 'seekToPercent',
+    '5': 'seekToPercent',
+    '6': 'seekToPercent',
+    '7': 'seekToPercent',
+    '8': 'seekToPercent',
+    '9': 'seekToPercent',
+    '+': 'zoomIn',
+    '=': 'zoomIn',
+    '-': 'zoomOut',
+    '?': 'showShortcuts'
+};
 
-        // Event listeners storage
-        this.eventListeners = {};
-        
-        // Performance monitoring
-        this.performance = {
-            frames: 0,
-            lastFrameTime: performance.now(),
-            fps: 0,
-            bufferEvents: 0,
-            seekEvents: 0
-        };
-        
-        // Initialize player
-        this.init();
+// Actions gestures can run; each gets the player and the gesture and returns the value reported with it
+const GESTURE_ACTIONS = {
+    togglePlay: player => {
+        const playing = !player.state.isPlaying;
+        player.togglePlay();
+        return playing;
+    },
+    toggleMute: player => {
+        player.toggleMute();
+        return !!player.tech && player.tech.muted();
+    },
+    toggleFullscreen: player => {
+        const fullscreen = !player.state.isFullscreen;
+        player.toggleFullscreen();
+        return fullscreen;
+    },
+    seekBackward: (player, gesture) => player.seekByGesture(gesture, -1),
+    seekForward: (player, gesture) => player.seekByGesture(gesture, 1),
+    volume: (player, gesture) => player.setVolumeByGesture(gesture),
+    fastForward: (player, gesture) => player.holdPlaybackRate(gesture.phase === 'start')
+};
+
+// Default gesture bindings; config.gestures.map entries override them, null turns one off
+const DEFAULT_GESTURE_MAP = {
+    doubleTapLeft: 'seekBackward',
+    doubleTapCenter: 'togglePlay',
+    doubleTapRight: 'seekForward',
+    swipeLeft: 'seekBackward',
+    swipeRight: 'seekForward',
+    swipeVerticalLeft: null,
+    swipeVerticalRight: 'volume',
+    longPress: 'fastForward',
+    twoFingerTap: 'toggleMute'
+};
+
+// Modifier names accepted in key combos, in the order combos are written
+const KEY_MODIFIERS = { ctrl: 'Ctrl', control: 'Ctrl', alt: 'Alt', option: 'Alt', shift: 'Shift', meta: 'Meta', cmd: 'Meta', command: 'Meta' };
+
+// The player keyboard shortcuts go to: the focused or last-interacted one
+let activePlayer = null;
+
+// Registered plugin factories
+const PLUGINS = {};
+
+// Registered playback techs
+const TECHS = {};
+
+// Source types by file extension
+const SOURCE_TYPES = {
+    mp4: 'video/mp4',
+    m4v: 'video/mp4',
+    mov: 'video/quicktime',
+    webm: 'video/webm',
+    ogv: 'video/ogg',
+    ogg: 'video/ogg',
+    m3u8: 'application/x-mpegURL',
+    mpd: 'application/dash+xml',
+    mp3: 'audio/mpeg',
+    m4a: 'audio/mp4',
+    aac: 'audio/aac',
+    wav: 'audio/wav'
+};
+
+// Registered themes, as values of the --lion-* custom properties
+const THEMES = {
+    dark: {
+        primary: '#ff0050',
+        secondary: '#00d4ff',
+        background: 'linear-gradient(135deg, #0a0a0a 0%, #1a1a2e 100%)',
+        surface: 'rgba(255, 255, 255, 0.05)',
+        surfaceHover: 'rgba(255, 255, 255, 0.1)',
+        text: '#ffffff',
+        textSecondary: 'rgba(255, 255, 255, 0.7)',
+        controls: 'rgba(10, 10, 10, 0.95)',
+        shadow: '0 8px 32px rgba(0, 0, 0, 0.4)'
+    },
+    light: {
+        primary: '#ff0050',
+        secondary: '#00d4ff',
+        background: 'linear-gradient(135deg, #f5f5f5 0%, #e0e0e0 100%)',
+        surface: 'rgba(0, 0, 0, 0.05)',
+        surfaceHover: 'rgba(0, 0, 0, 0.1)',
+        text: '#000000',
+        textSecondary: 'rgba(0, 0, 0, 0.7)',
+        controls: 'rgba(255, 255, 255, 0.95)',
+        shadow: '0 8px 32px rgba(0, 0, 0, 0.1)'
+    },
+    cinema: {
+        primary: '#ff0050',
+        secondary: '#00d4ff',
+        background: '#000000',
+        surface: 'rgba(255, 255, 255, 0.03)',
+        surfaceHover: 'rgba(255, 255, 255, 0.08)',
+        text: '#ffffff',
+        textSecondary: 'rgba(255, 255, 255, 0.6)',
+        controls: 'rgba(0, 0, 0, 0.8)',
+        shadow: '0 8px 32px rgba(0, 0, 0, 0.6)'
+    },
+    'high-contrast': {
+        primary: '#ff0050',
+        secondary: '#00d4ff',
+        background: '#000000',
+        surface: 'rgba(255, 255, 255, 0.1)',
+        surfaceHover: 'rgba(255, 255, 255, 0.2)',
+        text: '#ffffff',
+        textSecondary: '#ffffff',
+        controls: 'rgba(0, 0, 0, 0.9)',
+        shadow: '0 8px 32px rgba(255, 255, 255, 0.2)'
     }
+};
 
-    /**
-     * Initialize the player with premium features
-     */
-    init() {
-        // Create player structure
-        this.createPlayerStructure();
-        
-        // Create video element
-        this.createVideoElement();
-        
-        // Create controls
-        if (this.config.controls) {
-            this.createControls();
-        }
-        
-        // Setup event listeners
-        this.setupEventListeners();
-        
-        // Setup premium features
-        if (this.config.premiumFeatures) {
-            this.setupPremiumFeatures();
-        }
-        
-        // Setup buffer monitoring
-        this.setupBufferMonitoring();
-        
-        // Setup theme system
-        this.setupThemeSystem();
-        
-        // Setup accessibility features
-        this.setupAccessibilityFeatures();
-        
-        // Setup multi-language support
-        this.setupMultiLanguageSupport();
-        
-        // Setup PiP enhancements
-        this.setupPiPEnhancements();
-        
-        // Setup gesture controls
-        this.setupGestureControls();
-        
-        // Setup smart resume
-        this.setupSmartResume();
-        
-        // Load video source
-        if (this.config.src) {
-            this.loadSource(this.config.src);
-        }
-        
-        // Set dimensions
-        this.setDimensions();
-        
-        // Start performance monitoring
-        this.startPerformanceMonitoring();
-        
-        // Mark as ready
-        this.state.isReady = true;
-        this.trigger(EVENTS.CANPLAY);
+// Tokens every theme sets, and optional ones left to the stylesheet when a theme omits them
+const THEME_TOKENS = ['primary', 'secondary', 'background', 'surface', 'surfaceHover', 'text', 'textSecondary', 'controls', 'shadow'];
+const OPTIONAL_THEME_TOKENS = ['primaryGlow', 'bufferColor', 'bufferLoading'];
+
+// Built-in language packs. Values may be {one, other, ...} objects picked by the
+// plural rules of the language, and {name} placeholders are filled from params.
+// Keys missing from a pack fall back to the base language, then to English.
+const LANGUAGES = {
+    en: {
+        videoPlayer: 'Video player',
+        play: 'Play',
+        pause: 'Pause',
+        mute: 'Mute',
+        unmute: 'Unmute',
+        fullscreen: 'Fullscreen',
+        exitFullscreen: 'Exit Fullscreen',
+        settings: 'Settings',
+        pip: 'Picture in Picture',
+        miniPlayer: 'Mini Player',
+        close: 'Close',
+        cancel: 'Cancel',
+        reset: 'Reset',
+        back: 'Back',
+        theme: 'Theme',
+        themeAuto: 'Automatic',
+        themeDark: 'Dark',
+        themeLight: 'Light',
+        themeCinema: 'Cinema',
+        themeHighContrast: 'High contrast',
+        language: 'Language',
+        accessibility: 'Accessibility',
+        highContrast: 'High contrast',
+        reducedMotion: 'Reduced motion',
+        audioDescriptions: 'Audio description',
+        audioDescriptionsOn: 'Audio description on',
+        audioDescriptionsOff: 'Audio description off',
+        signLanguage: 'Sign language',
+        signLanguageWindow: 'Sign language interpreter. Arrow keys move it, plus and minus resize it',
+        progress: 'Progress',
+        progressTime: '{current} of {duration}',
+        speed: 'Speed',
+        normal: 'Normal',
+        quality: 'Quality',
+        auto: 'Auto',
+        autoLevel: 'Auto ({level})',
+        subtitles: 'Subtitles',
+        off: 'Off',
+        subtitlesOn: 'Subtitles: {label}',
+        subtitlesOff: 'Subtitles off',
+        track: 'Track {number}',
+        chapters: 'Chapters',
+        chapter: 'Chapter {number}',
+        captionStyle: 'Caption style',
+        captionFontSize: 'Font size',
+        captionFont: 'Font',
+        captionColor: 'Text colour',
+        captionBackgroundColor: 'Background colour',
+        captionBackgroundOpacity: 'Background opacity',
+        captionEdgeStyle: 'Character edge',
+        captionPosition: 'Position',
+        fontSansSerif: 'Sans serif',
+        fontSerif: 'Serif',
+        fontMonospace: 'Monospace',
+        fontCasual: 'Casual',
+        fontScript: 'Script',
+        fontSmallCaps: 'Small caps',
+        colorWhite: 'White',
+        colorYellow: 'Yellow',
+        colorGreen: 'Green',
+        colorCyan: 'Cyan',
+        colorBlue: 'Blue',
+        colorMagenta: 'Magenta',
+        colorRed: 'Red',
+        colorBlack: 'Black',
+        edgeNone: 'None',
+        edgeOutline: 'Outline',
+        edgeDropShadow: 'Drop shadow',
+        edgeRaised: 'Raised',
+        edgeDepressed: 'Depressed',
+        positionBottom: 'Bottom',
+        positionTop: 'Top',
+        loading: 'Loading...',
+        buffering: 'Buffering...',
+        seeking: 'Seeking...',
+        processing: 'Processing...',
+        bufferGood: 'Buffer: Good',
+        bufferMedium: 'Buffer: Medium',
+        bufferLow: 'Buffer: Low',
+        ready: 'Ready',
+        error: 'Error',
+        errorNoTech: 'No compatible playback technology found for this source',
+        errorPlayback: 'Playback failed. Please try again.',
+        errorMedia: 'Error {code}: {message}',
+        errorUnknown: 'Unknown error occurred',
+        pipActivated: 'Picture in Picture mode activated',
+        pipDeactivated: 'Picture in Picture mode deactivated',
+        pipUnsupported: 'Picture-in-Picture is not supported',
+        pipUnsupportedBrowser: 'Picture-in-Picture is not supported in this browser',
+        resume: 'Resume',
+        resumingFrom: 'Resuming from {time}',
+        volumeLevel: 'Volume {percent}%',
+        upNext: 'Up next',
+        upNextIn: { one: 'Up next in {count} second', other: 'Up next in {count} seconds' },
+        playNow: 'Play now',
+        playlist: 'Playlist',
+        playlistPosition: 'Playlist ({current}/{total})',
+        playlistItem: 'Item {number}',
+        repeatOff: 'Repeat off',
+        repeatAll: 'Repeat all',
+        repeatOne: 'Repeat one',
+        shuffle: 'Shuffle',
+        ad: 'Ad · {time}',
+        adPosition: 'Ad {position} of {total} · {time}',
+        skipAd: 'Skip Ad',
+        skipAdIn: 'Skip in {count}',
+        keyboardShortcuts: 'Keyboard shortcuts',
+        customAction: 'Custom action',
+        shortcutTogglePlay: 'Play / pause',
+        shortcutSeekBackward: 'Back 5 seconds',
+        shortcutSeekForward: 'Forward 5 seconds',
+        shortcutVolumeUp: 'Volume up',
+        shortcutVolumeDown: 'Volume down',
+        shortcutResume: 'Resume from saved position',
+        shortcutCaptions: 'Captions',
+        shortcutNextChapter: 'Next chapter',
+        shortcutPreviousChapter: 'Previous chapter',
+        shortcutSeekToPercent: 'Seek to 0–90%',
+        shortcutZoomIn: 'Zoom in',
+        shortcutZoomOut: 'Zoom out',
+        shortcutResetZoom: 'Reset zoom'
+    },
+    es: {
+        videoPlayer: 'Reproductor de vídeo',
+        play: 'Reproducir',
+        pause: 'Pausar',
+        mute: 'Silenciar',
+        unmute: 'Activar sonido',
+        fullscreen: 'Pantalla completa',
+        exitFullscreen: 'Salir de pantalla completa',
+        settings: 'Configuración',
+        pip: 'Imagen en imagen',
+        miniPlayer: 'Minirreproductor',
+        close: 'Cerrar',
+        cancel: 'Cancelar',
+        speed: 'Velocidad',
+        normal: 'Normal',
+        quality: 'Calidad',
+        auto: 'Automática',
+        autoLevel: 'Automática ({level})',
+        subtitles: 'Subtítulos',
+        off: 'Desactivados',
+        subtitlesOn: 'Subtítulos: {label}',
+        subtitlesOff: 'Subtítulos desactivados',
+        chapters: 'Capítulos',
+        captionStyle: 'Estilo de subtítulos',
+        loading: 'Cargando...',
+        buffering: 'Almacenando en búfer...',
+        seeking: 'Buscando...',
+        processing: 'Procesando...',
+        bufferGood: 'Búfer: bueno',
+        bufferMedium: 'Búfer: medio',
+        bufferLow: 'Búfer: bajo',
+        ready: 'Listo',
+        error: 'Error',
+        errorPlayback: 'La reproducción ha fallado. Inténtalo de nuevo.',
+        errorUnknown: 'Se ha producido un error desconocido',
+        resume: 'Reanudar',
+        resumingFrom: 'Reanudando desde {time}',
+        upNext: 'A continuación',
+        upNextIn: { one: 'A continuación en {count} segundo', other: 'A continuación en {count} segundos' },
+        playNow: 'Reproducir ahora',
+        playlist: 'Lista de reproducción',
+        skipAd: 'Omitir anuncio',
+        keyboardShortcuts: 'Atajos de teclado',
+        back: 'Atrás',
+        theme: 'Tema',
+        themeAuto: 'Automático',
+        themeDark: 'Oscuro',
+        themeLight: 'Claro',
+        themeCinema: 'Cine',
+        themeHighContrast: 'Alto contraste',
+        language: 'Idioma',
+        accessibility: 'Accesibilidad',
+        highContrast: 'Alto contraste',
+        reducedMotion: 'Movimiento reducido',
+        audioDescriptions: 'Audiodescripción',
+        audioDescriptionsOn: 'Audiodescripción activada',
+        audioDescriptionsOff: 'Audiodescripción desactivada',
+        signLanguage: 'Lengua de signos',
+        signLanguageWindow: 'Intérprete de lengua de signos. Las flechas lo mueven, más y menos cambian su tamaño',
+        progress: 'Progreso',
+        progressTime: '{current} de {duration}'
+    },
+    fr: {
+        videoPlayer: 'Lecteur vidéo',
+        play: 'Lire',
+        pause: 'Pause',
+        mute: 'Couper le son',
+        unmute: 'Activer le son',
+        fullscreen: 'Plein écran',
+        exitFullscreen: 'Quitter le plein écran',
+        settings: 'Paramètres',
+        pip: 'Image dans l’image',
+        miniPlayer: 'Mini-lecteur',
+        close: 'Fermer',
+        cancel: 'Annuler',
+        speed: 'Vitesse',
+        normal: 'Normale',
+        quality: 'Qualité',
+        auto: 'Auto',
+        autoLevel: 'Auto ({level})',
+        subtitles: 'Sous-titres',
+        off: 'Désactivés',
+        subtitlesOn: 'Sous-titres : {label}',
+        subtitlesOff: 'Sous-titres désactivés',
+        chapters: 'Chapitres',
+        captionStyle: 'Style des sous-titres',
+        loading: 'Chargement...',
+        buffering: 'Mise en mémoire tampon...',
+        seeking: 'Recherche...',
+        processing: 'Traitement...',
+        bufferGood: 'Tampon : bon',
+        bufferMedium: 'Tampon : moyen',
+        bufferLow: 'Tampon : faible',
+        ready: 'Prêt',
+        error: 'Erreur',
+        errorPlayback: 'La lecture a échoué. Veuillez réessayer.',
+        errorUnknown: 'Une erreur inconnue s’est produite',
+        resume: 'Reprendre',
+        resumingFrom: 'Reprise à {time}',
+        upNext: 'À suivre',
+        upNextIn: { one: 'À suivre dans {count} seconde', other: 'À suivre dans {count} secondes' },
+        playNow: 'Lire maintenant',
+        playlist: 'Playlist',
+        skipAd: 'Passer l’annonce',
+        keyboardShortcuts: 'Raccourcis clavier',
+        back: 'Retour',
+        theme: 'Thème',
+        themeAuto: 'Automatique',
+        themeDark: 'Sombre',
+        themeLight: 'Clair',
+        themeCinema: 'Cinéma',
+        themeHighContrast: 'Contraste élevé',
+        language: 'Langue',
+        accessibility: 'Accessibilité',
+        highContrast: 'Contraste élevé',
+        reducedMotion: 'Animations réduites',
+        audioDescriptions: 'Audiodescription',
+        audioDescriptionsOn: 'Audiodescription activée',
+        audioDescriptionsOff: 'Audiodescription désactivée',
+        signLanguage: 'Langue des signes',
+        signLanguageWindow: 'Interprète en langue des signes. Les flèches le déplacent, plus et moins le redimensionnent',
+        progress: 'Progression',
+        progressTime: '{current} sur {duration}'
+    },
+    de: {
+        videoPlayer: 'Videoplayer',
+        play: 'Abspielen',
+        pause: 'Pause',
+        mute: 'Stumm',
+        unmute: 'Ton ein',
+        fullscreen: 'Vollbild',
+        exitFullscreen: 'Vollbild beenden',
+        settings: 'Einstellungen',
+        pip: 'Bild-in-Bild',
+        miniPlayer: 'Miniplayer',
+        close: 'Schließen',
+        cancel: 'Abbrechen',
+        speed: 'Geschwindigkeit',
+        normal: 'Normal',
+        quality: 'Qualität',
+        auto: 'Automatisch',
+        autoLevel: 'Automatisch ({level})',
+        subtitles: 'Untertitel',
+        off: 'Aus',
+        subtitlesOn: 'Untertitel: {label}',
+        subtitlesOff: 'Untertitel aus',
+        chapters: 'Kapitel',
+        captionStyle: 'Untertitelstil',
+        loading: 'Wird geladen...',
+        buffering: 'Puffern...',
+        seeking: 'Suchen...',
+        processing: 'Verarbeiten...',
+        bufferGood: 'Puffer: gut',
+        bufferMedium: 'Puffer: mittel',
+        bufferLow: 'Puffer: niedrig',
+        ready: 'Bereit',
+        error: 'Fehler',
+        errorPlayback: 'Wiedergabe fehlgeschlagen. Bitte versuche es erneut.',
+        errorUnknown: 'Unbekannter Fehler',
+        resume: 'Fortsetzen',
+        resumingFrom: 'Fortsetzen ab {time}',
+        upNext: 'Als Nächstes',
+        upNextIn: { one: 'Als Nächstes in {count} Sekunde', other: 'Als Nächstes in {count} Sekunden' },
+        playNow: 'Jetzt abspielen',
+        playlist: 'Playlist',
+        skipAd: 'Werbung überspringen',
+        keyboardShortcuts: 'Tastenkürzel',
+        back: 'Zurück',
+        theme: 'Design',
+        themeAuto: 'Automatisch',
+        themeDark: 'Dunkel',
+        themeLight: 'Hell',
+        themeCinema: 'Kino',
+        themeHighContrast: 'Hoher Kontrast',
+        language: 'Sprache',
+        accessibility: 'Barrierefreiheit',
+        highContrast: 'Hoher Kontrast',
+        reducedMotion: 'Weniger Bewegung',
+        audioDescriptions: 'Audiodeskription',
+        audioDescriptionsOn: 'Audiodeskription an',
+        audioDescriptionsOff: 'Audiodeskription aus',
+        signLanguage: 'Gebärdensprache',
+        signLanguageWindow: 'Gebärdensprachdolmetscher. Pfeiltasten verschieben, Plus und Minus ändern die Größe',
+        progress: 'Fortschritt',
+        progressTime: '{current} von {duration}'
+    },
+    ja: {
+        videoPlayer: '動画プレーヤー',
+        play: '再生',
+        pause: '一時停止',
+        mute: 'ミュート',
+        unmute: 'ミュート解除',
+        fullscreen: 'フルスクリーン',
+        exitFullscreen: 'フルスクリーン終了',
+        settings: '設定',
+        pip: 'ピクチャーインピクチャー',
+        miniPlayer: 'ミニプレーヤー',
+        close: '閉じる',
+        cancel: 'キャンセル',
+        speed: '速度',
+        normal: '標準',
+        quality: '画質',
+        auto: '自動',
+        autoLevel: '自動 ({level})',
+        subtitles: '字幕',
+        off: 'オフ',
+        subtitlesOn: '字幕: {label}',
+        subtitlesOff: '字幕オフ',
+        chapters: 'チャプター',
+        captionStyle: '字幕のスタイル',
+        loading: '読み込み中...',
+        buffering: 'バッファリング中...',
+        seeking: 'シーク中...',
+        processing: '処理中...',
+        bufferGood: 'バッファ: 良好',
+        bufferMedium: 'バッファ: 普通',
+        bufferLow: 'バッファ: 低',
+        ready: '準備完了',
+        error: 'エラー',
+        errorPlayback: '再生に失敗しました。もう一度お試しください。',
+        errorUnknown: '不明なエラーが発生しました',
+        resume: '再開',
+        resumingFrom: '{time} から再開します',
+        upNext: '次の動画',
+        upNextIn: '{count} 秒後に次の動画',
+        playNow: '今すぐ再生',
+        playlist: '再生リスト',
+        skipAd: '広告をスキップ',
+        keyboardShortcuts: 'キーボードショートカット',
+        back: '戻る',
+        theme: 'テーマ',
+        themeAuto: '自動',
+        themeDark: 'ダーク',
+        themeLight: 'ライト',
+        themeCinema: 'シネマ',
+        themeHighContrast: 'ハイコントラスト',
+        language: '言語',
+        accessibility: 'アクセシビリティ',
+        highContrast: 'ハイコントラスト',
+        reducedMotion: '視差効果を減らす',
+        audioDescriptions: '音声解説',
+        audioDescriptionsOn: '音声解説オン',
+        audioDescriptionsOff: '音声解説オフ',
+        signLanguage: '手話',
+        signLanguageWindow: '手話通訳。矢印キーで移動、プラスとマイナスでサイズ変更',
+        progress: '再生位置',
+        progressTime: '{current} / {duration}'
+    },
+    zh: {
+        videoPlayer: '视频播放器',
+        play: '播放',
+        pause: '暂停',
+        mute: '静音',
+        unmute: '取消静音',
+        fullscreen: '全屏',
+        exitFullscreen: '退出全屏',
+        settings: '设置',
+        pip: '画中画',
+        miniPlayer: '迷你播放器',
+        close: '关闭',
+        cancel: '取消',
+        speed: '速度',
+        normal: '正常',
+        quality: '画质',
+        auto: '自动',
+        autoLevel: '自动 ({level})',
+        subtitles: '字幕',
+        off: '关闭',
+        subtitlesOn: '字幕：{label}',
+        subtitlesOff: '字幕已关闭',
+        chapters: '章节',
+        captionStyle: '字幕样式',
+        loading: '加载中...',
+        buffering: '缓冲中...',
+        seeking: '跳转中...',
+        processing: '处理中...',
+        bufferGood: '缓冲：良好',
+        bufferMedium: '缓冲：一般',
+        bufferLow: '缓冲：较低',
+        ready: '就绪',
+        error: '错误',
+        errorPlayback: '播放失败，请重试。',
+        errorUnknown: '发生未知错误',
+        resume: '继续播放',
+        resumingFrom: '从 {time} 继续播放',
+        upNext: '即将播放',
+        upNextIn: '{count} 秒后播放下一个',
+        playNow: '立即播放',
+        playlist: '播放列表',
+        skipAd: '跳过广告',
+        keyboardShortcuts: '键盘快捷键',
+        back: '返回',
+        theme: '主题',
+        themeAuto: '自动',
+        themeDark: '深色',
+        themeLight: '浅色',
+        themeCinema: '影院',
+        themeHighContrast: '高对比度',
+        language: '语言',
+        accessibility: '无障碍',
+        highContrast: '高对比度',
+        reducedMotion: '减弱动态效果',
+        audioDescriptions: '口述影像',
+        audioDescriptionsOn: '口述影像已开启',
+        audioDescriptionsOff: '口述影像已关闭',
+        signLanguage: '手语',
+        signLanguageWindow: '手语翻译。方向键移动，加号和减号调整大小',
+        progress: '播放进度',
+        progressTime: '{current} / {duration}'
+    },
+    ar: {
+        videoPlayer: 'مشغل الفيديو',
+        play: 'تشغيل',
+        pause: 'إيقاف مؤقت',
+        mute: 'كتم الصوت',
+        unmute: 'إلغاء كتم الصوت',
+        fullscreen: 'ملء الشاشة',
+        exitFullscreen: 'الخروج من ملء الشاشة',
+        settings: 'الإعدادات',
+        pip: 'صورة داخل صورة',
+        miniPlayer: 'المشغل المصغر',
+        close: 'إغلاق',
+        cancel: 'إلغاء',
+        speed: 'السرعة',
+        normal: 'عادية',
+        quality: 'الجودة',
+        auto: 'تلقائي',
+        autoLevel: 'تلقائي ({level})',
+        subtitles: 'الترجمة',
+        off: 'إيقاف',
+        subtitlesOn: 'الترجمة: {label}',
+        subtitlesOff: 'الترجمة متوقفة',
+        chapters: 'الفصول',
+        captionStyle: 'نمط الترجمة',
+        loading: 'جارٍ التحميل...',
+        buffering: 'جارٍ التخزين المؤقت...',
+        seeking: 'جارٍ الانتقال...',
+        processing: 'جارٍ المعالجة...',
+        bufferGood: 'التخزين المؤقت: جيد',
+        bufferMedium: 'التخزين المؤقت: متوسط',
+        bufferLow: 'التخزين المؤقت: منخفض',
+        ready: 'جاهز',
+        error: 'خطأ',
+        errorPlayback: 'فشل التشغيل. يرجى المحاولة مرة أخرى.',
+        errorUnknown: 'حدث خطأ غير معروف',
+        resume: 'استئناف',
+        resumingFrom: 'الاستئناف من {time}',
+        upNext: 'التالي',
+        upNextIn: {
+            zero: 'التالي الآن',
+            one: 'التالي خلال ثانية واحدة',
+            two: 'التالي خلال ثانيتين',
+            few: 'التالي خلال {count} ثوانٍ',
+            many: 'التالي خلال {count} ثانية',
+            other: 'التالي خلال {count} ثانية'
+        },
+        playNow: 'تشغيل الآن',
+        playlist: 'قائمة التشغيل',
+        skipAd: 'تخطي الإعلان',
+        keyboardShortcuts: 'اختصارات لوحة المفاتيح',
+        back: 'رجوع',
+        theme: 'المظهر',
+        themeAuto: 'تلقائي',
+        themeDark: 'داكن',
+        themeLight: 'فاتح',
+        themeCinema: 'سينما',
+        themeHighContrast: 'تباين عالٍ',
+        language: 'اللغة',
+        accessibility: 'إمكانية الوصول',
+        highContrast: 'تباين عالٍ',
+        reducedMotion: 'تقليل الحركة',
+        audioDescriptions: 'الوصف الصوتي',
+        audioDescriptionsOn: 'الوصف الصوتي مفعّل',
+        audioDescriptionsOff: 'الوصف الصوتي متوقف',
+        signLanguage: 'لغة الإشارة',
+        signLanguageWindow: 'مترجم لغة الإشارة. مفاتيح الأسهم تنقله، وزائد وناقص تغيّران حجمه',
+        progress: 'التقدم',
+        progressTime: '{current} من {duration}'
+    },
+    he: {
+        videoPlayer: 'נגן וידאו',
+        play: 'הפעלה',
+        pause: 'השהיה',
+        mute: 'השתקה',
+        unmute: 'ביטול השתקה',
+        fullscreen: 'מסך מלא',
+        exitFullscreen: 'יציאה ממסך מלא',
+        settings: 'הגדרות',
+        pip: 'תמונה בתוך תמונה',
+        miniPlayer: 'נגן מוקטן',
+        close: 'סגירה',
+        cancel: 'ביטול',
+        speed: 'מהירות',
+        normal: 'רגילה',
+        quality: 'איכות',
+        auto: 'אוטומטי',
+        autoLevel: 'אוטומטי ({level})',
+        subtitles: 'כתוביות',
+        off: 'כבוי',
+        subtitlesOn: 'כתוביות: {label}',
+        subtitlesOff: 'הכתוביות כבויות',
+        chapters: 'פרקים',
+        captionStyle: 'סגנון כתוביות',
+        loading: 'בטעינה...',
+        buffering: 'אוגר נתונים...',
+        seeking: 'מדלג...',
+        processing: 'מעבד...',
+        bufferGood: 'מאגר: טוב',
+        bufferMedium: 'מאגר: בינוני',
+        bufferLow: 'מאגר: נמוך',
+        ready: 'מוכן',
+        error: 'שגיאה',
+        errorPlayback: 'ההפעלה נכשלה. נא לנסות שוב.',
+        errorUnknown: 'אירעה שגיאה לא ידועה',
+        resume: 'המשך',
+        resumingFrom: 'ממשיך מ-{time}',
+        upNext: 'הבא בתור',
+        upNextIn: { one: 'הבא בתור בעוד שנייה', two: 'הבא בתור בעוד שתי שניות', other: 'הבא בתור בעוד {count} שניות' },
+        playNow: 'הפעלה עכשיו',
+        playlist: 'רשימת השמעה',
+        skipAd: 'דילוג על המודעה',
+        keyboardShortcuts: 'קיצורי מקלדת',
+        back: 'חזרה',
+        theme: 'ערכת נושא',
+        themeAuto: 'אוטומטי',
+        themeDark: 'כהה',
+        themeLight: 'בהירה',
+        themeCinema: 'קולנוע',
+        themeHighContrast: 'ניגודיות גבוהה',
+        language: 'שפה',
+        accessibility: 'נגישות',
+        highContrast: 'ניגודיות גבוהה',
+        reducedMotion: 'הפחתת תנועה',
+        audioDescriptions: 'תיאור קולי',
+        audioDescriptionsOn: 'תיאור קולי מופעל',
+        audioDescriptionsOff: 'תיאור קולי כבוי',
+        signLanguage: 'שפת סימנים',
+        signLanguageWindow: 'מתורגמן לשפת סימנים. החצים מזיזים אותו, פלוס ומינוס משנים את גודלו',
+        progress: 'התקדמות',
+        progressTime: '{current} מתוך {duration}'
+    }
+};
+
+// Languages written right to left, which mirror the control bar and progress bar
+const RTL_LANGUAGES = ['ar', 'he', 'fa', 'ur'];
+
+// Caption style choices shown in the settings menu, labelled by language key
+const CAPTION_STYLE_CHOICES = {
+    fontSize: { title: 'captionFontSize', values: { 50: '50%', 75: '75%', 100: '100%', 150: '150%', 200: '200%' } },
+    fontFamily: { title: 'captionFont', values: { 'sans-serif': 'fontSansSerif', serif: 'fontSerif', monospace: 'fontMonospace', casual: 'fontCasual', cursive: 'fontScript', 'small-caps': 'fontSmallCaps' } },
+    color: { title: 'captionColor', values: { white: 'colorWhite', yellow: 'colorYellow', green: 'colorGreen', cyan: 'colorCyan', blue: 'colorBlue', magenta: 'colorMagenta', red: 'colorRed', black: 'colorBlack' } },
+    backgroundColor: { title: 'captionBackgroundColor', values: { black: 'colorBlack', white: 'colorWhite', yellow: 'colorYellow', green: 'colorGreen', cyan: 'colorCyan', blue: 'colorBlue', magenta: 'colorMagenta', red: 'colorRed' } },
+    backgroundOpacity: { title: 'captionBackgroundOpacity', values: { 0: '0%', 25: '25%', 50: '50%', 75: '75%', 100: '100%' } },
+    edgeStyle: { title: 'captionEdgeStyle', values: { none: 'edgeNone', outline: 'edgeOutline', 'drop-shadow': 'edgeDropShadow', raised: 'edgeRaised', depressed: 'edgeDepressed' } },
+    windowPosition: { title: 'captionPosition', values: { bottom: 'positionBottom', top: 'positionTop' } }
+};
+
+// Caption styles used before the viewer picks one
+const CAPTION_STYLE_PRESETS = {
+    default: {
+        fontSize: '100',
+        fontFamily: 'sans-serif',
+        color: 'white',
+        backgroundColor: 'black',
+        backgroundOpacity: '75',
+        edgeStyle: 'none',
+        windowPosition: 'bottom'
+    },
+    'high-contrast': {
+        fontSize: '150',
+        fontFamily: 'sans-serif',
+        color: 'yellow',
+        backgroundColor: 'black',
+        backgroundOpacity: '100',
+        edgeStyle: 'outline',
+        windowPosition: 'bottom'
+    }
+};
+
+// Fullscreen change events, prefixed ones included for older browsers
+const FULLSCREEN_EVENTS = ['fullscreenchange', 'webkitfullscreenchange', 'mozfullscreenchange', 'MSFullscreenChange'];
+
+// Buffered ranges returned when no tech is loaded
+const EMPTY_TIME_RANGES = {
+    length: 0,
+    start: () => 0,
+    end: () => 0
+};
+
+// Seconds a companion audio or video may be off the video before it is corrected, about a frame
+const COMPANION_FRAME_TOLERANCE = 0.04;
+
+// Sign language window limits: the space kept free around it in pixels, as in
+// lionplayer.css, and its width as a fraction of the player width
+const SIGN_LANGUAGE_WINDOW = {
+    insetX: 24,
+    insetY: 84,
+    minWidth: 0.1,
+    maxWidth: 0.5
+};
+
+/**
+ * HTML5 playback tech driving the native video element
+ */
+class Html5Tech {
+    constructor(player, options = {}) {
+        this.player = player;
+        this.video = player.video;
+        this.options = options;
     }
 
     /**
-     * Setup theme system
+     * Check if the browser supports this tech
      */
-    setupThemeSystem() {
-        // Apply initial theme
-        this.applyTheme(this.state.theme);
-        
-        // Create theme switcher
-        this.createThemeSwitcher();
+    static isSupported() {
+        return typeof document !== 'undefined' && !!document.createElement('video').canPlayType;
     }
 
     /**
-     * Apply theme to player
+     * Check if this tech can play a source
      */
-    applyTheme(themeName) {
-        const themes = {
-            dark: {
-                primary: '#ff0050',
-                secondary: '#00d4ff',
-                background: 'linear-gradient(135deg, #0a0a0a 0%, #1a1a2e 100%)',
-                surface: 'rgba(255, 255, 255, 0.05)',
-                surfaceHover: 'rgba(255, 255, 255, 0.1)',
-                text: '#ffffff',
-                textSecondary: 'rgba(255, 255, 255, 0.7)',
-                controls: 'rgba(10, 10, 10, 0.95)',
-                shadow: '0 8px 32px rgba(0, 0, 0, 0.4)'
-            },
-            light: {
-                primary: '#ff0050',
-                secondary: '#00d4ff',
-                background: 'linear-gradient(135deg, #f5f5f5 0%, #e0e0e0 100%)',
-                surface: 'rgba(0, 0, 0, 0.05)',
-                surfaceHover: 'rgba(0, 0, 0, 0.1)',
-                text: '#000000',
-                textSecondary: 'rgba(0, 0, 0, 0.7)',
-                controls: 'rgba(255, 255, 255, 0.95)',
-                shadow: '0 8px 32px rgba(0, 0, 0, 0.1)'
-            },
-            cinema: {
-                primary: '#ff0050',
-                secondary: '#00d4ff',
-                background: '#000000',
-                surface: 'rgba(255, 255, 255, 0.03)',
-                surfaceHover: 'rgba(255, 255, 255, 0.08)',
-                text: '#ffffff',
-                textSecondary: 'rgba(255, 255, 255, 0.6)',
-                controls: 'rgba(0, 0, 0, 0.8)',
-                shadow: '0 8px 32px rgba(0, 0, 0, 0.6)'
-            },
-            'high-contrast': {
-                primary: '#ff0050',
-                secondary: '#00d4ff',
-                background: '#000000',
-                surface: 'rgba(255, 255, 255, 0.1)',
-                surfaceHover: 'rgba(255, 255, 255, 0.2)',
-                text: '#ffffff',
-                textSecondary: '#ffffff',
-                controls: 'rgba(0, 0, 0, 0.9)',
-                shadow: '0 8px 32px rgba(255, 255, 255, 0.2)'
-            }
-        };
-        
-        const theme = themes[themeName] || themes.dark;
-        
-        // Apply theme variables
-        this.el.style.setProperty('--lion-primary', theme.primary);
-        this.el.style.setProperty('--lion-secondary', theme.secondary);
-        this.el.style.setProperty('--lion-background', theme.background);
-        this.el.style.setProperty('--lion-surface', theme.surface);
-        this.el.style.setProperty('--lion-surface-hover', theme.surfaceHover);
-        this.el.style.setProperty('--lion-text', theme.text);
-        this.el.style.setProperty('--lion-text-secondary', theme.textSecondary);
-        this.el.style.setProperty('--lion-controls', theme.controls);
-        this.el.style.setProperty('--lion-shadow', theme.shadow);
-        
-        // Update theme state
-        this.state.theme = themeName;
+    static canPlaySource(source) {
+        // Without a type, let the browser try to sniff the file
+        if (!source.type) return true;
         
-        // Update theme switcher
-        if (this.themeSwitcher) {
-            this.themeSwitcher.value = themeName;
-        }
-        
-        // Trigger theme change event
-        this.trigger(EVENTS.THEMECHANGE, { theme: themeName });
+        return document.createElement('video').canPlayType(source.type) !== '';
     }
 
     /**
-     * Create theme switcher
+     * Load a source
      */
-    createThemeSwitcher() {
-        // Add theme switcher to settings menu
+    load(source) {
+        this.video.src = source.src;
+        this.video.load();
+    }
 
+    play() {
+        return this.video.play();
     }
 
-    /**
-     * Setup accessibility features
-     */
-    setupAccessibilityFeatures() {
-        if (!this.config.accessibility.enabled) return;
-        
-        // Add accessibility options to settings
+    pause() {
+        this.video.pause();
+    }
 
-        
-        // Apply initial accessibility settings
-        this.applyAccessibilitySettings();
+    currentTime() {
+        return this.video.currentTime;
+    }
+
+    setCurrentTime(time) {
+        this.video.currentTime = time;
+    }
+
+    duration() {
+        return this.video.duration;
+    }
+
+    buffered() {
+        return this.video.buffered;
+    }
+
+    volume() {
+        return this.video.volume;
+    }
+
+    setVolume(volume) {
+        this.video.volume = volume;
+    }
+
+    muted() {
+        return this.video.muted;
+    }
+
+    setMuted(muted) {
+        this.video.muted = muted;
+    }
+
+    playbackRate() {
+        return this.video.playbackRate;
+    }
+
+    setPlaybackRate(rate) {
+        this.video.playbackRate = rate;
     }
 
     /**
-     * Apply accessibility settings
+     * Check if the media has an audio track with descriptions
      */
-    applyAccessibilitySettings() {
-        const { accessibility } = this.config;
-        
-        if (accessibility.highContrast) {
-            this.applyTheme('high-contrast');
-        }
-        
-        if (accessibility.reducedMotion) {
-            this.el.style.setProperty('--lion-transition', 'none');
-            this.el.style.setProperty('--lion-transition-fast', 'none');
-        }
-        
-        // Add ARIA labels
-        this.addARIALabels();
+    hasDescribedAudio() {
+        return Array.from(this.video.audioTracks || []).some(track => track.kind === 'main-desc' || track.kind === 'descriptions');
     }
 
     /**
-     * Add ARIA labels for screen readers
+     * Turn described audio on or off. A 'main-desc' track replaces the main
+     * mix, a 'descriptions' track plays alongside it.
+     */
+    setDescribedAudio(enabled) {
+        const tracks = Array.from(this.video.audioTracks || []);
+        const mixed = tracks.find(track => track.kind === 'main-desc');
+        const main = tracks.find(track => track.kind === 'main') || tracks.find(track => track !== mixed);
+        
+        tracks.forEach(track => {
+            if (mixed) {
+                track.enabled = track === (enabled ? mixed : main);
+            } else if (track.kind === 'descriptions') {
+                track.enabled = enabled;
+            }
+        });
+    }
+
+    /**
+     * Release the source before another tech takes over
+     */
+    dispose() {
+        this.video.removeAttribute('src');
+        this.video.load();
+    }
+}
+
+/**
+ * Parse an attribute list (KEY=VALUE,KEY="VALUE")
+ */
+function parseAttributeList(input) {
+    const attributes = {};
+    const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+    let match;
+    
+    while ((match = pattern.exec(input))) {
+        attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+    }
+    
+    return attributes;
+}
+
+/**
+ * Parse an HLS byte range (length[@offset])
+ */
+function parseByteRange(value, previous) {
+    const [length, offset] = value.split('@');
+    
+    return {
+        offset: offset !== undefined ? parseInt(offset, 10) : (previous ? previous.offset + previous.length : 0),
+        length: parseInt(length, 10)
+    };
+}
+
+/**
+ * Parse an HLS master or media playlist
+ */
+function parseHlsPlaylist(text, baseUrl) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    
+    if (lines[0] !== '#EXTM3U') {
+        throw new Error('Invalid HLS playlist: missing #EXTM3U header');
+    }
+    
+    const resolve = uri => new URL(uri, baseUrl).href;
+    const playlist = {
+        type: 'media',
+        variants: [],
+        media: [],
+        segments: [],
+        targetDuration: 0,
+        mediaSequence: 0,
+        endList: false,
+        initSegment: null,
+        encrypted: false
+    };
+    
+    let variant = null;
+    let segment = {};
+    let start = 0;
+    let lastByteRange = null;
+    
+    lines.forEach(line => {
+        if (line.startsWith('#EXT-X-STREAM-INF:')) {
+            const attributes = parseAttributeList(line.slice(18));
+            const [width, height] = (attributes.RESOLUTION || '').split('x').map(Number);
+            
+            variant = {
+                bandwidth: parseInt(attributes.BANDWIDTH, 10) || 0,
+                codecs: attributes.CODECS || '',
+                width: width || 0,
+                height: height || 0,
+                audio: attributes.AUDIO || null
+            };
+        } else if (line.startsWith('#EXT-X-MEDIA:')) {
+            const attributes = parseAttributeList(line.slice(13));
+            
+            playlist.media.push({
+                type: attributes.TYPE,
+                groupId: attributes['GROUP-ID'],
+                name: attributes.NAME || '',
+                language: attributes.LANGUAGE || '',
+                default: attributes.DEFAULT === 'YES',
+                characteristics: attributes.CHARACTERISTICS || '',
+                describes: /public\.accessibility\.describes-video/.test(attributes.CHARACTERISTICS || ''),
+                uri: attributes.URI ? resolve(attributes.URI) : null
+            });
+        } else if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+            playlist.targetDuration = parseFloat(line.slice(22));
+        } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+            playlist.mediaSequence = parseInt(line.slice(22), 10);
+        } else if (line === '#EXT-X-ENDLIST') {
+            playlist.endList = true;
+        } else if (line.startsWith('#EXT-X-MAP:')) {
+            const attributes = parseAttributeList(line.slice(11));
+            
+            playlist.initSegment = {
+                uri: resolve(attributes.URI),
+                byteRange: attributes.BYTERANGE ? parseByteRange(attributes.BYTERANGE) : null
+            };
+        } else if (line.startsWith('#EXT-X-KEY:')) {
+            playlist.encrypted = parseAttributeList(line.slice(11)).METHOD !== 'NONE';
+        } else if (line.startsWith('#EXTINF:')) {
+            segment.duration = parseFloat(line.slice(8));
+        } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+            segment.byteRange = parseByteRange(line.slice(17), lastByteRange);
+            lastByteRange = segment.byteRange;
+        } else if (line === '#EXT-X-DISCONTINUITY') {
+            segment.discontinuity = true;
+        } else if (!line.startsWith('#')) {
+            if (variant) {
+                variant.uri = resolve(line);
+                playlist.variants.push(variant);
+                variant = null;
+            } else {
+                const duration = segment.duration || 0;
+                
+                playlist.segments.push({
+                    sn: playlist.mediaSequence + playlist.segments.length,
+                    uri: resolve(line),
+                    start,
+                    duration,
+                    byteRange: segment.byteRange || null,
+                    discontinuity: !!segment.discontinuity,
+                    state: 'idle'
+                });
+                
+                start += duration;
+                segment = {};
+            }
+        }
+    });
+    
+    if (playlist.variants.length) {
+        playlist.type = 'master';
+    }
+    
+    return playlist;
+}
+
+/**
+ * Adaptive bitrate controller. Estimates throughput from segment downloads
+ * and picks a level using the player's buffer health.
+ */
+class AbrController {
+    constructor(options = {}) {
+        this.options = Object.assign({}, DEFAULT_CONFIG.abr, options);
+        this.fastEstimate = 0;
+        this.slowEstimate = 0;
+        this.samples = 0;
+        this.lastSwitch = 0;
+    }
+
+    /**
+     * Add a download sample
+     */
+    addSample(bytes, duration) {
+        // Tiny downloads are dominated by latency
+        if (duration <= 0 || bytes < this.options.minSampleBytes) return;
+        
+        const bandwidth = (bytes * 8000) / duration;
+        const weight = duration / 1000;
+        
+        this.fastEstimate = this.average(this.fastEstimate, bandwidth, weight, this.options.fastHalfLife);
+        this.slowEstimate = this.average(this.slowEstimate, bandwidth, weight, this.options.slowHalfLife);
+        this.samples++;
+    }
+
+    /**
+     * Exponentially weighted moving average
+     */
+    average(estimate, sample, weight, halfLife) {
+        if (!this.samples) return sample;
+        
+        const alpha = Math.pow(0.5, weight / halfLife);
+        return alpha * estimate + (1 - alpha) * sample;
+    }
+
+    /**
+     * Get the bandwidth estimate in bits per second
+     */
+    getEstimate() {
+        return this.samples ? Math.min(this.fastEstimate, this.slowEstimate) : this.options.defaultBandwidth;
+    }
+
+    /**
+     * Pick a level index from levels sorted by ascending bandwidth
+     */
+    selectLevel(levels, current, bufferHealth) {
+        const estimate = this.getEstimate();
+        const fits = factor => levels.reduce((best, level, index) => (
+            level.bandwidth <= estimate * factor ? index : best
+        ), 0);
+        
+        // Switch down right away when the buffer is draining
+        const down = fits(this.options.downFactor);
+        if (down < current && (bufferHealth !== 'good' || levels[current].bandwidth > estimate)) {
+            return this.switchTo(down);
+        }
+        
+        // Only switch up with a healthy buffer and not too soon after the last switch
+        const up = fits(this.options.upFactor);
+        if (up > current && bufferHealth === 'good' && Date.now() - this.lastSwitch >= this.options.minSwitchInterval) {
+            return this.switchTo(up);
+        }
+        
+        return current;
+    }
+
+    switchTo(index) {
+        this.lastSwitch = Date.now();
+        return index;
+    }
+}
+
+/**
+ * Base tech for segmented streams played through Media Source Extensions.
+ * Subclasses describe their streams with createStreams() and
+ * loadLevelDetails(); this class handles fetching, appending and buffering.
+ */
+class StreamingTech extends Html5Tech {
+    constructor(player, options = {}) {
+        super(player, options);
+        
+        this.streams = [];
+        this.live = false;
+        this.startTime = null;
+        this.mediaSource = null;
+        this.objectUrl = null;
+        this.loadId = 0;
+        this.timer = null;
+        this.abr = new AbrController(player.config.abr);
+        this.autoQuality = player.state.quality === 'auto';
+        this.onVideoSeeking = () => this.onSeeking();
+    }
+
+    /**
+     * Check if the browser supports Media Source Extensions
+     */
+    static isSupported() {
+        return typeof window !== 'undefined' && !!window.MediaSource;
+    }
+
+    /**
+     * Load a source by attaching a new MediaSource to the video
+     */
+    load(source) {
+        this.reset();
+        
+        this.source = source;
+        this.mediaSource = new MediaSource();
+        this.objectUrl = URL.createObjectURL(this.mediaSource);
+        
+        const loadId = this.loadId;
+        this.mediaSource.addEventListener('sourceopen', () => this.onSourceOpen(loadId), { once: true });
+        this.video.addEventListener('seeking', this.onVideoSeeking);
+        
+        this.video.src = this.objectUrl;
+    }
+
+    /**
+     * Build source buffers once the MediaSource is open
+     */
+    async onSourceOpen(loadId) {
+        try {
+            const streams = await this.createStreams();
+            if (loadId !== this.loadId) return;
+            
+            this.streams = streams.map(stream => Object.assign({
+                details: null,
+                sourceBuffer: null,
+                loading: null,
+                nextSn: 0,
+                initUri: null,
+                refreshTimer: null,
+                pendingLevel: null,
+                switching: false
+            }, stream));
+            
+            for (const stream of this.streams) {
+                const level = stream.levels[stream.levelIndex];
+                stream.details = await this.loadLevelDetails(stream, level);
+                if (loadId !== this.loadId) return;
+                
+                if (!stream.details.live) {
+                    level.details = stream.details;
+                }
+                
+                const mimeType = this.getMimeType(stream, level);
+                if (!MediaSource.isTypeSupported(mimeType)) {
+                    throw new Error(`Unsupported stream format: ${mimeType}`);
+                }
+                
+                stream.sourceBuffer = this.mediaSource.addSourceBuffer(mimeType);
+                
+                // Play segments back to back in append order, whatever their own timestamps
+                stream.sourceBuffer.mode = 'sequence';
+            }
+            
+            this.live = this.streams.some(stream => stream.details.live);
+            
+            if (this.live) {
+                this.mediaSource.duration = Infinity;
+                this.startTime = this.getLiveStartTime();
+                this.updateLiveSeekableRange();
+                this.streams.forEach(stream => this.scheduleRefresh(stream));
+            } else {
+                this.mediaSource.duration = this.duration();
+            }
+            
+            const startTime = this.startTime !== null ? this.startTime : this.video.currentTime;
+            this.streams.forEach(stream => {
+                const segment = this.getSegmentAt(stream, startTime);
+                stream.nextSn = segment ? segment.sn : 0;
+            });
+            
+            this.player.onQualityLevelsLoaded();
+            this.reportQualityChange('initial');
+            
+            this.timer = setInterval(() => this.tick(), 250);
+            this.tick();
+        } catch (error) {
+            if (loadId === this.loadId) {
+                this.fail(error);
+            }
+        }
+    }
+
+    /**
+     * Describe the streams of the source. Each stream is
+     * {type, levels, levelIndex} where levels are the available renditions.
+     */
+    async createStreams() {
+        throw new Error('StreamingTech: createStreams() must be implemented');
+    }
+
+    /**
+     * Load the segment list of a level as
+     * {segments, initSegment, live, targetDuration}
+     */
+    async loadLevelDetails(stream, level) {
+        throw new Error('StreamingTech: loadLevelDetails() must be implemented');
+    }
+
+    /**
+     * Get the SourceBuffer MIME type for a level
+     */
+    getMimeType(stream, level) {
+        return level.mimeType;
+    }
+
+    /**
+     * Turn a downloaded segment into the buffers to append, in order
+     */
+    remuxSegment(stream, segment, data) {
+        return [data];
+    }
+
+    /**
+     * Fetch a resource with retries
+     */
+    async fetchData(url, { byteRange = null, responseType = 'arrayBuffer', signal } = {}) {
+        const headers = {};
+        
+        if (byteRange) {
+            headers.Range = `bytes=${byteRange.offset}-${byteRange.offset + byteRange.length - 1}`;
+        }
+        
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await fetch(url, { headers, signal });
+                
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status} while loading ${url}`);
+                }
+                
+                return responseType === 'text' ? await response.text() : await response.arrayBuffer();
+            } catch (error) {
+                if (error.name === 'AbortError' || attempt >= this.options.maxRetries) {
+                    throw error;
+                }
+                
+                await new Promise(resolve => setTimeout(resolve, this.options.retryDelay * (attempt + 1)));
+            }
+        }
+    }
+
+    /**
+     * Append data to a stream's SourceBuffer
+     */
+    appendBuffer(stream, data) {
+        return new Promise((resolve, reject) => {
+            const sourceBuffer = stream.sourceBuffer;
+            
+            const cleanup = () => {
+                sourceBuffer.removeEventListener('updateend', onUpdateEnd);
+                sourceBuffer.removeEventListener('error', onError);
+            };
+            const onUpdateEnd = () => {
+                cleanup();
+                resolve();
+            };
+            const onError = () => {
+                cleanup();
+                reject(new Error('Failed to append media data'));
+            };
+            
+            sourceBuffer.addEventListener('updateend', onUpdateEnd);
+            sourceBuffer.addEventListener('error', onError);
+            
+            try {
+                sourceBuffer.appendBuffer(data);
+            } catch (error) {
+                cleanup();
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Load the next segments while the buffer is below its target
+     */
+    tick() {
+        if (!this.mediaSource || this.mediaSource.readyState === 'closed') return;
+        
+        const currentTime = this.video.currentTime;
+        
+        this.streams.forEach(stream => {
+            if (stream.loading || stream.switching || stream.sourceBuffer.updating) return;
+            
+            // Apply a pending level switch between segments
+            if (stream.pendingLevel !== null) {
+                this.switchLevel(stream);
+                return;
+            }
+            
+            this.evictBackBuffer(stream, this.options.backBufferLength);
+            if (stream.sourceBuffer.updating) return;
+            
+            const bufferEnd = this.getBufferedEnd(stream, currentTime);
+            if (bufferEnd - currentTime >= this.options.maxBufferLength) return;
+            
+            const segments = stream.details.segments;
+            const segment = segments.find(s => s.sn === stream.nextSn);
+            
+            if (segment) {
+                this.loadSegment(stream, segment);
+            } else if (this.live && segments.length && stream.nextSn < segments[0].sn) {
+                // Fell out of the live window
+                this.seekToLiveEdge();
+            }
+        });
+        
+        this.checkEndOfStream();
+    }
+
+    /**
+     * Fetch and append one segment
+     */
+    async loadSegment(stream, segment) {
+        const controller = new AbortController();
+        const loadId = this.loadId;
+        const level = stream.levels[stream.levelIndex];
+        const details = stream.details;
+        
+        stream.loading = { segment, controller };
+        segment.state = 'loading';
+        this.player.onSegmentLoading(segment);
+        
+        try {
+            // Append the initialization segment when it changes
+            if (details.initSegment && stream.initUri !== details.initSegment.uri) {
+                const init = await this.fetchData(details.initSegment.uri, {
+                    byteRange: details.initSegment.byteRange,
+                    signal: controller.signal
+                });
+                await this.appendBuffer(stream, init);
+                stream.initUri = details.initSegment.uri;
+            }
+            
+            const startedAt = performance.now();
+            const data = await this.fetchData(segment.uri, {
+                byteRange: segment.byteRange,
+                signal: controller.signal
+            });
+            const stats = {
+                bytes: data.byteLength,
+                duration: performance.now() - startedAt,
+                level
+            };
+            
+            if (loadId !== this.loadId || stream.loading === null || stream.loading.controller !== controller) return;
+            
+            stream.sourceBuffer.timestampOffset = segment.start;
+            for (const buffer of this.remuxSegment(stream, segment, data)) {
+                await this.appendBuffer(stream, buffer);
+            }
+            
+            segment.state = 'loaded';
+            
+            if (stream.loading && stream.loading.controller === controller) {
+                stream.nextSn = segment.sn + 1;
+            }
+            
+            // Jump to the live edge once the first live segment is in
+            if (this.startTime !== null) {
+                this.video.currentTime = this.startTime;
+                this.startTime = null;
+            }
+            
+            if (stream === this.getAbrStream()) {
+                this.updateAbr(stats);
+            }
+            
+            this.player.onSegmentLoaded(segment, stats);
+        } catch (error) {
+            segment.state = 'idle';
+            
+            if (error.name === 'AbortError' || loadId !== this.loadId) return;
+            
+            if (error.name === 'QuotaExceededError') {
+                this.evictBackBuffer(stream, 10);
+                return;
+            }
+            
+            this.fail(error);
+            return;
+        } finally {
+            if (stream.loading && stream.loading.controller === controller) {
+                stream.loading = null;
+            }
+        }
+        
+        // Keep filling the buffer without waiting for the next tick
+        this.tick();
+    }
+
+    /**
+     * Get the stream whose levels are the selectable qualities
+     */
+    getAbrStream() {
+        return this.streams.find(stream => stream.type === 'main' || stream.type === 'video') || this.streams[0] || null;
+    }
+
+    /**
+     * Feed a download sample to the ABR controller and switch if needed
+     */
+    updateAbr(stats) {
+        this.abr.addSample(stats.bytes, stats.duration);
+        
+        if (!this.autoQuality) return;
+        
+        const stream = this.getAbrStream();
+        const index = this.abr.selectLevel(stream.levels, stream.levelIndex, this.player.state.bufferHealth);
+        
+        if (index !== stream.levelIndex) {
+            this.requestLevel(stream, index, index > stream.levelIndex ? 'bandwidth-up' : 'bandwidth-down');
+        }
+        
+        // Separate audio takes what the video level leaves over
+        this.streams.forEach(audio => {
+            if (audio.type !== 'audio' || audio === stream || audio.switching || audio.pendingLevel !== null) return;
+            
+            const audioIndex = this.selectAudioLevel(audio.levels, stream.levels[index].bandwidth);
+            if (audioIndex !== audio.levelIndex) {
+                this.requestLevel(audio, audioIndex, audioIndex > audio.levelIndex ? 'bandwidth-up' : 'bandwidth-down');
+            }
+        });
+    }
+
+    /**
+     * Pick the best audio level, from levels sorted by ascending bandwidth,
+     * that fits the bandwidth estimate next to a video level
+     */
+    selectAudioLevel(levels, videoBandwidth) {
+        const spare = this.abr.getEstimate() * this.abr.options.upFactor - videoBandwidth;
+        return Math.max(0, levels.filter(level => level.bandwidth <= spare).length - 1);
+    }
+
+    /**
+     * Get the selectable quality levels
+     */
+    getQualityLevels() {
+        const stream = this.getAbrStream();
+        if (!stream) return [];
+        
+        return stream.levels.map((level, index) => ({
+            index,
+            bandwidth: level.bandwidth,
+            width: level.width,
+            height: level.height,
+            label: level.height ? `${level.height}p` : `${Math.round(level.bandwidth / 1000)} kbps`
+        }));
+    }
+
+    /**
+     * Get the index of the level being loaded
+     */
+    getCurrentQuality() {
+        const stream = this.getAbrStream();
+        return stream ? stream.levelIndex : -1;
+    }
+
+    /**
+     * Select a level by index, or 'auto' for adaptive switching
+     */
+    setQuality(quality) {
+        const stream = this.getAbrStream();
+        this.autoQuality = quality === 'auto';
+        
+        if (stream && !this.autoQuality && stream.levels[quality]) {
+            this.requestLevel(stream, quality, 'manual');
+        }
+    }
+
+    /**
+     * Schedule a level switch for the next segment boundary
+     */
+    requestLevel(stream, index, reason) {
+        stream.pendingLevel = index === stream.levelIndex ? null : index;
+        stream.pendingReason = reason;
+        this.tick();
+    }
+
+    /**
+     * Switch a stream to its pending level
+     */
+    async switchLevel(stream) {
+        const index = stream.pendingLevel;
+        const reason = stream.pendingReason;
+        const loadId = this.loadId;
+        const level = stream.levels[index];
+        
+        stream.pendingLevel = null;
+        stream.switching = true;
+        
+        try {
+            const details = level.details || await this.loadLevelDetails(stream, level);
+            if (loadId !== this.loadId) return;
+            
+            if (!details.live) {
+                level.details = details;
+            }
+            
+            const previousMimeType = this.getMimeType(stream, stream.levels[stream.levelIndex]);
+            stream.levelIndex = index;
+            stream.details = details;
+            
+            // Codec changes need the SourceBuffer to be reconfigured
+            const mimeType = this.getMimeType(stream, level);
+            if (mimeType !== previousMimeType && stream.sourceBuffer.changeType) {
+                stream.sourceBuffer.changeType(mimeType);
+            }
+            
+            // Continue from the end of the buffer in the new level
+            const segment = this.getSegmentAt(stream, this.getBufferedEnd(stream, this.video.currentTime));
+            if (segment) {
+                stream.nextSn = segment.sn;
+            }
+            
+            // Audio switches aren't quality changes
+            if (stream === this.getAbrStream()) {
+                this.reportQualityChange(reason);
+            }
+        } catch (error) {
+            console.warn('LionPlayer: Quality switch failed:', error);
+        } finally {
+            stream.switching = false;
+        }
+        
+        this.tick();
+    }
+
+    /**
+     * Tell the player which level is loading
+     */
+    reportQualityChange(reason) {
+        const index = this.getCurrentQuality();
+        
+        this.player.onQualityChange({
+            index,
+            level: this.getQualityLevels()[index],
+            auto: this.autoQuality,
+            bandwidth: this.abr.getEstimate(),
+            reason
+        });
+    }
+
+    /**
+     * Move the audio stream to other levels, replacing the audio buffered
+     * ahead of the playhead. Extra properties are set on the stream with them.
+     */
+    async replaceAudioLevels(stream, levels, index, properties = {}) {
+        const loadId = this.loadId;
+        const current = stream.levels[stream.levelIndex];
+        
+        stream.switching = true;
+        stream.pendingLevel = null;
+        
+        try {
+            const details = await this.loadLevelDetails(stream, levels[index]);
+            if (loadId !== this.loadId) return;
+            
+            if (stream.loading) {
+                stream.loading.controller.abort();
+                stream.loading.segment.state = 'idle';
+                stream.loading = null;
+            }
+            
+            // An aborted download may still be appending
+            if (stream.sourceBuffer.updating) {
+                await new Promise(resolve => stream.sourceBuffer.addEventListener('updateend', resolve, { once: true }));
+                if (loadId !== this.loadId) return;
+            }
+            
+            const mimeType = this.getMimeType(stream, levels[index]);
+            if (mimeType !== this.getMimeType(stream, current) && stream.sourceBuffer.changeType) {
+                stream.sourceBuffer.changeType(mimeType);
+            }
+            
+            Object.assign(stream, properties, {
+                levels,
+                levelIndex: index,
+                details,
+                initUri: null
+            });
+            
+            // Keep a second of the old mix so playback doesn't stall while the new one loads
+            const resumeAt = this.video.currentTime + 1;
+            const bufferedEnd = this.getBufferedEnd(stream, this.video.currentTime);
+            
+            if (bufferedEnd > resumeAt) {
+                stream.sourceBuffer.remove(resumeAt, bufferedEnd);
+            }
+            
+            const segment = this.getSegmentAt(stream, Math.min(resumeAt, bufferedEnd));
+            if (segment) {
+                stream.nextSn = segment.sn;
+            }
+        } catch (error) {
+            console.warn('LionPlayer: Audio description switch failed:', error);
+        } finally {
+            stream.switching = false;
+        }
+        
+        this.tick();
+    }
+
+    /**
+     * Remove media behind the playhead
+     */
+    evictBackBuffer(stream, keep) {
+        const buffered = stream.sourceBuffer.buffered;
+        const limit = this.video.currentTime - keep;
+        
+        if (buffered.length && buffered.start(0) < limit) {
+            stream.sourceBuffer.remove(buffered.start(0), limit);
+        }
+    }
+
+    /**
+     * Signal the end of a VOD stream once every segment is appended
+     */
+    checkEndOfStream() {
+        if (this.live || this.mediaSource.readyState !== 'open') return;
+        
+        const done = this.streams.every(stream => {
+            const segments = stream.details.segments;
+            const last = segments[segments.length - 1];
+            
+            return !stream.loading && !stream.sourceBuffer.updating && (!last || stream.nextSn > last.sn);
+        });
+        
+        if (done) {
+            this.mediaSource.endOfStream();
+        }
+    }
+
+    /**
+     * Restart loading from the seek target when it is not buffered
+     */
+    onSeeking() {
+        const currentTime = this.video.currentTime;
+        
+        this.streams.forEach(stream => {
+            const segment = this.getSegmentAt(stream, this.getBufferedEnd(stream, currentTime));
+            if (!segment) return;
+            
+            if (stream.loading) {
+                if (stream.loading.segment.sn === segment.sn) return;
+                
+                stream.loading.controller.abort();
+                stream.loading.segment.state = 'idle';
+                stream.loading = null;
+            }
+            
+            stream.nextSn = segment.sn;
+        });
+        
+        this.tick();
+    }
+
+    /**
+     * Refresh a live playlist every target duration
+     */
+    scheduleRefresh(stream) {
+        const loadId = this.loadId;
+        const delay = (stream.details.targetDuration || 6) * 1000;
+        
+        stream.refreshTimer = setTimeout(async () => {
+            try {
+                const details = await this.loadLevelDetails(stream, stream.levels[stream.levelIndex]);
+                if (loadId !== this.loadId) return;
+                
+                stream.details = details;
+            } catch (error) {
+                console.warn('LionPlayer: Live playlist refresh failed:', error);
+            }
+            
+            if (loadId !== this.loadId) return;
+            
+            if (stream.details.live) {
+                this.updateLiveSeekableRange();
+                this.scheduleRefresh(stream);
+            } else {
+                this.live = this.streams.some(s => s.details.live);
+            }
+            
+            this.tick();
+        }, delay);
+    }
+
+    /**
+     * Get the position to start live playback from
+     */
+    getLiveStartTime() {
+        const stream = this.streams[0];
+        const segments = stream.details.segments;
+        if (!segments.length) return 0;
+        
+        const offset = this.options.liveSyncDurationCount * (stream.details.targetDuration || segments[0].duration);
+        return Math.max(segments[0].start, this.duration() - offset);
+    }
+
+    /**
+     * Seek back into the live window
+     */
+    seekToLiveEdge() {
+        this.video.currentTime = this.getLiveStartTime();
+    }
+
+    /**
+     * Expose the live window as the seekable range
+     */
+    updateLiveSeekableRange() {
+        const segments = this.streams[0].details.segments;
+        
+        if (segments.length && this.mediaSource.readyState === 'open' && this.mediaSource.setLiveSeekableRange) {
+            this.mediaSource.setLiveSeekableRange(segments[0].start, this.duration());
+        }
+    }
+
+    /**
+     * Find the segment that covers a time
+     */
+    getSegmentAt(stream, time) {
+        return stream.details.segments.find(segment => time + 0.05 < segment.start + segment.duration) || null;
+    }
+
+    /**
+     * Get the end of the buffered range containing a time
+     */
+    getBufferedEnd(stream, time) {
+        const buffered = stream.sourceBuffer ? stream.sourceBuffer.buffered : EMPTY_TIME_RANGES;
+        
+        for (let i = 0; i < buffered.length; i++) {
+            if (buffered.start(i) - 0.1 <= time && time <= buffered.end(i)) {
+                return buffered.end(i);
+            }
+        }
+        
+        return time;
+    }
+
+    /**
+     * Get the segments currently being downloaded
+     */
+    getLoadingSegments() {
+        return this.streams.filter(stream => stream.loading).map(stream => stream.loading.segment);
+    }
+
+    /**
+     * Check if the source is live
+     */
+    isLive() {
+        return this.live;
+    }
+
+    /**
+     * Get the duration from the manifest, or the live edge for live streams
+     */
+    duration() {
+        if (!this.streams.length || !this.streams.every(stream => stream.details)) {
+            return super.duration();
+        }
+        
+        return Math.max(...this.streams.map(stream => {
+            const segments = stream.details.segments;
+            const last = segments[segments.length - 1];
+            return last ? last.start + last.duration : 0;
+        }));
+    }
+
+    /**
+     * Report a fatal error and stop loading
+     */
+    fail(error) {
+        this.stop();
+        this.player.onTechError({ message: error.message, error });
+    }
+
+    /**
+     * Stop timers and pending downloads
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        
+        this.streams.forEach(stream => {
+            clearTimeout(stream.refreshTimer);
+            
+            if (stream.loading) {
+                stream.loading.controller.abort();
+                stream.loading = null;
+            }
+        });
+    }
+
+    /**
+     * Reset state between sources
+     */
+    reset() {
+        this.stop();
+        this.loadId++;
+        this.streams = [];
+        this.live = false;
+        this.startTime = null;
+        this.autoQuality = this.player.state.quality === 'auto';
+        this.video.removeEventListener('seeking', this.onVideoSeeking);
+        
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+        
+        this.mediaSource = null;
+    }
+
+    dispose() {
+        this.reset();
+        super.dispose();
+    }
+}
+
+// Sampling frequencies by ADTS sampling_frequency_index
+const ADTS_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+/**
+ * Check if a codecs string entry names an audio codec
+ */
+function isAudioCodec(codec) {
+    return /^(mp4a|ac-3|ec-3|opus|flac|alac)/i.test(codec.trim());
+}
+
+/**
+ * Join byte arrays into one Uint8Array
+ */
+function concatBytes(parts) {
+    const bytes = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    
+    parts.forEach(part => {
+        bytes.set(part, offset);
+        offset += part.length;
+    });
+    
+    return bytes;
+}
+
+function uint32Bytes(value) {
+    return [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+}
+
+function asciiBytes(text) {
+    return Array.from(text, char => char.charCodeAt(0));
+}
+
+function hexBytes(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Error for MPEG-TS segments the transmuxer can't handle, which the HLS
+ * tech hands to native playback when the browser has it
+ */
+function tsError(message) {
+    const error = new Error(message);
+    error.code = 'MPEG_TS_UNSUPPORTED';
+    return error;
+}
+
+/**
+ * Read a 33-bit PES timestamp in 90 kHz units
+ */
+function readPesTimestamp(bytes, offset) {
+    return (bytes[offset] & 0x0e) * 536870912 +
+        bytes[offset + 1] * 4194304 +
+        (bytes[offset + 2] & 0xfe) * 16384 +
+        bytes[offset + 3] * 128 +
+        (bytes[offset + 4] >> 1);
+}
+
+/**
+ * Collect the PES packets of the first H.264 video and AAC audio streams
+ * of an MPEG-TS segment as {video, audio} lists of {pts, dts, data}
+ */
+function demuxTs(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const packets = { video: [], audio: [] };
+    const pending = { video: null, audio: null };
+    let pmtPid = -1;
+    let videoPid = -1;
+    let audioPid = -1;
+    
+    const flush = type => {
+        const data = pending[type] && concatBytes(pending[type]);
+        pending[type] = null;
+        
+        // A PES packet starts with the 00 00 01 prefix
+        if (!data || data.length < 9 || data[0] !== 0 || data[1] !== 0 || data[2] !== 1) return;
+        
+        const pts = data[7] & 0x80 ? readPesTimestamp(data, 9) : null;
+        const dts = data[7] & 0x40 ? readPesTimestamp(data, 14) : pts;
+        
+        packets[type].push({ pts, dts, data: data.subarray(9 + data[8]) });
+    };
+    
+    for (let offset = 0; offset + 188 <= bytes.length; offset += 188) {
+        if (bytes[offset] !== 0x47) {
+            throw tsError('Invalid MPEG-TS segment: lost packet sync');
+        }
+        
+        const pid = ((bytes[offset + 1] & 0x1f) << 8) | bytes[offset + 2];
+        const control = bytes[offset + 3] >> 4;
+        const end = offset + 188;
+        let start = offset + 4;
+        
+        // Skip the adaptation field, and packets that only carry one
+        if (control & 2) {
+            start += bytes[start] + 1;
+        }
+        
+        if (!(control & 1) || start >= end) continue;
+        
+        if (pid === 0 || pid === pmtPid) {
+            // Program tables follow a pointer field
+            const table = start + bytes[start] + 1;
+            const tableEnd = Math.min(end, table + 3 + (((bytes[table + 1] & 0x0f) << 8) | bytes[table + 2]) - 4);
+            
+            if (pid === 0) {
+                // Program 0 points at network information, not a program map
+                for (let i = table + 8; i + 4 <= tableEnd; i += 4) {
+                    if (bytes[i] || bytes[i + 1]) {
+                        pmtPid = ((bytes[i + 2] & 0x1f) << 8) | bytes[i + 3];
+                        break;
+                    }
+                }
+            } else {
+                let i = table + 12 + (((bytes[table + 10] & 0x0f) << 8) | bytes[table + 11]);
+                
+                while (i + 5 <= tableEnd) {
+                    const streamType = bytes[i];
+                    const streamPid = ((bytes[i + 1] & 0x1f) << 8) | bytes[i + 2];
+                    
+                    if (streamType === 0x1b && videoPid < 0) {
+                        videoPid = streamPid;
+                    } else if (streamType === 0x0f && audioPid < 0) {
+                        audioPid = streamPid;
+                    }
+                    
+                    i += 5 + (((bytes[i + 3] & 0x0f) << 8) | bytes[i + 4]);
+                }
+            }
+        } else if (pid === videoPid || pid === audioPid) {
+            const type = pid === videoPid ? 'video' : 'audio';
+            
+            if (bytes[offset + 1] & 0x40) {
+                flush(type);
+                pending[type] = [];
+            }
+            
+            if (pending[type]) {
+                pending[type].push(bytes.subarray(start, end));
+            }
+        }
+    }
+    
+    flush('video');
+    flush('audio');
+    
+    return packets;
+}
+
+/**
+ * Split H.264 Annex B data into NAL units
+ */
+function splitNalUnits(data) {
+    const units = [];
+    let start = -1;
+    
+    const push = end => {
+        // The zero before a four-byte start code isn't part of the unit
+        while (end > start && data[end - 1] === 0) end--;
+        if (end > start) units.push(data.subarray(start, end));
+    };
+    
+    for (let i = 0; i + 2 < data.length; i++) {
+        if (data[i] === 0 && data[i + 1] === 0 && data[i + 2] === 1) {
+            if (start >= 0) push(i);
+            start = i + 3;
+            i += 2;
+        }
+    }
+    
+    if (start >= 0) push(data.length);
+    
+    return units;
+}
+
+/**
+ * Read the picture size from an H.264 sequence parameter set NAL unit
+ */
+function parseH264Sps(sps) {
+    // Drop the NAL header and the emulation prevention bytes (00 00 03)
+    const bytes = [];
+    let zeros = 0;
+    
+    for (let i = 1; i < sps.length; i++) {
+        if (zeros >= 2 && sps[i] === 3) {
+            zeros = 0;
+            continue;
+        }
+        
+        bytes.push(sps[i]);
+        zeros = sps[i] === 0 ? zeros + 1 : 0;
+    }
+    
+    let position = 0;
+    const readBit = () => (bytes[position >> 3] >> (7 - (position++ & 7))) & 1;
+    const readBits = count => {
+        let value = 0;
+        for (let i = 0; i < count; i++) value = value * 2 + readBit();
+        return value;
+    };
+    const readUe = () => {
+        let leadingZeros = 0;
+        while (!readBit() && leadingZeros < 32) leadingZeros++;
+        return Math.pow(2, leadingZeros) - 1 + readBits(leadingZeros);
+    };
+    const readSe = () => {
+        const value = readUe();
+        return value & 1 ? (value + 1) / 2 : -value / 2;
+    };
+    
+    // Profile, then the constraint flags, level and parameter set id
+    const profile = readBits(8);
+    readBits(16);
+    readUe();
+    
+    // High profiles carry chroma, bit depth and scaling matrices first
+    if ([100, 110, 122, 244, 44, 83, 86, 118, 128, 138, 139, 134, 135].includes(profile)) {
+        const chromaFormat = readUe();
+        if (chromaFormat === 3) readBit();
+        readUe();
+        readUe();
+        readBit();
+        
+        if (readBit()) {
+            for (let i = 0; i < (chromaFormat === 3 ? 12 : 8); i++) {
+                if (!readBit()) continue;
+                
+                let last = 8;
+                let next = 8;
+                
+                for (let j = 0; j < (i < 6 ? 16 : 64); j++) {
+                    if (next !== 0) next = (last + readSe() + 256) % 256;
+                    last = next === 0 ? last : next;
+                }
+            }
+        }
+    }
+    
+    // Frame numbering and picture order count
+    readUe();
+    
+    const pocType = readUe();
+    if (pocType === 0) {
+        readUe();
+    } else if (pocType === 1) {
+        readBit();
+        readSe();
+        readSe();
+        
+        const cycle = readUe();
+        for (let i = 0; i < cycle; i++) readSe();
+    }
+    
+    // Reference frames, then the size in macroblocks and cropping
+    readUe();
+    readBit();
+    
+    const widthInMbs = readUe() + 1;
+    const heightInMapUnits = readUe() + 1;
+    const frameMbsOnly = readBit();
+    if (!frameMbsOnly) readBit();
+    readBit();
+    
+    const crop = readBit() ? [readUe(), readUe(), readUe(), readUe()] : [0, 0, 0, 0];
+    
+    return {
+        width: widthInMbs * 16 - (crop[0] + crop[1]) * 2,
+        height: (2 - frameMbsOnly) * heightInMapUnits * 16 - (crop[2] + crop[3]) * (frameMbsOnly ? 2 : 4)
+    };
+}
+
+/**
+ * Build an ISO BMFF box from its type and payload parts
+ */
+function mp4Box(type, ...parts) {
+    return concatBytes([uint32Bytes(parts.reduce((size, part) => size + part.length, 8)), asciiBytes(type), ...parts]);
+}
+
+/**
+ * Build the fMP4 initialization segment (ftyp and moov) for transmuxed tracks
+ */
+function buildMp4Init(tracks) {
+    const zeros = count => new Array(count).fill(0);
+    const matrix = [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000].flatMap(uint32Bytes);
+    
+    const traks = tracks.map(track => {
+        const video = track.type === 'video';
+        const sampleEntry = video ?
+            mp4Box('avc1',
+                zeros(6), [0, 1], zeros(16),
+                [track.width >> 8, track.width & 0xff, track.height >> 8, track.height & 0xff],
+                uint32Bytes(0x00480000), uint32Bytes(0x00480000), zeros(4), [0, 1], zeros(32), [0, 0x18, 0xff, 0xff],
+                mp4Box('avcC',
+                    [1, track.sps[1], track.sps[2], track.sps[3], 0xff, 0xe1, track.sps.length >> 8, track.sps.length & 0xff], track.sps,
+                    [1, track.pps.length >> 8, track.pps.length & 0xff], track.pps)) :
+            mp4Box('mp4a',
+                zeros(6), [0, 1], zeros(8), [0, track.channels, 0, 16], zeros(4),
+                [(track.sampleRate >> 8) & 0xff, track.sampleRate & 0xff, 0, 0],
+                mp4Box('esds',
+                    zeros(4),
+                    [0x03, 23 + track.config.length, 0, track.id, 0],
+                    [0x04, 15 + track.config.length, 0x40, 0x15], zeros(11),
+                    [0x05, track.config.length], track.config,
+                    [0x06, 1, 2]));
+        
+        return mp4Box('trak',
+            mp4Box('tkhd', [0, 0, 0, 3], zeros(8), uint32Bytes(track.id), zeros(20), video ? [0, 0] : [1, 0], zeros(2), matrix,
+                uint32Bytes((track.width || 0) * 65536), uint32Bytes((track.height || 0) * 65536)),
+            mp4Box('mdia',
+                mp4Box('mdhd', zeros(12), uint32Bytes(track.timescale), zeros(4), [0x55, 0xc4, 0, 0]),
+                mp4Box('hdlr', zeros(8), asciiBytes(video ? 'vide' : 'soun'), zeros(13)),
+                mp4Box('minf',
+                    video ? mp4Box('vmhd', [0, 0, 0, 1], zeros(8)) : mp4Box('smhd', zeros(8)),
+                    mp4Box('dinf', mp4Box('dref', zeros(4), [0, 0, 0, 1], mp4Box('url ', [0, 0, 0, 1]))),
+                    mp4Box('stbl',
+                        mp4Box('stsd', zeros(4), [0, 0, 0, 1], sampleEntry),
+                        mp4Box('stts', zeros(8)),
+                        mp4Box('stsc', zeros(8)),
+                        mp4Box('stsz', zeros(12)),
+                        mp4Box('stco', zeros(8))))));
+    });
+    
+    return concatBytes([
+        mp4Box('ftyp', asciiBytes('isom'), uint32Bytes(1), asciiBytes('isom'), asciiBytes('avc1')),
+        mp4Box('moov',
+            mp4Box('mvhd', zeros(12), uint32Bytes(90000), zeros(4), uint32Bytes(0x00010000), [1, 0], zeros(10), matrix, zeros(24), uint32Bytes(0xffffffff)),
+            ...traks,
+            mp4Box('mvex', ...tracks.map(track => mp4Box('trex', zeros(4), uint32Bytes(track.id), uint32Bytes(1), zeros(12)))))
+    ]);
+}
+
+/**
+ * Build a moof and mdat pair holding the samples of one track
+ */
+function buildMp4Fragment(track, sequence) {
+    const samples = track.samples;
+    const trun = [0, 0, 0x0f, 0x01, ...uint32Bytes(samples.length), 0, 0, 0, 0];
+    
+    samples.forEach(sample => {
+        // Key frames depend on no other sample; the rest are not sync samples
+        const flags = sample.key ? 0x02000000 : 0x01010000;
+        trun.push(...uint32Bytes(sample.duration), ...uint32Bytes(sample.data.length), ...uint32Bytes(flags), ...uint32Bytes(sample.cts));
+    });
+    
+    const moof = () => mp4Box('moof',
+        mp4Box('mfhd', [0, 0, 0, 0], uint32Bytes(sequence)),
+        mp4Box('traf',
+            mp4Box('tfhd', [0, 0x02, 0, 0], uint32Bytes(track.id)),
+            mp4Box('tfdt', [1, 0, 0, 0], uint32Bytes(Math.floor(track.baseTime / 4294967296)), uint32Bytes(track.baseTime % 4294967296)),
+            mp4Box('trun', trun)));
+    
+    // The sample data starts right after the moof and the mdat header
+    trun.splice(8, 4, ...uint32Bytes(moof().length + 8));
+    
+    return concatBytes([moof(), mp4Box('mdat', ...samples.map(sample => sample.data))]);
+}
+
+/**
+ * Transmux an MPEG-TS segment with H.264 video and AAC audio into fMP4.
+ * Returns {init, data, codecs, initKey}, where initKey changes whenever
+ * the initialization segment does.
+ */
+function transmuxTs(buffer, sequence) {
+    const packets = demuxTs(buffer);
+    const tracks = [];
+    const videoSamples = [];
+    const audioSamples = [];
+    let sps = null;
+    let pps = null;
+    let audioConfig = null;
+    let audioPts = null;
+    
+    // Each PES packet holds one access unit, minus the parameter sets and delimiters
+    packets.video.forEach(packet => {
+        const parts = [];
+        let key = false;
+        
+        splitNalUnits(packet.data).forEach(unit => {
+            const type = unit[0] & 0x1f;
+            
+            if (type === 7) {
+                sps = sps || unit;
+            } else if (type === 8) {
+                pps = pps || unit;
+            } else if (type !== 9) {
+                parts.push(uint32Bytes(unit.length), unit);
+                key = key || type === 5;
+            }
+        });
+        
+        if (!parts.length) return;
+        
+        const previous = videoSamples[videoSamples.length - 1];
+        
+        // A packet without a timestamp continues the previous access unit
+        if (packet.pts === null) {
+            if (previous) {
+                previous.data = concatBytes([previous.data, ...parts]);
+                previous.key = previous.key || key;
+            }
+            return;
+        }
+        
+        videoSamples.push({ pts: packet.pts, dts: packet.dts, key, data: concatBytes(parts) });
+    });
+    
+    // ADTS frames of 1024 samples each
+    packets.audio.forEach(packet => {
+        const data = packet.data;
+        
+        if (packet.pts !== null) {
+            audioPts = packet.pts;
+        }
+        
+        for (let i = 0; i + 7 <= data.length && audioPts !== null;) {
+            if (data[i] !== 0xff || (data[i + 1] & 0xf6) !== 0xf0) {
+                i++;
+                continue;
+            }
+            
+            const length = ((data[i + 3] & 0x03) << 11) | (data[i + 4] << 3) | (data[i + 5] >> 5);
+            const header = data[i + 1] & 0x01 ? 7 : 9;
+            if (length <= header || i + length > data.length) break;
+            
+            if (!audioConfig) {
+                audioConfig = {
+                    objectType: (data[i + 2] >> 6) + 1,
+                    rateIndex: (data[i + 2] >> 2) & 0x0f,
+                    channels: ((data[i + 2] & 0x01) << 2) | (data[i + 3] >> 6)
+                };
+                audioConfig.sampleRate = ADTS_SAMPLE_RATES[audioConfig.rateIndex] || 44100;
+            }
+            
+            audioSamples.push({ pts: audioPts, data: data.subarray(i + header, i + length) });
+            audioPts += 1024 * 90000 / audioConfig.sampleRate;
+            i += length;
+        }
+    });
+    
+    if (videoSamples.length && sps && pps) {
+        videoSamples.forEach((sample, index) => {
+            const next = videoSamples[index + 1];
+            sample.duration = next ? Math.max(0, next.dts - sample.dts) : (index ? videoSamples[index - 1].duration : 3000);
+            sample.cts = Math.max(0, sample.pts - sample.dts);
+        });
+        
+        tracks.push(Object.assign({
+            type: 'video',
+            codec: `avc1.${hexBytes(sps.subarray(1, 4))}`,
+            timescale: 90000,
+            sps,
+            pps,
+            baseTime: videoSamples[0].dts,
+            samples: videoSamples
+        }, parseH264Sps(sps)));
+    }
+    
+    if (audioSamples.length) {
+        const { objectType, rateIndex, channels, sampleRate } = audioConfig;
+        
+        tracks.push({
+            type: 'audio',
+            codec: `mp4a.40.${objectType}`,
+            timescale: sampleRate,
+            sampleRate,
+            channels,
+            config: [(objectType << 3) | (rateIndex >> 1), ((rateIndex & 1) << 7) | (channels << 3)],
+            baseTime: Math.round(audioSamples[0].pts * sampleRate / 90000),
+            samples: audioSamples.map(sample => ({ data: sample.data, duration: 1024, cts: 0, key: true }))
+        });
+    }
+    
+    if (!tracks.length) {
+        throw tsError('MPEG-TS segment has no H.264 video or AAC audio');
+    }
+    
+    tracks.forEach((track, index) => {
+        track.id = index + 1;
+    });
+    
+    return {
+        init: buildMp4Init(tracks),
+        data: concatBytes(tracks.map(track => buildMp4Fragment(track, sequence))),
+        codecs: tracks.map(track => track.codec).join(','),
+        initKey: tracks.map(track => (track.type === 'video' ? hexBytes(track.sps) + hexBytes(track.pps) : hexBytes(track.config))).join('-')
+    };
+}
+
+/**
+ * HLS tech for browsers without native HLS playback
+ */
+class HlsTech extends StreamingTech {
+    constructor(player, options = {}) {
+        super(player, Object.assign({}, DEFAULT_CONFIG.hls, options));
+        
+        this.audioRenditions = [];
+    }
+
+    /**
+     * Check if this tech can play a source
+     */
+    static canPlaySource(source) {
+        return /mpegurl/i.test(source.type);
+    }
+
+    async createStreams() {
+        const url = new URL(this.source.src, document.baseURI).href;
+        const text = await this.fetchData(url, { responseType: 'text' });
+        const playlist = parseHlsPlaylist(text, url);
+        
+        // A media playlist is a single level
+        const variants = playlist.type === 'master' ?
+            playlist.variants :
+            [{ uri: url, bandwidth: 0, codecs: '', width: 0, height: 0, playlist }];
+        
+        // Sort for ABR but start with the first listed variant, as the spec recommends
+        const levels = variants.slice().sort((a, b) => a.bandwidth - b.bandwidth);
+        const main = { type: 'main', levels, levelIndex: levels.indexOf(variants[0]) };
+        
+        // Audio renditions with their own playlists play as a separate stream
+        this.audioRenditions = playlist.media.filter(media => (
+            media.type === 'AUDIO' && media.groupId === variants[0].audio && media.uri
+        ));
+        
+        const rendition = this.selectAudioRendition(this.player.state.accessibilityFeatures.audioDescriptions);
+        if (!rendition) return [main];
+        
+        // The variants then carry video only
+        const audioCodecs = variants[0].codecs.split(',').filter(isAudioCodec).map(codec => codec.trim()).join(',');
+        levels.forEach(level => {
+            level.codecs = level.codecs.split(',').filter(codec => codec && !isAudioCodec(codec)).join(',');
+        });
+        
+        return [main, { type: 'audio', levels: [this.createAudioLevel(rendition, audioCodecs)], levelIndex: 0 }];
+    }
+
+    /**
+     * Pick the audio rendition in the player's language, then the default one,
+     * with or without description
+     */
+    selectAudioRendition(described) {
+        const language = this.player.state.currentLanguage;
+        const candidates = this.audioRenditions.filter(rendition => rendition.describes === described);
+        const pool = candidates.length ? candidates : this.audioRenditions;
+        
+        return pool.find(rendition => rendition.language.split('-')[0] === language) ||
+            pool.find(rendition => rendition.default) ||
+            pool[0] || null;
+    }
+
+    hasDescribedAudio() {
+        return this.audioRenditions.some(rendition => rendition.describes);
+    }
+
+    /**
+     * Move the audio stream to the described or the main rendition
+     */
+    async setDescribedAudio(enabled) {
+        const stream = this.streams.find(entry => entry.type === 'audio');
+        const rendition = this.selectAudioRendition(enabled);
+        if (!stream || !rendition || rendition === stream.levels[0].rendition || stream.switching) return;
+        
+        await this.replaceAudioLevels(stream, [this.createAudioLevel(rendition, stream.levels[0].codecs)], 0);
+    }
+
+    createAudioLevel(rendition, codecs) {
+        return { uri: rendition.uri, bandwidth: 0, codecs, width: 0, height: 0, rendition };
+    }
+
+    async loadLevelDetails(stream, level) {
+        let playlist = level.playlist;
+        level.playlist = null;
+        
+        if (!playlist) {
+            const text = await this.fetchData(level.uri, { responseType: 'text' });
+            playlist = parseHlsPlaylist(text, level.uri);
+        }
+        
+        if (playlist.encrypted) {
+            throw new Error('Encrypted HLS streams are not supported');
+        }
+        
+        // Without CODECS, MPEG-TS levels get theirs from the first segment
+        if (!level.codecs && this.getContainer(playlist) === 'mp2t' && playlist.segments.length) {
+            const first = playlist.segments[0];
+            const data = await this.fetchData(first.uri, { byteRange: first.byteRange });
+            level.codecs = transmuxTs(data, 1).codecs;
+        }
+        
+        // Keep live segment times continuous across playlist refreshes
+        const previous = stream.details;
+        if (!playlist.endList && previous && previous.segments.length && playlist.segments.length) {
+            const anchor = previous.segments.find(segment => segment.sn === playlist.segments[0].sn);
+            const last = previous.segments[previous.segments.length - 1];
+            const offset = anchor ? anchor.start : last.start + last.duration;
+            
+            playlist.segments.forEach(segment => {
+                const known = previous.segments.find(s => s.sn === segment.sn);
+                segment.start += offset;
+                segment.state = known ? known.state : segment.state;
+            });
+        }
+        
+        return {
+            segments: playlist.segments,
+            initSegment: playlist.initSegment,
+            live: !playlist.endList,
+            targetDuration: playlist.targetDuration
+        };
+    }
+
+    /**
+     * MPEG-TS is transmuxed, so every level plays as fMP4
+     */
+    getMimeType(stream, level) {
+        const fallback = stream.type === 'audio' ? 'mp4a.40.2' : `avc1.42E01E${this.audioRenditions.length ? '' : ',mp4a.40.2'}`;
+        const codecs = level.codecs || fallback;
+        
+        return `${codecs.split(',').every(isAudioCodec) ? 'audio' : 'video'}/mp4; codecs="${codecs}"`;
+    }
+
+    /**
+     * Transmux MPEG-TS segments, appending a new initialization segment
+     * whenever the codec setup changes
+     */
+    remuxSegment(stream, segment, data) {
+        if (this.getContainer(stream.details) !== 'mp2t') {
+            return [data];
+        }
+        
+        // The key stands in for the EXT-X-MAP URI of fMP4 streams
+        const output = transmuxTs(data, segment.sn + 1);
+        if (stream.initUri === output.initKey) {
+            return [output.data];
+        }
+        
+        stream.initUri = output.initKey;
+        return [output.init, output.data];
+    }
+
+    /**
+     * Get the segment container of a playlist, fMP4 ('mp4') or MPEG-TS ('mp2t')
+     */
+    getContainer(details) {
+        const firstUri = details.segments.length ? details.segments[0].uri.split(/[?#]/)[0] : '';
+        return details.initSegment || /\.(mp4|m4s|m4v)$/i.test(firstUri) ? 'mp4' : 'mp2t';
+    }
+
+    /**
+     * Hand MPEG-TS streams the transmuxer can't read to the browser's own HLS
+     * playback when it has one, otherwise report the error so the player
+     * moves on to the next source
+     */
+    fail(error) {
+        if (error.code === 'MPEG_TS_UNSUPPORTED' && this.video.canPlayType('application/vnd.apple.mpegurl')) {
+            const source = this.source;
+            this.reset();
+            Html5Tech.prototype.load.call(this, source);
+            return;
+        }
+        
+        super.fail(error);
+    }
+}
+
+/**
+ * Parse an ISO 8601 duration (PT1H2M3.5S) into seconds
+ */
+function parseIsoDuration(value) {
+    const match = /^P(?:([\d.]+)Y)?(?:([\d.]+)M)?(?:([\d.]+)D)?(?:T(?:([\d.]+)H)?(?:([\d.]+)M)?(?:([\d.]+)S)?)?$/.exec(value || '');
+    if (!match) return 0;
+    
+    const [years, months, days, hours, minutes, seconds] = match.slice(1).map(part => parseFloat(part) || 0);
+    return (years * 365 + months * 30 + days) * 86400 + hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Check if an adaptation set is audio description, signalled by a "description"
+ * Role or the TV-Anytime audio purpose for the visually impaired
+ */
+function isDashAudioDescription(set) {
+    return childElements(set, 'Role').some(role => role.getAttribute('value') === 'description') ||
+        childElements(set, 'Accessibility').some(descriptor =>
+            descriptor.getAttribute('schemeIdUri') === 'urn:tva:metadata:cs:AudioPurposeCS:2007' &&
+            descriptor.getAttribute('value') === '1');
+}
+
+/**
+ * Parse a DASH byte range (start-end)
+ */
+function parseDashRange(value) {
+    if (!value) return null;
+    
+    const [start, end] = value.split('-').map(Number);
+    return { offset: start, length: end - start + 1 };
+}
+
+/**
+ * Fill a DASH segment URL template
+ */
+function fillDashTemplate(template, values) {
+    return template
+        .replace(/\$(RepresentationID|Number|Bandwidth|Time)(?:%0(\d+)d)?\$/g, (match, name, width) => {
+            const value = String(values[name]);
+            return width ? value.padStart(parseInt(width, 10), '0') : value;
+        })
+        .replace(/\$\$/g, '$');
+}
+
+/**
+ * Get the child elements of an XML node by local name
+ */
+function childElements(node, name) {
+    return Array.from(node.children).filter(child => child.localName === name);
+}
+
+/**
+ * Read the attributes of several XML nodes, later nodes taking precedence
+ */
+function mergeAttributes(nodes) {
+    const attributes = {};
+    
+    nodes.forEach(node => {
+        Array.from(node.attributes).forEach(attribute => {
+            attributes[attribute.name] = attribute.value;
+        });
+    });
+    
+    return attributes;
+}
+
+/**
+ * Read the segment addressing of a representation. SegmentTemplate,
+ * SegmentList and SegmentBase can be set on the Period, AdaptationSet or
+ * Representation, the innermost one winning.
+ */
+function readDashAddressing(nodes, representation) {
+    const find = name => nodes.map(node => childElements(node, name)[0]).filter(Boolean);
+    const resolve = uri => new URL(uri, representation.baseUrl).href;
+    
+    const templates = find('SegmentTemplate');
+    if (templates.length) {
+        const attributes = mergeAttributes(templates);
+        const timelines = templates.map(node => childElements(node, 'SegmentTimeline')[0]).filter(Boolean);
+        const values = { RepresentationID: representation.id, Bandwidth: representation.bandwidth };
+        
+        return {
+            template: {
+                media: attributes.media,
+                timescale: parseInt(attributes.timescale, 10) || 1,
+                duration: parseInt(attributes.duration, 10) || 0,
+                startNumber: attributes.startNumber !== undefined ? parseInt(attributes.startNumber, 10) : 1,
+                presentationTimeOffset: parseInt(attributes.presentationTimeOffset, 10) || 0,
+                timeline: timelines.length ? childElements(timelines.pop(), 'S').map(entry => ({
+                    t: entry.hasAttribute('t') ? parseInt(entry.getAttribute('t'), 10) : null,
+                    d: parseInt(entry.getAttribute('d'), 10),
+                    r: parseInt(entry.getAttribute('r') || '0', 10)
+                })) : null
+            },
+            initSegment: attributes.initialization ?
+                { uri: resolve(fillDashTemplate(attributes.initialization, values)), byteRange: null } :
+                null
+        };
+    }
+    
+    const lists = find('SegmentList');
+    if (lists.length) {
+        const attributes = mergeAttributes(lists);
+        const list = lists[lists.length - 1];
+        const initialization = lists.map(node => childElements(node, 'Initialization')[0]).filter(Boolean).pop();
+        
+        return {
+            list: {
+                timescale: parseInt(attributes.timescale, 10) || 1,
+                duration: parseInt(attributes.duration, 10) || 0,
+                startNumber: attributes.startNumber !== undefined ? parseInt(attributes.startNumber, 10) : 1,
+                urls: childElements(list, 'SegmentURL').map(url => ({
+                    uri: url.hasAttribute('media') ? resolve(url.getAttribute('media')) : representation.baseUrl,
+                    byteRange: parseDashRange(url.getAttribute('mediaRange'))
+                }))
+            },
+            initSegment: initialization ? {
+                uri: initialization.hasAttribute('sourceURL') ? resolve(initialization.getAttribute('sourceURL')) : representation.baseUrl,
+                byteRange: parseDashRange(initialization.getAttribute('range'))
+            } : null
+        };
+    }
+    
+    const bases = find('SegmentBase');
+    if (bases.length) {
+        const attributes = mergeAttributes(bases);
+        const initialization = bases.map(node => childElements(node, 'Initialization')[0]).filter(Boolean).pop();
+        
+        return {
+            base: {
+                indexRange: parseDashRange(attributes.indexRange)
+            },
+            initSegment: initialization ? {
+                uri: representation.baseUrl,
+                byteRange: parseDashRange(initialization.getAttribute('range'))
+            } : null
+        };
+    }
+    
+    return { initSegment: null };
+}
+
+/**
+ * Parse a DASH MPD manifest. Only the first Period is played.
+ */
+function parseDashManifest(text, baseUrl) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const mpd = doc.documentElement;
+    
+    if (!mpd || mpd.localName !== 'MPD') {
+        throw new Error('Invalid DASH manifest: missing MPD element');
+    }
+    
+    const resolveBase = (node, base) => {
+        const element = childElements(node, 'BaseURL')[0];
+        return element ? new URL(element.textContent.trim(), base).href : base;
+    };
+    
+    const manifest = {
+        dynamic: mpd.getAttribute('type') === 'dynamic',
+        availabilityStartTime: Date.parse(mpd.getAttribute('availabilityStartTime') || '') || 0,
+        minimumUpdatePeriod: parseIsoDuration(mpd.getAttribute('minimumUpdatePeriod')),
+        timeShiftBufferDepth: parseIsoDuration(mpd.getAttribute('timeShiftBufferDepth')),
+        duration: parseIsoDuration(mpd.getAttribute('mediaPresentationDuration')),
+        adaptationSets: []
+    };
+    
+    const period = childElements(mpd, 'Period')[0];
+    if (!period) {
+        throw new Error('Invalid DASH manifest: no Period found');
+    }
+    
+    const periodInfo = {
+        start: parseIsoDuration(period.getAttribute('start')),
+        duration: parseIsoDuration(period.getAttribute('duration')) || manifest.duration
+    };
+    const periodBase = resolveBase(period, resolveBase(mpd, baseUrl));
+    
+    childElements(period, 'AdaptationSet').forEach((set, index) => {
+        const setBase = resolveBase(set, periodBase);
+        const setMimeType = set.getAttribute('mimeType') || '';
+        const adaptationSet = {
+            index,
+            contentType: set.getAttribute('contentType') || setMimeType.split('/')[0],
+            lang: set.getAttribute('lang') || '',
+            describes: isDashAudioDescription(set),
+            representations: []
+        };
+        
+        childElements(set, 'Representation').forEach(element => {
+            const representation = {
+                id: element.getAttribute('id'),
+                bandwidth: parseInt(element.getAttribute('bandwidth'), 10) || 0,
+                width: parseInt(element.getAttribute('width') || set.getAttribute('width'), 10) || 0,
+                height: parseInt(element.getAttribute('height') || set.getAttribute('height'), 10) || 0,
+                codecs: element.getAttribute('codecs') || set.getAttribute('codecs') || '',
+                mimeType: element.getAttribute('mimeType') || setMimeType,
+                baseUrl: resolveBase(element, setBase),
+                period: periodInfo,
+                adaptationSet: index
+            };
+            
+            Object.assign(representation, readDashAddressing([period, set, element], representation));
+            adaptationSet.representations.push(representation);
+        });
+        
+        if (!adaptationSet.contentType && adaptationSet.representations.length) {
+            adaptationSet.contentType = adaptationSet.representations[0].mimeType.split('/')[0];
+        }
+        
+        manifest.adaptationSets.push(adaptationSet);
+    });
+    
+    return manifest;
+}
+
+/**
+ * Expand the segments of a SegmentTemplate or SegmentList representation
+ */
+function buildDashSegments(representation, manifest, now) {
+    const { period } = representation;
+    const segments = [];
+    
+    if (representation.template) {
+        const template = representation.template;
+        const values = { RepresentationID: representation.id, Bandwidth: representation.bandwidth };
+        
+        const push = (number, time, duration) => {
+            segments.push({
+                sn: number,
+                uri: new URL(fillDashTemplate(template.media, Object.assign({ Number: number, Time: time }, values)), representation.baseUrl).href,
+                start: period.start + (time - template.presentationTimeOffset) / template.timescale,
+                duration: duration / template.timescale,
+                byteRange: null,
+                state: 'idle'
+            });
+        };
+        
+        // Seconds since the period started, for open-ended live timelines
+        const elapsed = manifest.dynamic ?
+            (now - manifest.availabilityStartTime) / 1000 - period.start :
+            period.duration;
+        
+        if (template.timeline) {
+            let time = 0;
+            let number = template.startNumber;
+            
+            template.timeline.forEach((entry, index) => {
+                if (entry.t !== null) {
+                    time = entry.t;
+                }
+                
+                let repeat = entry.r;
+                
+                // A negative repeat count runs until the next entry or the period end
+                if (repeat < 0) {
+                    const next = template.timeline[index + 1];
+                    const end = next && next.t !== null ?
+                        next.t :
+                        template.presentationTimeOffset + elapsed * template.timescale;
+                    repeat = Math.max(0, Math.ceil((end - time) / entry.d) - 1);
+                }
+                
+                for (let i = 0; i <= repeat; i++) {
+                    push(number++, time, entry.d);
+                    time += entry.d;
+                }
+            });
+        } else if (template.duration) {
+            // Without a duration or an availability start there is no way to count the segments
+            if (manifest.dynamic ? !manifest.availabilityStartTime : !period.duration) {
+                throw new Error(manifest.dynamic ?
+                    'DASH live manifest has no availabilityStartTime' :
+                    'DASH manifest has no Period@duration or MPD@mediaPresentationDuration');
+            }
+            
+            const segmentDuration = template.duration / template.timescale;
+            let first = 0;
+            let count = Math.ceil(period.duration / segmentDuration);
+            
+            if (manifest.dynamic) {
+                const available = Math.floor(elapsed / segmentDuration);
+                const depth = manifest.timeShiftBufferDepth ?
+                    Math.ceil(manifest.timeShiftBufferDepth / segmentDuration) :
+                    available;
+                
+                first = Math.max(0, available - depth);
+                count = available - first;
+            }
+            
+            for (let i = first; i < first + count; i++) {
+                push(template.startNumber + i, template.presentationTimeOffset + i * template.duration, template.duration);
+            }
+        }
+        
+        return segments;
+    }
+    
+    if (representation.list) {
+        const list = representation.list;
+        const duration = list.duration / list.timescale;
+        
+        return list.urls.map((url, index) => ({
+            sn: list.startNumber + index,
+            uri: url.uri,
+            start: period.start + index * duration,
+            duration,
+            byteRange: url.byteRange,
+            state: 'idle'
+        }));
+    }
+    
+    // A single self-contained file
+    return [{
+        sn: 0,
+        uri: representation.baseUrl,
+        start: period.start,
+        duration: period.duration,
+        byteRange: null,
+        state: 'idle'
+    }];
+}
+
+/**
+ * Read the references of a segment index (sidx) box
+ */
+function parseSidx(buffer, bufferOffset) {
+    const view = new DataView(buffer);
+    let offset = 0;
+    
+    while (offset + 8 <= view.byteLength) {
+        const size = view.getUint32(offset);
+        const type = String.fromCharCode(...new Uint8Array(buffer, offset + 4, 4));
+        
+        if (type === 'sidx') {
+            const version = view.getUint8(offset + 8);
+            const timescale = view.getUint32(offset + 16);
+            let cursor = offset + 20;
+            let time;
+            let firstOffset;
+            
+            if (version === 0) {
+                time = view.getUint32(cursor);
+                firstOffset = view.getUint32(cursor + 4);
+                cursor += 8;
+            } else {
+                time = Number(view.getBigUint64(cursor));
+                firstOffset = Number(view.getBigUint64(cursor + 8));
+                cursor += 16;
+            }
+            
+            const count = view.getUint16(cursor + 2);
+            let byteOffset = bufferOffset + offset + size + firstOffset;
+            const references = [];
+            cursor += 4;
+            
+            for (let i = 0; i < count; i++) {
+                const length = view.getUint32(cursor) & 0x7fffffff;
+                const duration = view.getUint32(cursor + 4);
+                
+                references.push({
+                    start: time / timescale,
+                    duration: duration / timescale,
+                    byteRange: { offset: byteOffset, length }
+                });
+                
+                time += duration;
+                byteOffset += length;
+                cursor += 12;
+            }
+            
+            return references;
+        }
+        
+        if (size < 8) break;
+        offset += size;
+    }
+    
+    throw new Error('DASH index range does not contain a sidx box');
+}
+
+/**
+ * MPEG-DASH tech
+ */
+class DashTech extends StreamingTech {
+    constructor(player, options = {}) {
+        super(player, Object.assign({}, DEFAULT_CONFIG.dash, options));
+        
+        this.manifest = null;
+        this.manifestRequest = null;
+    }
+
+    /**
+     * Check if this tech can play a source
+     */
+    static canPlaySource(source) {
+        return source.type === 'application/dash+xml';
+    }
+
+    async createStreams() {
+        this.manifestUrl = new URL(this.source.src, document.baseURI).href;
+        this.manifest = await this.loadManifest();
+        
+        const sets = this.manifest.adaptationSets.filter(set => set.representations.length);
+        const video = sets.find(set => set.contentType === 'video');
+        const audio = this.selectAudioSet(this.player.state.accessibilityFeatures.audioDescriptions);
+        
+        const streams = [video, audio].filter(Boolean).map(set => ({
+            type: set.contentType,
+            adaptationSet: set.index,
+            levels: set.representations.slice().sort((a, b) => a.bandwidth - b.bandwidth),
+            levelIndex: 0
+        }));
+        
+        if (!streams.length) {
+            throw new Error('DASH manifest has no audio or video adaptation sets');
+        }
+        
+        // Video starts on its lowest level; audio gets the best one that fits beside it
+        const videoStream = streams.find(stream => stream.type === 'video');
+        const audioStream = streams.find(stream => stream.type === 'audio');
+        if (videoStream && audioStream) {
+            audioStream.levelIndex = this.selectAudioLevel(audioStream.levels, videoStream.levels[0].bandwidth);
+        }
+        
+        return streams;
+    }
+
+    /**
+     * Pick the audio adaptation set in the player's language, with or without description
+     */
+    selectAudioSet(described) {
+        const language = this.player.state.currentLanguage;
+        const audioSets = this.manifest.adaptationSets.filter(set => set.contentType === 'audio' && set.representations.length);
+        const candidates = audioSets.filter(set => set.describes === described);
+        const pool = candidates.length ? candidates : audioSets;
+        
+        return pool.find(set => set.lang.split('-')[0] === language) || pool[0] || null;
+    }
+
+    hasDescribedAudio() {
+        return !!this.manifest && this.manifest.adaptationSets.some(set => set.contentType === 'audio' && set.describes);
+    }
+
+    /**
+     * Move the audio stream to the described or the main adaptation set
+     */
+    async setDescribedAudio(enabled) {
+        const stream = this.streams.find(entry => entry.type === 'audio');
+        const set = this.manifest && this.selectAudioSet(enabled);
+        if (!stream || !set || set.index === stream.adaptationSet || stream.switching) return;
+        
+        const current = stream.levels[stream.levelIndex];
+        const levels = set.representations.slice().sort((a, b) => a.bandwidth - b.bandwidth);
+        const index = Math.max(0, levels.filter(level => level.bandwidth <= current.bandwidth).length - 1);
+        
+        await this.replaceAudioLevels(stream, levels, index, { adaptationSet: set.index });
+    }
+
+    /**
+     * Fetch and parse the manifest, sharing one request between streams
+     */
+    loadManifest() {
+        if (!this.manifestRequest) {
+            this.manifestRequest = this.fetchData(this.manifestUrl, { responseType: 'text' })
+                .then(text => parseDashManifest(text, this.manifestUrl))
+                .finally(() => {
+                    this.manifestRequest = null;
+                });
+        }
+        
+        return this.manifestRequest;
+    }
+
+    async loadLevelDetails(stream, level) {
+        let representation = level;
+        
+        // Live manifests are re-fetched so the segment window follows the live edge
+        if (this.manifest.dynamic && stream.details) {
+            this.manifest = await this.loadManifest();
+            
+            const set = this.manifest.adaptationSets[stream.adaptationSet];
+            representation = (set && set.representations.find(r => r.id === level.id)) || level;
+        }
+        
+        const segments = representation.base ?
+            await this.loadSegmentIndex(representation) :
+            buildDashSegments(representation, this.manifest, Date.now());
+        
+        return {
+            segments,
+            initSegment: representation.initSegment,
+            live: this.manifest.dynamic,
+            targetDuration: this.manifest.minimumUpdatePeriod || (segments.length ? segments[0].duration : 2)
+        };
+    }
+
+    /**
+     * Build the segments of a SegmentBase representation from its sidx box
+     */
+    async loadSegmentIndex(representation) {
+        if (!representation.base.indexRange) {
+            return buildDashSegments(representation, this.manifest, Date.now());
+        }
+        
+        if (!representation.indexSegments) {
+            const data = await this.fetchData(representation.baseUrl, { byteRange: representation.base.indexRange });
+            
+            representation.indexSegments = parseSidx(data, representation.base.indexRange.offset).map((reference, index) => ({
+                sn: index,
+                uri: representation.baseUrl,
+                start: representation.period.start + reference.start,
+                duration: reference.duration,
+                byteRange: reference.byteRange,
+                state: 'idle'
+            }));
+        }
+        
+        return representation.indexSegments;
+    }
+
+    getMimeType(stream, level) {
+        return level.codecs ? `${level.mimeType}; codecs="${level.codecs}"` : level.mimeType;
+    }
+}
+
+/**
+ * Escape text for use in WebVTT cue markup
+ */
+function escapeCueText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Map a CSS or ASS colour to a WebVTT colour class, if one matches exactly
+ */
+function cueColorClass(red, green, blue) {
+    const classes = {
+        '255,255,255': 'white',
+        '0,255,0': 'lime',
+        '0,255,255': 'cyan',
+        '255,0,0': 'red',
+        '255,255,0': 'yellow',
+        '255,0,255': 'magenta',
+        '0,0,255': 'blue',
+        '0,0,0': 'black'
+    };
+    
+    return classes[`${red},${green},${blue}`] || null;
+}
+
+/**
+ * Map a CSS colour (#rgb, #rrggbb or a name) to a WebVTT colour class
+ */
+function cssColorClass(value) {
+    const color = (value || '').trim().toLowerCase();
+    const named = { white: '#ffffff', lime: '#00ff00', aqua: '#00ffff', cyan: '#00ffff', red: '#ff0000', yellow: '#ffff00', fuchsia: '#ff00ff', magenta: '#ff00ff', blue: '#0000ff', black: '#000000' };
+    let hex = named[color] || color;
+    
+    if (/^#[0-9a-f]{3}$/.test(hex)) {
+        hex = '#' + hex.slice(1).split('').map(digit => digit + digit).join('');
+    }
+    
+    // TTML also allows #rrggbbaa
+    if (!/^#[0-9a-f]{6}([0-9a-f]{2})?$/.test(hex)) return null;
+    
+    return cueColorClass(parseInt(hex.slice(1, 3), 16), parseInt(hex.slice(3, 5), 16), parseInt(hex.slice(5, 7), 16));
+}
+
+/**
+ * Wrap cue text in WebVTT markup for the given style
+ */
+function styleCueText(text, style) {
+    let markup = text;
+    
+    if (style.italic) markup = `<i>${markup}</i>`;
+    if (style.bold) markup = `<b>${markup}</b>`;
+    if (style.underline) markup = `<u>${markup}</u>`;
+    if (style.color) markup = `<c.${style.color}>${markup}</c>`;
+    
+    return markup;
+}
+
+/**
+ * Parse an SRT timestamp (00:01:02,500) into seconds
+ */
+function parseSrtTime(value) {
+    const match = /(?:(\d+):)?(\d+):(\d+)[,.](\d+)/.exec(value);
+    if (!match) return NaN;
+    
+    return (parseInt(match[1] || 0, 10) * 3600) + parseInt(match[2], 10) * 60 + parseInt(match[3], 10) + parseFloat(`0.${match[4]}`);
+}
+
+/**
+ * Parse SubRip (SRT) subtitles
+ */
+function parseSrt(text) {
+    const cues = [];
+    const blocks = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+    
+    blocks.forEach(block => {
+        const lines = block.trim().split('\n');
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1) return;
+        
+        const [start, end] = lines[timingIndex].split('-->').map(parseSrtTime);
+        if (isNaN(start) || isNaN(end)) return;
+        
+        const body = lines.slice(timingIndex + 1).join('\n');
+        
+        // Keep b/i/u and exact font colours, drop any other markup
+        const markup = escapeCueText(body)
+            .replace(/&lt;(\/?)([biu])&gt;/gi, (match, close, tag) => `<${close}${tag.toLowerCase()}>`)
+            .replace(/&lt;font\b[^&]*?color=["']?([^"'\s&]+)["']?[^&]*?&gt;([\s\S]*?)&lt;\/font&gt;/gi, (match, color, inner) => {
+                const colorClass = cssColorClass(color);
+                return colorClass ? `<c.${colorClass}>${inner}</c>` : inner;
+            })
+            .replace(/&lt;\/?[a-z][^&]*?&gt;/gi, '')
+            .replace(/\{\\an?\d+\}/g, '');
+        
+        const cue = { start, end, text: markup };
+        
+        // Many SRT files carry an ASS-style {\an8} to move a line to the top
+        const alignment = /\{\\an([1-9])\}/.exec(body);
+        if (alignment) {
+            applyAssAlignment(cue, parseInt(alignment[1], 10));
+        }
+        
+        cues.push(cue);
+    });
+    
+    return cues;
+}
+
+/**
+ * Parse an ASS/SSA timestamp (0:00:01.50) into seconds
+ */
+function parseAssTime(value) {
+    const [hours, minutes, seconds] = value.trim().split(':');
+    return parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseFloat(seconds);
+}
+
+/**
+ * Parse an ASS colour (&HAABBGGRR&) into a WebVTT colour class
+ */
+function parseAssColor(value) {
+    const match = /&H([0-9a-f]{1,8})/i.exec(value || '');
+    if (!match) return null;
+    
+    const color = parseInt(match[1], 16);
+    const colorClass = cueColorClass(color & 0xff, (color >> 8) & 0xff, (color >> 16) & 0xff);
+    
+    // White is the default caption colour, so leave it to the caption style
+    return colorClass === 'white' ? null : colorClass;
+}
+
+/**
+ * Apply an ASS numpad alignment (1-9) to cue settings
+ */
+function applyAssAlignment(cue, alignment) {
+    const column = (alignment - 1) % 3;
+    const row = Math.floor((alignment - 1) / 3);
+    
+    cue.align = ['left', 'center', 'right'][column];
+    cue.position = [0, 50, 100][column];
+    cue.positionAlign = ['line-left', 'center', 'line-right'][column];
+    
+    if (row === 2) {
+        cue.line = 0;
+        cue.snapToLines = true;
+    } else if (row === 1) {
+        cue.line = 50;
+        cue.snapToLines = false;
+        cue.lineAlign = 'center';
+    }
+}
+
+/**
+ * Parse SubStation Alpha (SSA) and Advanced SubStation Alpha (ASS) subtitles.
+ * Bold, italic, underline, primary colour, alignment and \pos carry over;
+ * other override tags and drawings are dropped.
+ */
+function parseAss(text) {
+    const cues = [];
+    const styles = {};
+    const info = {};
+    let section = '';
+    let format = [];
+    
+    text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        
+        if (/^\[.*\]$/.test(line)) {
+            section = line.toLowerCase();
+            format = [];
+            return;
+        }
+        
+        const separator = line.indexOf(':');
+        if (separator === -1 || line.startsWith(';')) return;
+        
+        const key = line.slice(0, separator).trim();
+        const value = line.slice(separator + 1).trim();
+        
+        if (section === '[script info]') {
+            info[key] = value;
+        } else if (key === 'Format') {
+            format = value.split(',').map(field => field.trim());
+        } else if (key === 'Style') {
+            const fields = value.split(',');
+            const field = name => (fields[format.indexOf(name)] || '').trim();
+            // SSA uses -1 for true, ASS uses -1 or 1
+            const flag = name => field(name) !== '' && field(name) !== '0';
+            let alignment = parseInt(field('Alignment'), 10) || 2;
+            
+            if (section === '[v4 styles]') {
+                // Legacy SSA alignment: 1-3 bottom, +4 top, +8 middle
+                alignment = alignment > 8 ? alignment - 5 : alignment > 4 ? alignment + 2 : alignment;
+            }
+            
+            styles[field('Name')] = {
+                bold: flag('Bold'),
+                italic: flag('Italic'),
+                underline: flag('Underline'),
+                color: parseAssColor(field('PrimaryColour')),
+                alignment
+            };
+        } else if (key === 'Dialogue' && format.length) {
+            // The text field is last and may contain commas
+            const fields = value.split(',');
+            const textIndex = format.indexOf('Text');
+            const field = name => (fields[format.indexOf(name)] || '').trim();
+            const body = fields.slice(textIndex).join(',');
+            const baseStyle = styles[field('Style').replace(/^\*/, '')] || styles.Default || { alignment: 2 };
+            
+            const cue = {
+                start: parseAssTime(field('Start')),
+                end: parseAssTime(field('End')),
+                text: ''
+            };
+            
+            let style = Object.assign({}, baseStyle);
+            let alignment = baseStyle.alignment;
+            let position = null;
+            let drawing = false;
+            
+            body.split(/(\{[^}]*\})/).forEach(part => {
+                if (part.startsWith('{') && part.endsWith('}')) {
+                    const tags = part.slice(1, -1).split('\\').slice(1);
+                    
+                    tags.forEach(tag => {
+                        let match;
+                        
+                        if ((match = /^b(\d+)$/.exec(tag))) {
+                            style.bold = match[1] !== '0';
+                        } else if ((match = /^i([01])$/.exec(tag))) {
+                            style.italic = match[1] === '1';
+                        } else if ((match = /^u([01])$/.exec(tag))) {
+                            style.underline = match[1] === '1';
+                        } else if ((match = /^1?c(&H[0-9a-f]+&?)$/i.exec(tag))) {
+                            style.color = parseAssColor(match[1]);
+                        } else if ((match = /^an([1-9])$/.exec(tag))) {
+                            alignment = parseInt(match[1], 10);
+                        } else if ((match = /^a(\d+)$/.exec(tag))) {
+                            const legacy = parseInt(match[1], 10);
+                            alignment = legacy > 8 ? legacy - 5 : legacy > 4 ? legacy + 2 : legacy;
+                        } else if ((match = /^pos\(([-\d.]+),\s*([-\d.]+)\)$/.exec(tag))) {
+                            position = { x: parseFloat(match[1]), y: parseFloat(match[2]) };
+                        } else if ((match = /^p(\d+)$/.exec(tag))) {
+                            drawing = match[1] !== '0';
+                        } else if ((match = /^r(.*)$/.exec(tag))) {
+                            style = Object.assign({}, styles[match[1]] || baseStyle);
+                        }
+                    });
+                    return;
+                }
+                
+                if (drawing || !part) return;
+                
+                const chunk = escapeCueText(part)
+                    .replace(/\\[Nn]/g, '\n')
+                    .replace(/\\h/g, ' ');
+                
+                cue.text += styleCueText(chunk, style);
+            });
+            
+            if (!cue.text.trim() || isNaN(cue.start) || isNaN(cue.end)) return;
+            
+            applyAssAlignment(cue, alignment);
+            
+            if (position) {
+                const width = parseFloat(info.PlayResX) || 384;
+                const height = parseFloat(info.PlayResY) || 288;
+                const row = Math.floor((alignment - 1) / 3);
+                
+                cue.position = Math.max(0, Math.min(100, position.x / width * 100));
+                cue.line = Math.max(0, Math.min(100, position.y / height * 100));
+                cue.snapToLines = false;
+                cue.lineAlign = ['end', 'center', 'start'][row];
+            }
+            
+            cues.push(cue);
+        }
+    });
+    
+    return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Parse a TTML time expression into seconds
+ */
+function parseTtmlTime(value, timing) {
+    if (!value) return null;
+    
+    let match = /^(\d+):(\d{2}):(\d{2})(?:\.(\d+)|:(\d+(?:\.\d+)?))?$/.exec(value.trim());
+    if (match) {
+        const frames = match[5] ? parseFloat(match[5]) / timing.frameRate : 0;
+        return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseInt(match[3], 10) +
+            (match[4] ? parseFloat(`0.${match[4]}`) : 0) + frames;
+    }
+    
+    match = /^([\d.]+)(h|m|s|ms|f|t)$/.exec(value.trim());
+    if (!match) return null;
+    
+    const amount = parseFloat(match[1]);
+    const scale = { h: 3600, m: 60, s: 1, ms: 0.001, f: 1 / timing.frameRate, t: 1 / timing.tickRate };
+    return amount * scale[match[2]];
+}
+
+/**
+ * Parse Timed Text Markup Language (TTML/DFXP) subtitles
+ */
+function parseTtml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const root = doc.documentElement;
+    
+    if (!root || root.localName !== 'tt') {
+        throw new Error('Invalid TTML document: missing tt root element');
+    }
+    
+    const parameter = name => {
+        const attribute = Array.from(root.attributes).find(attr => attr.localName === name);
+        return attribute ? parseFloat(attribute.value) : NaN;
+    };
+    
+    const frameRate = (parameter('frameRate') || 30) * (parameter('frameRateMultiplier') || 1);
+    const timing = { frameRate, tickRate: parameter('tickRate') || frameRate || 1 };
+    
+    // Styling attributes by local name, from the element and its referenced styles
+    const definitions = {};
+    Array.from(doc.getElementsByTagNameNS('*', 'style')).concat(Array.from(doc.getElementsByTagNameNS('*', 'region'))).forEach(node => {
+        const id = node.getAttribute('xml:id') || node.getAttribute('id');
+        if (id) definitions[id] = node;
+    });
+    
+    const readStyle = (node, seen = []) => {
+        const values = {};
+        
+        (node.getAttribute('style') || '').split(/\s+/).filter(Boolean).forEach(id => {
+            if (definitions[id] && !seen.includes(id)) {
+                Object.assign(values, readStyle(definitions[id], seen.concat(id)));
+            }
+        });
+        
+        Array.from(node.attributes).forEach(attribute => {
+            if (attribute.name.startsWith('tts:')) {
+                values[attribute.localName] = attribute.value;
+            }
+        });
+        
+        return values;
+    };
+    
+    const toStyle = values => ({
+        bold: values.fontWeight === 'bold',
+        italic: values.fontStyle === 'italic' || values.fontStyle === 'oblique',
+        underline: /underline/.test(values.textDecoration || ''),
+        color: values.color ? cssColorClass(values.color) : null
+    });
+    
+    const renderContent = (node, values) => {
+        let markup = '';
+        
+        Array.from(node.childNodes).forEach(child => {
+            if (child.nodeType === 3) {
+                let value = child.nodeValue.replace(/\s+/g, ' ');
+                
+                // Whitespace around a line break is layout, not text
+                if (child.previousSibling && child.previousSibling.localName === 'br') value = value.replace(/^ /, '');
+                if (child.nextSibling && child.nextSibling.localName === 'br') value = value.replace(/ $/, '');
+                
+                markup += styleCueText(escapeCueText(value), toStyle(values));
+            } else if (child.nodeType === 1 && child.localName === 'br') {
+                markup += '\n';
+            } else if (child.nodeType === 1 && child.localName === 'span') {
+                markup += renderContent(child, Object.assign({}, values, readStyle(child)));
+            }
+        });
+        
+        return markup;
+    };
+    
+    const cues = [];
+    
+    // Begin times are relative to the parent's begin
+    const walk = (node, offset, inheritedValues, regionId) => {
+        Array.from(node.children).forEach(child => {
+            const begin = parseTtmlTime(child.getAttribute('begin'), timing);
+            const start = offset + (begin || 0);
+            const region = child.getAttribute('region') || regionId;
+            const values = Object.assign({}, inheritedValues, readStyle(child));
+            
+            if (child.localName === 'div') {
+                walk(child, start, values, region);
+                return;
+            }
+            
+            if (child.localName !== 'p') return;
+            
+            const dur = parseTtmlTime(child.getAttribute('dur'), timing);
+            const endTime = parseTtmlTime(child.getAttribute('end'), timing);
+            const end = endTime !== null ? offset + endTime : dur !== null ? start + dur : Infinity;
+            
+            const cue = {
+                start,
+                end,
+                text: renderContent(child, values).trim().replace(/ *\n */g, '\n')
+            };
+            
+            if (!cue.text || !isFinite(cue.end)) return;
+            
+            const align = values.textAlign;
+            if (align && align !== 'center') {
+                cue.align = { start: 'start', left: 'left', end: 'end', right: 'right' }[align] || 'center';
+            }
+            
+            const regionValues = region && definitions[region] ? readStyle(definitions[region]) : {};
+            if (regionValues.displayAlign === 'before') {
+                cue.line = 0;
+                cue.snapToLines = true;
+            } else if (regionValues.displayAlign === 'center') {
+                cue.line = 50;
+                cue.snapToLines = false;
+                cue.lineAlign = 'center';
+            }
+            
+            cues.push(cue);
+        });
+    };
+    
+    const body = Array.from(root.children).find(child => child.localName === 'body');
+    if (body) {
+        const begin = parseTtmlTime(body.getAttribute('begin'), timing) || 0;
+        walk(body, begin, readStyle(body), body.getAttribute('region'));
+    }
+    
+    return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Parse a WebVTT thumbnails track whose cues point at images or sprite
+ * regions (sprite.jpg#xywh=0,0,160,90)
+ */
+function parseVttThumbnails(text, baseUrl) {
+    const thumbnails = [];
+    const blocks = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+    
+    blocks.forEach(block => {
+        const lines = block.trim().split('\n');
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1 || !lines[timingIndex + 1]) return;
+        
+        // WebVTT timestamps share the SRT layout, with a dot before the milliseconds
+        const [start, end] = lines[timingIndex].split('-->').map(part => parseSrtTime(part.trim().split(/\s/)[0]));
+        if (isNaN(start) || isNaN(end)) return;
+        
+        const [uri, fragment] = lines[timingIndex + 1].trim().split('#');
+        const region = /xywh=(?:pixel:)?(\d+),(\d+),(\d+),(\d+)/.exec(fragment || '');
+        
+        thumbnails.push({
+            start,
+            end,
+            url: new URL(uri, baseUrl).href,
+            x: region ? parseInt(region[1], 10) : 0,
+            y: region ? parseInt(region[2], 10) : 0,
+            width: region ? parseInt(region[3], 10) : null,
+            height: region ? parseInt(region[4], 10) : null
+        });
+    });
+    
+    return thumbnails;
+}
+
+/**
+ * Parse a VAST/VMAP time (HH:MM:SS or HH:MM:SS.mmm) into seconds
+ */
+function parseVastTime(value) {
+    const match = /^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/.exec((value || '').trim());
+    if (!match) return null;
+    
+    return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3]);
+}
+
+/**
+ * Resolve a VAST offset (HH:MM:SS or n%) against a duration
+ */
+function parseVastOffset(value, duration) {
+    const percent = /^([\d.]+)%$/.exec((value || '').trim());
+    return percent ? (parseFloat(percent[1]) / 100) * duration : parseVastTime(value);
+}
+
+/**
+ * Get the trimmed text of the first descendant with a local name
+ */
+function vastText(node, name) {
+    const element = node && node.getElementsByTagNameNS('*', name)[0];
+    return element ? element.textContent.trim() : '';
+}
+
+/**
+ * Get the trimmed texts of the descendants with a local name
+ */
+function vastTexts(node, name) {
+    return Array.from(node.getElementsByTagNameNS('*', name))
+        .map(element => element.textContent.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Parse XML, throwing VAST error 100 when it is malformed
+ */
+function parseVastXml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    
+    if (!doc.documentElement || doc.getElementsByTagName('parsererror').length) {
+        const error = new Error('Invalid XML');
+        error.code = 100;
+        throw error;
+    }
+    
+    return doc;
+}
+
+/**
+ * Parse a VAST 3 or 4 response into its ads
+ */
+function parseVast(text) {
+    const doc = typeof text === 'string' ? parseVastXml(text) : text;
+    const root = doc.documentElement || doc;
+    
+    if (root.localName !== 'VAST') {
+        const error = new Error('Missing VAST root element');
+        error.code = 101;
+        throw error;
+    }
+    
+    const ads = childElements(root, 'Ad').map(adNode => {
+        const inline = childElements(adNode, 'InLine')[0];
+        const wrapper = childElements(adNode, 'Wrapper')[0];
+        const body = inline || wrapper;
+        if (!body) return null;
+        
+        const ad = {
+            id: adNode.getAttribute('id') || '',
+            sequence: parseInt(adNode.getAttribute('sequence'), 10) || 0,
+            title: inline ? vastText(inline, 'AdTitle') : '',
+            wrapper: wrapper ? vastText(wrapper, 'VASTAdTagURI') : null,
+            impressions: childElements(body, 'Impression').map(node => node.textContent.trim()).filter(Boolean),
+            errors: childElements(body, 'Error').map(node => node.textContent.trim()).filter(Boolean),
+            linear: null
+        };
+        
+        // Only the first linear creative is played
+        const linearNode = body.getElementsByTagNameNS('*', 'Linear')[0];
+        if (linearNode) {
+            const tracking = {};
+            
+            Array.from(linearNode.getElementsByTagNameNS('*', 'Tracking')).forEach(node => {
+                const event = node.getAttribute('event');
+                const url = node.textContent.trim();
+                if (!event || !url) return;
+                
+                (tracking[event] = tracking[event] || []).push({ url, offset: node.getAttribute('offset') });
+            });
+            
+            ad.linear = {
+                duration: parseVastTime(vastText(linearNode, 'Duration')),
+                skipOffset: linearNode.getAttribute('skipoffset'),
+                tracking,
+                clickThrough: vastText(linearNode, 'ClickThrough') || null,
+                clickTracking: vastTexts(linearNode, 'ClickTracking'),
+                mediaFiles: Array.from(linearNode.getElementsByTagNameNS('*', 'MediaFile')).map(node => ({
+                    src: node.textContent.trim(),
+                    type: node.getAttribute('type') || '',
+                    delivery: node.getAttribute('delivery') || 'progressive',
+                    width: parseInt(node.getAttribute('width'), 10) || 0,
+                    height: parseInt(node.getAttribute('height'), 10) || 0,
+                    bitrate: parseInt(node.getAttribute('bitrate'), 10) || 0,
+                    apiFramework: node.getAttribute('apiFramework') || ''
+                })).filter(file => file.src)
+            };
+        }
+        
+        return ad;
+    }).filter(Boolean);
+    
+    return {
+        ads,
+        errors: childElements(root, 'Error').map(node => node.textContent.trim()).filter(Boolean)
+    };
+}
+
+/**
+ * Parse a VMAP schedule into ad breaks
+ */
+function parseVmap(text) {
+    const doc = parseVastXml(text);
+    const root = doc.documentElement;
+    
+    if (root.localName !== 'VMAP') {
+        throw new Error('Missing VMAP root element');
+    }
+    
+    return childElements(root, 'AdBreak').map(breakNode => {
+        const source = childElements(breakNode, 'AdSource')[0];
+        const tracking = { breakStart: [], breakEnd: [], error: [] };
+        
+        Array.from(breakNode.getElementsByTagNameNS('*', 'Tracking')).forEach(node => {
+            const event = node.getAttribute('event');
+            
+            // Skip VAST tracking inside inline ad data
+            if (tracking[event] && node.parentNode.localName === 'TrackingEvents' && node.parentNode.parentNode === breakNode) {
+                tracking[event].push(node.textContent.trim());
+            }
+        });
+        
+        const vastData = source && childElements(source, 'VASTAdData')[0];
+        const vast = vastData && Array.from(vastData.children).find(child => child.localName === 'VAST');
+        
+        return {
+            id: breakNode.getAttribute('breakId') || '',
+            type: breakNode.getAttribute('breakType') || 'linear',
+            offset: breakNode.getAttribute('timeOffset') || 'start',
+            tag: source ? vastText(source, 'AdTagURI') || null : null,
+            vast: vast || null,
+            tracking
+        };
+    }).filter(adBreak => adBreak.type.split(',').includes('linear') && (adBreak.tag || adBreak.vast));
+}
+
+/**
+ * Replace VAST macros in a tracking URL
+ */
+function fillVastMacros(url, values = {}) {
+    const playhead = seconds => {
+        const date = new Date(Math.max(0, seconds || 0) * 1000);
+        return date.toISOString().substr(11, 12);
+    };
+    
+    const macros = {
+        CACHEBUSTING: String(Math.floor(Math.random() * 1e8)).padStart(8, '0'),
+        TIMESTAMP: new Date().toISOString(),
+        ERRORCODE: values.errorCode !== undefined ? String(values.errorCode) : '',
+        CONTENTPLAYHEAD: playhead(values.contentPlayhead),
+        MEDIAPLAYHEAD: playhead(values.mediaPlayhead),
+        ADPLAYHEAD: playhead(values.mediaPlayhead),
+        ASSETURI: values.assetUri || ''
+    };
+    
+    return url.replace(/\[([A-Z_]+)\]|%%([A-Z_]+)%%/g, (match, bracket, percent) => {
+        const name = bracket || percent;
+        return name in macros ? encodeURIComponent(macros[name]) : match;
+    });
+}
+
+/**
+ * Normalize a key combo such as 'ctrl+shift+ArrowLeft' to 'Ctrl+Shift+ArrowLeft'
+ */
+function normalizeKeyCombo(combo) {
+    const value = String(combo);
+    
+    // '+' itself can be the key, as in 'Ctrl++'
+    const plusKey = value === '+' || value.endsWith('++');
+    const parts = (plusKey ? value.slice(0, -1) : value).split('+').filter(Boolean);
+    let key = plusKey ? '+' : parts.pop() || '';
+    
+    const modifiers = parts.map(part => {
+        const modifier = KEY_MODIFIERS[part.toLowerCase()];
+        if (!modifier) {
+            throw new Error(`LionPlayer: Unknown key modifier "${part}" in "${combo}"`);
+        }
+        return modifier;
+    });
+    
+    if (key === ' ' || key.toLowerCase() === 'space') {
+        key = 'Space';
+    } else if (key.length === 1) {
+        key = key.toLowerCase();
+    }
+    
+    return ['Ctrl', 'Alt', 'Shift', 'Meta']
+        .filter(modifier => modifiers.includes(modifier))
+        .concat(key)
+        .join('+');
+}
+
+/**
+ * Get the key combo of a keydown event
+ */
+function keyComboFromEvent(e) {
+    const key = e.key === ' ' ? 'Space' : e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    
+    // Shift is part of symbols like '?', so it only counts for letters and named keys
+    const shift = e.shiftKey && (e.key.length > 1 || e.key.toLowerCase() !== e.key.toUpperCase());
+    
+    return [e.ctrlKey && 'Ctrl', e.altKey && 'Alt', shift && 'Shift', e.metaKey && 'Meta', key]
+        .filter(Boolean)
+        .join('+');
+}
+
+/**
+ * Check whether a keydown target is a field on the page that takes typing
+ */
+function isTypingTarget(target) {
+    if (!target || !target.tagName) return false;
+    
+    const tag = target.tagName.toLowerCase();
+    
+    return tag === 'input' || tag === 'textarea' || tag === 'select' || target.isContentEditable;
+}
+
+/**
+ * Resolve a settings menu label, value or checked state, which may be a function
+ */
+function resolveSettingsValue(value) {
+    return typeof value === 'function' ? value() : value;
+}
+
+// Subtitle parsers by file extension
+const SUBTITLE_PARSERS = {
+    srt: parseSrt,
+    ssa: parseAss,
+    ass: parseAss,
+    ttml: parseTtml,
+    dfxp: parseTtml,
+    xml: parseTtml
+};
+
+// Subtitle parsers by MIME type
+const SUBTITLE_TYPES = {
+    'application/x-subrip': 'srt',
+    'text/srt': 'srt',
+    'text/x-ssa': 'ssa',
+    'text/x-ass': 'ass',
+    'application/ttml+xml': 'ttml',
+    'application/ttaf+xml': 'dfxp'
+};
+
+/**
+ * Playlist of media items ({src, title, poster, tracks, chapters, thumbnails, videoId}),
+ * exposed as player.playlist
+ */
+class Playlist {
+    constructor(player, options = {}) {
+        this.player = player;
+        this.options = Object.assign({}, DEFAULT_CONFIG.playlist, options);
+        this.items = [];
+        this.order = [];
+        this.currentIndex = -1;
+        this.repeat = this.options.repeat;
+        this.shuffle = !!this.options.shuffle;
+        
+        if (this.options.panel && player.controlsRight) {
+            this.createPanel();
+        }
+    }
+
+    /**
+     * Replace the items and load one of them
+     */
+    load(items, index = 0) {
+        this.items = (items || []).map(item => this.normalizeItem(item));
+        this.currentIndex = -1;
+        this.updateOrder();
+        
+        if (this.items.length) {
+            this.goTo(Math.max(0, Math.min(index, this.items.length - 1)), { autoplay: false });
+        } else {
+            this.renderPanel();
+        }
+    }
+
+    /**
+     * Add an item, at the end unless an index is given
+     */
+    add(item, index = this.items.length) {
+        const position = Math.max(0, Math.min(index, this.items.length));
+        this.items.splice(position, 0, this.normalizeItem(item));
+        
+        if (this.currentIndex >= position) {
+            this.currentIndex++;
+        }
+        
+        this.updateOrder();
+        this.renderPanel();
+        
+        // The first item becomes current
+        if (this.currentIndex === -1) {
+            this.goTo(0, { autoplay: false });
+        }
+    }
+
+    /**
+     * Remove an item. Removing the current item loads the one after it.
+     */
+    remove(index) {
+        if (!this.items[index]) return;
+        
+        this.items.splice(index, 1);
+        
+        if (index < this.currentIndex) {
+            this.currentIndex--;
+        } else if (index === this.currentIndex) {
+            const wasPlaying = this.player.state.isPlaying;
+            this.currentIndex = -1;
+            
+            if (this.items.length) {
+                this.updateOrder();
+                this.goTo(Math.min(index, this.items.length - 1), { autoplay: wasPlaying });
+                return;
+            }
+        }
+        
+        this.updateOrder();
+        this.renderPanel();
+    }
+
+    /**
+     * Move an item to another position
+     */
+    move(from, to) {
+        if (!this.items[from]) return;
+        
+        const target = Math.max(0, Math.min(to, this.items.length - 1));
+        const [item] = this.items.splice(from, 1);
+        this.items.splice(target, 0, item);
+        
+        if (this.currentIndex === from) {
+            this.currentIndex = target;
+        } else if (from < this.currentIndex && target >= this.currentIndex) {
+            this.currentIndex--;
+        } else if (from > this.currentIndex && target <= this.currentIndex) {
+            this.currentIndex++;
+        }
+        
+        this.updateOrder();
+        this.renderPanel();
+    }
+
+    /**
+     * Load an item by index
+     */
+    goTo(index, { autoplay = true } = {}) {
+        const item = this.items[index];
+        if (!item) return false;
+        
+        const player = this.player;
+        this.currentIndex = index;
+        player.loadMedia(item);
+        
+        if (autoplay) {
+            player.play();
+        }
+        
+        this.renderPanel();
+        player.trigger(EVENTS.PLAYLISTITEM, { index, item: Object.assign({}, item) });
+        
+        return true;
+    }
+
+    /**
+     * Load the next item in play order
+     */
+    next(options) {
+        const index = this.getNextIndex();
+        return index === -1 ? false : this.goTo(index, options);
+    }
+
+    /**
+     * Load the previous item in play order
+     */
+    previous(options) {
+        const position = this.order.indexOf(this.currentIndex);
+        
+        if (position > 0) {
+            return this.goTo(this.order[position - 1], options);
+        }
+        
+        if (this.repeat === 'all' && this.order.length) {
+            return this.goTo(this.order[this.order.length - 1], options);
+        }
+        
+        return false;
+    }
+
+    /**
+     * Get the index of the item after the current one, or -1
+     */
+    getNextIndex() {
+        const position = this.order.indexOf(this.currentIndex);
+        
+        if (position !== -1 && position < this.order.length - 1) {
+            return this.order[position + 1];
+        }
+        
+        if (this.repeat === 'all' && this.order.length) {
+            // Start a new round in a new order
+            if (this.shuffle) {
+                this.updateOrder(true);
+                return this.order[0] === this.currentIndex && this.order.length > 1 ? this.order[1] : this.order[0];
+            }
+            
+            return this.order[0];
+        }
+        
+        return -1;
+    }
+
+    /**
+     * Set the repeat mode ('off', 'one' or 'all')
+     */
+    setRepeat(mode) {
+        if (!['off', 'one', 'all'].includes(mode)) {
+            console.warn(`LionPlayer: Invalid playlist repeat mode: ${mode}`);
+            return;
+        }
+        
+        this.repeat = mode;
+        this.renderPanel();
+    }
+
+    /**
+     * Turn shuffle on or off
+     */
+    setShuffle(shuffle) {
+        this.shuffle = !!shuffle;
+        this.updateOrder();
+        this.renderPanel();
+    }
+
+    /**
+     * Get the items
+     */
+    getItems() {
+        return this.items.map(item => Object.assign({}, item));
+    }
+
+    /**
+     * Get the current item
+     */
+    getCurrentItem() {
+        const item = this.items[this.currentIndex];
+        return item ? Object.assign({}, item) : null;
+    }
+
+    /**
+     * Handle the end of the current item. Returns the index of the item to
+     * advance to, or -1.
+     */
+    onEnded() {
+        if (!this.items.length) return -1;
+        
+        if (this.repeat === 'one') {
+            this.player.setCurrentTime(0);
+            this.player.play();
+            return -1;
+        }
+        
+        const index = this.options.autoAdvance ? this.getNextIndex() : -1;
+        
+        if (index === -1 && this.order.indexOf(this.currentIndex) === this.order.length - 1) {
+            this.player.trigger(EVENTS.PLAYLISTEND);
+        }
+        
+        return index;
+    }
+
+    /**
+     * Turn a source or item into an item
+     */
+    normalizeItem(item) {
+        return typeof item === 'string' || Array.isArray(item) ? { src: item } : Object.assign({}, item);
+    }
+
+    /**
+     * Rebuild the play order, shuffled with the current item first
+     */
+    updateOrder(newRound = false) {
+        const indexes = this.items.map((item, index) => index);
+        
+        if (!this.shuffle) {
+            this.order = indexes;
+            return;
+        }
+        
+        for (let i = indexes.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+        }
+        
+        const current = indexes.indexOf(this.currentIndex);
+        if (current > 0 && !newRound) {
+            indexes.unshift(indexes.splice(current, 1)[0]);
+        }
+        
+        this.order = indexes;
+    }
+
+    /**
+     * Create the built-in playlist panel and its button
+     */
+    createPanel() {
+        const player = this.player;
+        
+        this.panel = document.createElement('div');
+        this.panel.className = 'lion-player-playlist-panel';
+        player.container.appendChild(this.panel);
+        
+        this.button = player.createButton('playlist', 'Playlist', () => this.togglePanel());
+        player.controlsRight.insertBefore(this.button, player.settingsButton);
+    }
+
+    /**
+     * Show or hide the playlist panel
+     */
+    togglePanel() {
+        if (!this.panel) return;
+        
+        const active = this.panel.classList.toggle('active');
+        this.button.classList.toggle('active', active);
+    }
+
+    /**
+     * Rebuild the playlist panel
+     */
+    renderPanel() {
+        if (!this.panel) return;
+        
+        this.panel.innerHTML = '';
+        
+        const header = document.createElement('div');
+        header.className = 'lion-player-playlist-header';
+        
+        const title = document.createElement('span');
+        title.textContent = this.player.localize('playlistPosition', { current: this.currentIndex + 1, total: this.items.length });
+        header.appendChild(title);
+        
+        const modes = { off: 'repeatOff', all: 'repeatAll', one: 'repeatOne' };
+        const repeat = document.createElement('button');
+        repeat.className = `lion-player-playlist-mode${this.repeat !== 'off' ? ' active' : ''}`;
+        repeat.textContent = this.player.localize(modes[this.repeat]);
+        repeat.addEventListener('click', () => this.setRepeat({ off: 'all', all: 'one', one: 'off' }[this.repeat]));
+        header.appendChild(repeat);
+        
+        const shuffle = document.createElement('button');
+        shuffle.className = `lion-player-playlist-mode${this.shuffle ? ' active' : ''}`;
+        shuffle.textContent = this.player.localize('shuffle');
+        shuffle.addEventListener('click', () => this.setShuffle(!this.shuffle));
+        header.appendChild(shuffle);
+        
+        this.panel.appendChild(header);
+        
+        this.items.forEach((item, index) => {
+            const entry = document.createElement('div');
+            entry.className = `lion-player-playlist-item${index === this.currentIndex ? ' active' : ''}`;
+            
+            if (item.poster) {
+                const poster = document.createElement('img');
+                poster.className = 'lion-player-playlist-poster';
+                poster.src = item.poster;
+                poster.alt = '';
+                entry.appendChild(poster);
+            }
+            
+            const label = document.createElement('span');
+            label.className = 'lion-player-playlist-title';
+            label.textContent = item.title || this.player.localize('playlistItem', { number: index + 1 });
+            entry.appendChild(label);
+            
+            entry.addEventListener('click', () => this.goTo(index));
+            this.panel.appendChild(entry);
+        });
+    }
+}
+
+/**
+ * Linear ad playback from VAST tags and VMAP schedules, exposed as
+ * player.ads. Ads play in their own video element above the content,
+ * which stays paused at its position until the break ends.
+ */
+class AdManager {
+    constructor(player, options = {}) {
+        this.player = player;
+        this.options = Object.assign({}, DEFAULT_CONFIG.ads, options);
+        this.breaks = [];
+        this.currentBreak = null;
+        this.currentAd = null;
+        this.ready = this.loadSchedule();
+        
+        this.onContentPlay = () => {
+            if (this.loaded) {
+                this.checkBreaks('start');
+                return;
+            }
+            
+            // Hold content until the schedule is known so a preroll isn't missed
+            player.tech.pause();
+            if (this.waiting) return;
+            
+            this.waiting = true;
+            this.ready.then(() => {
+                this.waiting = false;
+                this.checkBreaks('start');
+                
+                if (!this.currentBreak) {
+                    player.play();
+                }
+            });
+        };
+        this.onContentTimeUpdate = () => this.checkBreaks('time');
+        player.video.addEventListener('play', this.onContentPlay);
+        player.video.addEventListener('timeupdate', this.onContentTimeUpdate);
+        this.onVolumeChange = () => this.syncVolume();
+        player.on(EVENTS.VOLUMECHANGE, this.onVolumeChange);
+    }
+
+    /**
+     * Build the break schedule from the VMAP, the break list and the preroll tag
+     */
+    async loadSchedule() {
+        const breaks = (this.options.breaks || []).map(adBreak => ({
+            id: adBreak.id || '',
+            offset: adBreak.offset === undefined ? 'start' : adBreak.offset,
+            tag: adBreak.tag || null,
+            vast: null,
+            tracking: { breakStart: [], breakEnd: [], error: [] }
+        }));
+        
+        if (this.options.tag) {
+            breaks.push({ id: 'preroll', offset: 'start', tag: this.options.tag, vast: null, tracking: { breakStart: [], breakEnd: [], error: [] } });
+        }
+        
+        if (this.options.vmap) {
+            try {
+                breaks.push(...parseVmap(await this.request(this.options.vmap)));
+            } catch (error) {
+                this.reportError(null, error.code || 1000, `VMAP request failed: ${error.message}`);
+            }
+        }
+        
+        this.breaks = breaks.map(adBreak => Object.assign(adBreak, { played: false }));
+        this.loaded = true;
+    }
+
+    /**
+     * Play the breaks again for a new source
+     */
+    reset() {
+        this.breaks.forEach(adBreak => {
+            adBreak.played = false;
+        });
+    }
+
+    /**
+     * Get the time of a break in seconds; 'start' is 0 and 'end' is Infinity
+     */
+    getBreakTime(adBreak) {
+        const offset = adBreak.offset;
+        const duration = this.player.getDuration();
+        
+        if (offset === 'start') return 0;
+        if (offset === 'end') return Infinity;
+        if (typeof offset === 'number') return offset;
+        
+        const time = parseVastOffset(offset, duration);
+        
+        // Positional offsets (#n) aren't tied to a time
+        return time === null ? NaN : time;
+    }
+
+    /**
+     * Start a break that is due
+     */
+    checkBreaks(reason) {
+        if (this.currentBreak) return;
+        
+        const time = reason === 'start' ? 0 : this.player.getCurrentTime();
+        
+        // When several breaks were skipped over, only the last one plays
+        const due = this.breaks.filter(adBreak => {
+            const breakTime = this.getBreakTime(adBreak);
+            return !adBreak.played && isFinite(breakTime) && breakTime <= time &&
+                (reason === 'start' ? breakTime === 0 : breakTime > 0);
+        });
+        
+        if (!due.length) return;
+        
+        due.forEach(adBreak => {
+            adBreak.played = true;
+        });
+        
+        // A preroll comes from pressing play; a midroll reached by seeking while paused leaves content paused
+        this.playBreak(due[due.length - 1], false, reason === 'start' || !this.player.video.paused);
+    }
+
+    /**
+     * Play the postroll, if any. Returns true when content end is deferred.
+     */
+    onContentEnded() {
+        if (this.currentBreak) return true;
+        
+        const postroll = this.breaks.filter(adBreak => !adBreak.played && this.getBreakTime(adBreak) === Infinity);
+        if (!postroll.length) return false;
+        
+        postroll.forEach(adBreak => {
+            adBreak.played = true;
+        });
+        
+        this.playBreak(postroll[0], true);
+        return true;
+    }
+
+    /**
+     * Play an ad break, then resume content if it was playing
+     */
+    async playBreak(adBreak, postroll = false, contentWasPlaying = false) {
+        const player = this.player;
+        
+        this.currentBreak = adBreak;
+        this.contentWasPlaying = contentWasPlaying;
+        player.state.isAdPlaying = true;
+        player.el.classList.add('lion-player-ad-playing');
+        
+        if (player.tech) {
+            player.tech.pause();
+        }
+        
+        this.createLayer();
+        this.ping(adBreak.tracking.breakStart);
+        
+        try {
+            const ads = await this.loadAds(adBreak);
+            
+            for (let i = 0; i < ads.length && this.currentBreak === adBreak; i++) {
+                await this.playAd(ads[i], i, ads.length);
+            }
+        } catch (error) {
+            const code = error.code || (error.name === 'AbortError' ? 301 : 900);
+            this.ping(adBreak.tracking.error, { errorCode: code });
+            this.reportError(null, code, error.message);
+        }
+        
+        if (this.currentBreak === adBreak) {
+            this.ping(adBreak.tracking.breakEnd);
+            this.endBreak(postroll);
+        }
+    }
+
+    /**
+     * Leave ad mode and go back to content
+     */
+    endBreak(postroll) {
+        const player = this.player;
+        
+        this.currentBreak = null;
+        this.currentAd = null;
+        player.state.isAdPlaying = false;
+        player.el.classList.remove('lion-player-ad-playing');
+        
+        if (this.layer) {
+            this.layer.style.display = 'none';
+            this.video.removeAttribute('src');
+            this.video.load();
+        }
+        
+        if (postroll) {
+            // Let the end screen and playlist take over
+            player.onEnded();
+        } else if (this.contentWasPlaying) {
+            player.play();
+        }
+    }
+
+    /**
+     * Get the inline ads of a break, following wrappers
+     */
+    async loadAds(adBreak) {
+        const response = adBreak.vast ? parseVast(adBreak.vast) : parseVast(await this.request(adBreak.tag));
+        const ads = await this.resolveAds(response, [], 0);
+        
+        if (!ads.length) {
+            const error = new Error('No ads in VAST response');
+            error.code = 303;
+            this.ping(response.errors, { errorCode: 303 });
+            throw error;
+        }
+        
+        return ads;
+    }
+
+    /**
+     * Follow wrappers down to inline ads, carrying the wrappers' tracking along
+     */
+    async resolveAds(response, chain, depth) {
+        // Ad pods play in sequence order; otherwise the first standalone ad plays
+        const pod = response.ads.filter(ad => ad.sequence).sort((a, b) => a.sequence - b.sequence);
+        const ads = pod.length ? pod : response.ads.slice(0, 1);
+        const resolved = [];
+        
+        for (const ad of ads) {
+            if (!ad.wrapper) {
+                resolved.push(this.mergeWrappers(ad, chain));
+                continue;
+            }
+            
+            const wrappers = chain.concat(ad);
+            
+            try {
+                if (depth >= this.options.maxWrapperDepth) {
+                    const error = new Error('Wrapper limit reached');
+                    error.code = 302;
+                    throw error;
+                }
+                
+                const inner = parseVast(await this.request(ad.wrapper));
+                const innerAds = await this.resolveAds(inner, wrappers, depth + 1);
+                
+                if (!innerAds.length) {
+                    this.ping(inner.errors, { errorCode: 303 });
+                }
+                
+                resolved.push(...innerAds);
+            } catch (error) {
+                const code = error.code || (error.name === 'AbortError' ? 301 : 300);
+                this.reportError(this.mergeWrappers({ errors: [], impressions: [], linear: null }, wrappers), code, error.message);
+            }
+        }
+        
+        return resolved;
+    }
+
+    /**
+     * Add the impressions, errors and tracking of wrappers to an inline ad
+     */
+    mergeWrappers(ad, wrappers) {
+        const merged = Object.assign({}, ad, {
+            impressions: ad.impressions.slice(),
+            errors: ad.errors.slice(),
+            linear: ad.linear ? Object.assign({}, ad.linear, {
+                tracking: Object.assign({}, ad.linear.tracking),
+                clickTracking: ad.linear.clickTracking.slice()
+            }) : null
+        });
+        
+        wrappers.forEach(wrapper => {
+            merged.impressions.push(...wrapper.impressions);
+            merged.errors.push(...wrapper.errors);
+            
+            if (merged.linear && wrapper.linear) {
+                Object.entries(wrapper.linear.tracking).forEach(([event, trackers]) => {
+                    merged.linear.tracking[event] = (merged.linear.tracking[event] || []).concat(trackers);
+                });
+                merged.linear.clickTracking.push(...wrapper.linear.clickTracking);
+            }
+        });
+        
+        return merged;
+    }
+
+    /**
+     * Pick the media file closest to the player size the browser can play
+     */
+    selectMediaFile(linear) {
+        const width = this.player.el.clientWidth || 640;
+        
+        const playable = linear.mediaFiles.filter(file => (
+            file.delivery === 'progressive' &&
+            !file.apiFramework &&
+            this.video.canPlayType(file.type) !== ''
+        ));
+        
+        return playable.sort((a, b) => Math.abs(a.width - width) - Math.abs(b.width - width))[0] || null;
+    }
+
+    /**
+     * Play one ad, resolving when it ends, is skipped or fails
+     */
+    playAd(ad, index, count) {
+        return new Promise(resolve => {
+            if (!ad.linear) {
+                resolve();
+                return;
+            }
+            
+            const media = this.selectMediaFile(ad.linear);
+            if (!media) {
+                this.reportError(ad, 403, 'No supported media file');
+                resolve();
+                return;
+            }
+            
+            const video = this.video;
+            const fired = {};
+            const quartiles = { firstQuartile: 0.25, midpoint: 0.5, thirdQuartile: 0.75 };
+            let started = false;
+            let loadTimer = null;
+            
+            this.currentAd = { ad, media, index, count };
+            this.skipOffset = null;
+            
+            const track = (event, values) => {
+                this.ping((ad.linear.tracking[event] || []).map(tracker => tracker.url), values);
+            };
+            
+            const finish = (reason) => {
+                clearTimeout(loadTimer);
+                Object.entries(handlers).forEach(([event, handler]) => video.removeEventListener(event, handler));
+                this.skipButton.onclick = null;
+                this.clickArea.onclick = null;
+                
+                if (reason !== 'error') {
+                    this.player.trigger(EVENTS.ADEND, { ad: this.describeAd(), reason });
+                }
+                
+                this.currentAd = null;
+                resolve();
+            };
+            
+            const handlers = {
+                playing: () => {
+                    clearTimeout(loadTimer);
+                    
+                    if (started) return;
+                    started = true;
+                    
+                    this.ping(ad.impressions);
+                    track('creativeView');
+                    track('start');
+                    this.player.trigger(EVENTS.ADSTART, { ad: this.describeAd() });
+                },
+                timeupdate: () => {
+                    const duration = video.duration || ad.linear.duration;
+                    const time = video.currentTime;
+                    if (!duration) return;
+                    
+                    Object.entries(quartiles).forEach(([event, fraction]) => {
+                        if (!fired[event] && time >= duration * fraction) {
+                            fired[event] = true;
+                            track(event);
+                        }
+                    });
+                    
+                    // Progress trackers with their own offsets
+                    (ad.linear.tracking.progress || []).forEach((tracker, i) => {
+                        const offset = parseVastOffset(tracker.offset, duration);
+                        if (!fired[`progress${i}`] && offset !== null && time >= offset) {
+                            fired[`progress${i}`] = true;
+                            this.ping([tracker.url]);
+                        }
+                    });
+                    
+                    this.updateLayer(time, duration);
+                },
+                pause: () => {
+                    if (!video.ended) track('pause');
+                    this.player.state.isPlaying = false;
+                    this.player.updatePlayButton();
+                },
+                play: () => {
+                    if (started) track('resume');
+                    this.player.state.isPlaying = true;
+                    this.player.updatePlayButton();
+                },
+                volumechange: () => {
+                    if (video.muted !== this.wasMuted) {
+                        track(video.muted ? 'mute' : 'unmute');
+                        this.wasMuted = video.muted;
+                    }
+                },
+                ended: () => {
+                    track('complete');
+                    finish('complete');
+                },
+                error: () => {
+                    this.reportError(ad, started ? 405 : 401, 'Ad media failed to play');
+                    finish('error');
+                }
+            };
+            
+            Object.entries(handlers).forEach(([event, handler]) => video.addEventListener(event, handler));
+            
+            // Skipping is offered only when the ad has a skip offset
+            this.skipButton.style.display = 'none';
+            this.skipButton.onclick = () => {
+                if (this.skipOffset === null || video.currentTime < this.skipOffset) return;
+                
+                track('skip');
+                this.player.trigger(EVENTS.ADSKIP, { ad: this.describeAd() });
+                finish('skip');
+            };
+            
+            this.clickArea.onclick = () => {
+                this.ping(ad.linear.clickTracking);
+                this.player.trigger(EVENTS.ADCLICK, { ad: this.describeAd(), url: ad.linear.clickThrough });
+                
+                if (ad.linear.clickThrough) {
+                    video.pause();
+                    window.open(ad.linear.clickThrough, '_blank', 'noopener');
+                } else {
+                    this.togglePlay();
+                }
+            };
+            
+            loadTimer = setTimeout(() => {
+                this.reportError(ad, 402, 'Ad media timed out');
+                finish('error');
+            }, this.options.timeout);
+            
+            this.layer.style.display = '';
+            this.syncVolume();
+            this.wasMuted = video.muted;
+            video.src = media.src;
+            video.currentTime = 0;
+            
+            const playing = video.play();
+            if (playing && playing.catch) {
+                // Autoplay with sound may be blocked; retry muted
+                playing.catch(() => {
+                    video.muted = true;
+                    this.wasMuted = true;
+                    video.play().catch(() => {});
+                });
+            }
+        });
+    }
+
+    /**
+     * Describe the current ad for events
+     */
+    describeAd() {
+        if (!this.currentAd) return null;
+        
+        const { ad, media, index, count } = this.currentAd;
+        return {
+            id: ad.id,
+            title: ad.title,
+            src: media.src,
+            duration: ad.linear.duration,
+            position: index + 1,
+            count,
+            breakId: this.currentBreak ? this.currentBreak.id : ''
+        };
+    }
+
+    /**
+     * Create the ad layer above the video
+     */
+    createLayer() {
+        if (this.layer) {
+            this.layer.style.display = '';
+            return;
+        }
+        
+        this.layer = document.createElement('div');
+        this.layer.className = 'lion-player-ad-layer';
+        
+        this.video = document.createElement('video');
+        this.video.className = 'lion-player-ad-video';
+        this.video.setAttribute('playsinline', '');
+        this.video.setAttribute('webkit-playsinline', '');
+        this.layer.appendChild(this.video);
+        
+        this.clickArea = document.createElement('div');
+        this.clickArea.className = 'lion-player-ad-click';
+        this.layer.appendChild(this.clickArea);
+        
+        this.label = document.createElement('div');
+        this.label.className = 'lion-player-ad-label';
+        this.layer.appendChild(this.label);
+        
+        this.skipButton = document.createElement('button');
+        this.skipButton.className = 'lion-player-ad-skip';
+        this.skipButton.style.display = 'none';
+        this.layer.appendChild(this.skipButton);
+        
+        this.player.videoWrapper.insertAdjacentElement('afterend', this.layer);
+    }
+
+    /**
+     * Update the ad label and skip button
+     */
+    updateLayer(time, duration) {
+        if (!this.currentAd) return;
+        
+        const { ad, index, count } = this.currentAd;
+        const remaining = this.player.formatTime(Math.max(0, duration - time));
+        this.label.textContent = count > 1 ?
+            this.player.localize('adPosition', { position: index + 1, total: count, time: remaining }) :
+            this.player.localize('ad', { time: remaining });
+        
+        if (this.skipOffset === null && ad.linear.skipOffset) {
+            this.skipOffset = parseVastOffset(ad.linear.skipOffset, duration);
+        }
+        
+        if (this.skipOffset === null) return;
+        
+        const wait = Math.ceil(this.skipOffset - time);
+        this.skipButton.style.display = '';
+        this.skipButton.textContent = wait > 0 ? this.player.localize('skipAdIn', { count: wait }) : this.player.localize('skipAd');
+        this.skipButton.classList.toggle('ready', wait <= 0);
+    }
+
+    /**
+     * Resume the current ad
+     */
+    play() {
+        if (!this.video || !this.currentAd) return Promise.resolve();
+        
+        return this.video.play();
+    }
+
+    /**
+     * Pause the current ad
+     */
+    pause() {
+        if (this.video && this.currentAd) {
+            this.video.pause();
+        }
+    }
+
+    /**
+     * Play or pause the current ad
+     */
+    togglePlay() {
+        if (this.video && this.video.paused) {
+            this.play();
+        } else {
+            this.pause();
+        }
+    }
+
+    /**
+     * Follow the content volume
+     */
+    syncVolume() {
+        if (!this.video) return;
+        
+        this.video.volume = this.player.video.volume;
+        this.video.muted = this.player.video.muted;
+    }
+
+    /**
+     * Fire tracking pixels
+     */
+    ping(urls, values = {}) {
+        const macros = Object.assign({
+            contentPlayhead: this.player.getCurrentTime(),
+            mediaPlayhead: this.video ? this.video.currentTime : 0,
+            assetUri: this.currentAd ? this.currentAd.media.src : ''
+        }, values);
+        
+        (urls || []).forEach(url => {
+            const pixel = new Image();
+            pixel.src = fillVastMacros(url, macros);
+        });
+    }
+
+    /**
+     * Fire an ad's error pixels and the aderror event
+     */
+    reportError(ad, code, message) {
+        if (ad) {
+            this.ping(ad.errors, { errorCode: code });
+        }
+        
+        console.warn(`LionPlayer: Ad error ${code}: ${message}`);
+        this.player.trigger(EVENTS.ADERROR, { code, message, ad: ad && ad.id !== undefined ? { id: ad.id, title: ad.title } : null });
+    }
+
+    /**
+     * Fetch an ad response as text, giving up after the timeout
+     */
+    async request(url) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), this.options.timeout) : null;
+        
+        try {
+            const response = await fetch(fillVastMacros(url), controller ? { signal: controller.signal } : {});
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            return await response.text();
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Stop any ad and release the layer
+     */
+    dispose() {
+        this.currentBreak = null;
+        
+        this.player.video.removeEventListener('play', this.onContentPlay);
+        this.player.video.removeEventListener('timeupdate', this.onContentTimeUpdate);
+        this.player.off(EVENTS.VOLUMECHANGE, this.onVolumeChange);
+        
+        if (this.video) {
+            this.video.pause();
+            this.video.removeAttribute('src');
+            this.video.load();
+        }
+        
+        if (this.layer) {
+            this.layer.remove();
+            this.layer = null;
+        }
+    }
+}
+
+/**
+ * Quality-of-experience metrics for the current source, exposed as
+ * player.analytics. Each source gets a session; session start, heartbeats,
+ * errors and the session end are handed to the configured transport.
+ */
+class Analytics {
+    constructor(player, options = {}) {
+        this.player = player;
+        this.options = Object.assign({}, DEFAULT_CONFIG.analytics, options);
+        this.session = null;
+        
+        const video = player.video;
+        
+        this.listeners = {
+            play: () => this.onPlay(),
+            playing: () => this.onPlaying(),
+            pause: () => this.endStall(),
+            waiting: () => this.onWaiting(),
+            seeking: () => this.onSeeking(),
+            seeked: () => this.onSeeked(),
+            timeupdate: () => this.onTimeUpdate(),
+            ended: () => this.send('heartbeat')
+        };
+        Object.entries(this.listeners).forEach(([event, listener]) => video.addEventListener(event, listener));
+        
+        player.on(EVENTS.QUALITYCHANGE, data => this.onQualityChange(data));
+        player.on(EVENTS.ERROR, error => this.onError(error));
+        player.on(EVENTS.SOURCEFALLBACK, data => this.onError(data.error));
+        
+        // The page may be going away for good; sendBeacon still gets through
+        this.onPageHide = () => this.endSession();
+        window.addEventListener('pagehide', this.onPageHide);
+        
+        this.heartbeat = setInterval(() => {
+            if (this.session && (!video.paused || this.session.stallStart !== null)) {
+                this.send('heartbeat');
+            }
+        }, this.options.heartbeatInterval * 1000);
+    }
+
+    /**
+     * Start a session for a newly loaded source, ending the previous one
+     */
+    startSession(src) {
+        this.endSession();
+        
+        const quality = this.getPlaybackQuality();
+        
+        this.session = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+            src,
+            startedAt: Date.now(),
+            sequence: 0,
+            playRequestedAt: null,
+            timeToFirstFrame: null,
+            watchedSeconds: 0,
+            lastTime: null,
+            rebufferCount: 0,
+            rebufferTime: 0,
+            stallStart: null,
+            seekCount: 0,
+            bitrate: null,
+            bitrateSwitches: 0,
+            qualityIndex: null,
+            errors: [],
+            // The video element is reused, so frame counters continue from earlier sources
+            droppedFramesBase: quality.droppedVideoFrames,
+            totalFramesBase: quality.totalVideoFrames
+        };
+    }
+
+    /**
+     * Close the session, sending its final numbers
+     */
+    endSession() {
+        if (!this.session) return;
+        
+        this.endStall();
+        this.send('end');
+        this.session = null;
+    }
+
+    onPlay() {
+        // Count from the latest play request, so time spent in a preroll isn't included
+        if (this.session && this.session.timeToFirstFrame === null) {
+            this.session.playRequestedAt = performance.now();
+        }
+    }
+
+    onPlaying() {
+        const session = this.session;
+        if (!session) return;
+        
+        this.endStall();
+        
+        if (session.lastTime === null) {
+            session.lastTime = this.player.video.currentTime;
+        }
+        
+        if (session.timeToFirstFrame === null && session.playRequestedAt !== null) {
+            session.timeToFirstFrame = Math.round(performance.now() - session.playRequestedAt);
+            this.send('start');
+        }
+    }
+
+    onWaiting() {
+        const session = this.session;
+        
+        // Waiting before the first frame or for a seek isn't a rebuffer
+        if (!session || session.timeToFirstFrame === null || session.stallStart !== null ||
+            this.player.video.seeking || this.player.state.isSeeking) {
+            return;
+        }
+        
+        session.stallStart = performance.now();
+        session.rebufferCount++;
+    }
+
+    /**
+     * Add the current stall, if any, to the stall time
+     */
+    endStall() {
+        const session = this.session;
+        if (!session || session.stallStart === null) return;
+        
+        session.rebufferTime += (performance.now() - session.stallStart) / 1000;
+        session.stallStart = null;
+    }
+
+    onSeeking() {
+        if (!this.session) return;
+        
+        // A stall interrupted by a seek ends there
+        this.endStall();
+        this.session.seekCount++;
+        this.session.lastTime = null;
+    }
+
+    onSeeked() {
+        if (!this.session) return;
+        
+        this.session.lastTime = this.player.video.currentTime;
+    }
+
+    onTimeUpdate() {
+        const session = this.session;
+        if (!session || this.player.video.seeking) return;
+        
+        const time = this.player.video.currentTime;
+        
+        if (session.lastTime !== null) {
+            const delta = time - session.lastTime;
+            
+            if (delta > 0) {
+                this.endStall();
+                
+                // Larger jumps are seeks or source switches, not watching
+                if (delta < 2) {
+                    session.watchedSeconds += delta;
+                }
+            }
+        }
+        
+        session.lastTime = time;
+    }
+
+    onQualityChange(data) {
+        const session = this.session;
+        if (!session || !data) return;
+        
+        if (session.qualityIndex !== null && data.index !== session.qualityIndex) {
+            session.bitrateSwitches++;
+        }
+        
+        session.qualityIndex = data.index;
+        session.bitrate = data.level ? data.level.bandwidth : null;
+    }
+
+    onError(error) {
+        if (!this.session) return;
+        
+        const mediaError = this.player.video && this.player.video.error;
+        const code = (error && error.code) || (error && error.error && error.error.code) ||
+            (mediaError && mediaError.code) || 'unknown';
+        const message = (error && error.message) || (mediaError && mediaError.message) || '';
+        
+        this.session.errors.push({ code, message, time: this.player.getCurrentTime() || 0 });
+        this.send('error');
+    }
+
+    /**
+     * Get the browser's frame counters
+     */
+    getPlaybackQuality() {
+        const video = this.player.video;
+        
+        if (video && typeof video.getVideoPlaybackQuality === 'function') {
+            const quality = video.getVideoPlaybackQuality();
+            return { droppedVideoFrames: quality.droppedVideoFrames, totalVideoFrames: quality.totalVideoFrames };
+        }
+        
+        if (video && 'webkitDroppedFrameCount' in video) {
+            return { droppedVideoFrames: video.webkitDroppedFrameCount, totalVideoFrames: video.webkitDecodedFrameCount };
+        }
+        
+        return { droppedVideoFrames: 0, totalVideoFrames: 0 };
+    }
+
+    /**
+     * Get the metrics of the current session
+     */
+    getStats() {
+        const session = this.session;
+        if (!session) return null;
+        
+        const stall = session.stallStart !== null ? (performance.now() - session.stallStart) / 1000 : 0;
+        const rebufferTime = session.rebufferTime + stall;
+        const quality = this.getPlaybackQuality();
+        
+        return {
+            sessionId: session.id,
+            src: session.src,
+            startedAt: session.startedAt,
+            timeToFirstFrame: session.timeToFirstFrame,
+            watchedSeconds: Math.round(session.watchedSeconds * 10) / 10,
+            rebufferCount: session.rebufferCount,
+            rebufferTime: Math.round(rebufferTime * 10) / 10,
+            rebufferRatio: session.watchedSeconds + rebufferTime > 0 ?
+                Math.round(rebufferTime / (session.watchedSeconds + rebufferTime) * 10000) / 10000 : 0,
+            droppedFrames: Math.max(0, quality.droppedVideoFrames - session.droppedFramesBase),
+            totalFrames: Math.max(0, quality.totalVideoFrames - session.totalFramesBase),
+            fps: this.player.performance.fps,
+            bitrate: session.bitrate,
+            bitrateSwitches: session.bitrateSwitches,
+            seekCount: session.seekCount,
+            errors: session.errors.map(error => Object.assign({}, error))
+        };
+    }
+
+    /**
+     * Hand a report to the transport
+     */
+    send(event) {
+        const session = this.session;
+        if (!session) return;
+        
+        const { transport, endpoint } = this.options;
+        const payload = {
+            event,
+            sessionId: session.id,
+            sequence: session.sequence++,
+            timestamp: Date.now(),
+            stats: this.getStats(),
+            metadata: this.options.metadata
+        };
+        
+        try {
+            if (typeof transport === 'function') {
+                transport(payload);
+                return;
+            }
+            
+            if (!endpoint) return;
+            
+            const body = JSON.stringify(payload);
+            
+            if (transport === 'beacon' && navigator.sendBeacon &&
+                navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }))) {
+                return;
+            }
+            
+            // fetch is also the fallback when a beacon is refused
+            fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                keepalive: true
+            }).catch(error => console.warn('LionPlayer: Analytics report failed', error));
+        } catch (error) {
+            console.warn('LionPlayer: Analytics report failed', error);
+        }
+    }
+
+    /**
+     * End the session and stop listening
+     */
+    dispose() {
+        this.endSession();
+        clearInterval(this.heartbeat);
+        window.removeEventListener('pagehide', this.onPageHide);
+        
+        if (this.player.video) {
+            Object.entries(this.listeners).forEach(([event, listener]) => this.player.video.removeEventListener(event, listener));
+        }
+    }
+}
+
+/**
+ * Saved positions in localStorage, one key per video
+ */
+class LocalResumeStorage {
+    constructor(prefix = 'lion-player-resume-') {
+        this.prefix = prefix;
+    }
+
+    get(videoId) {
+        const value = localStorage.getItem(this.prefix + videoId);
+        if (!value) return null;
+        
+        try {
+            const entry = JSON.parse(value);
+            return entry && typeof entry === 'object' ? entry : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    set(videoId, entry) {
+        localStorage.setItem(this.prefix + videoId, JSON.stringify(entry));
+    }
+
+    remove(videoId) {
+        localStorage.removeItem(this.prefix + videoId);
+    }
+
+    /**
+     * Remove entries older than maxAge milliseconds, and entries in the old
+     * plain-number format, which were keyed by a truncated source
+     */
+    prune(maxAge) {
+        const now = Date.now();
+        
+        for (let i = localStorage.length - 1; i >= 0; i--) {
+            const key = localStorage.key(i);
+            if (!key || !key.startsWith(this.prefix)) continue;
+            
+            const entry = this.get(key.slice(this.prefix.length));
+            if (!entry || !(now - entry.updatedAt <= maxAge)) {
+                localStorage.removeItem(key);
+            }
+        }
+    }
+}
+
+/**
+ * Saved positions in an IndexedDB object store keyed by video ID
+ */
+class IndexedDbResumeStorage {
+    constructor(name = 'lion-player', storeName = 'resume') {
+        this.name = name;
+        this.storeName = storeName;
+        this.db = null;
+    }
+
+    /**
+     * Open the database once, creating the store on first use
+     */
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.name, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        
+        return this.db;
+    }
+
+    /**
+     * Run a request against the store, resolving with its result once the transaction completes
+     */
+    async run(mode, action) {
+        const db = await this.open();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = action(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async get(videoId) {
+        return (await this.run('readonly', store => store.get(videoId))) || null;
+    }
+
+    set(videoId, entry) {
+        return this.run('readwrite', store => store.put(entry, videoId));
+    }
+
+    remove(videoId) {
+        return this.run('readwrite', store => store.delete(videoId));
+    }
+
+    prune(maxAge) {
+        const now = Date.now();
+        
+        return this.run('readwrite', store => {
+            const request = store.openCursor();
+            
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                
+                if (!(now - cursor.value.updatedAt <= maxAge)) {
+                    cursor.delete();
+                }
+                cursor.continue();
+            };
+            
+            return null;
+        });
+    }
+}
+
+// Built-in resume storage by name; custom adapters implement get/set/remove
+const RESUME_STORAGE = {
+    localStorage: LocalResumeStorage,
+    indexedDB: IndexedDbResumeStorage
+};
+
+/**
+ * LionPlayer Class with Premium Features
+ */
+class LionPlayer {
+    constructor(element, options = {}) {
+        // Handle element parameter
+        if (typeof element === 'string') {
+            this.el = document.querySelector(element);
+            if (!this.el) {
+                throw new Error(`LionPlayer: Element with selector "${element}" not found`);
+            }
+        } else if (element instanceof HTMLElement) {
+            this.el = element;
+        } else {
+            throw new Error('LionPlayer: Invalid element parameter');
+        }
+
+        // Merge options with defaults
+        this.config = Object.assign({}, DEFAULT_CONFIG, options);
+        
+        // Initialize state
+        this.state = {
+            isReady: false,
+            isPlaying: false,
+            isPaused: true,
+            isEnded: false,
+            isSeeking: false,
+            isFullscreen: false,
+            currentTime: 0,
+            duration: 0,
+            volume: this.config.muted ? 0 : 1,
+            buffered: 0,
+            playbackRate: 1,
+            networkState: 0,
+            readyState: 0,
+            tech: null,
+            quality: 'auto',
+            speed: 1,
+            controlsVisible: true,
+            isUserActive: true,
+            userActivityTimeout: null,
+            isBuffering: false,
+            bufferHealth: 'good',
+            networkStatus: 'idle',
+            bufferSegments: [],
+            lastBufferTime: 0,
+            bufferCheckInterval: null,
+            theme: this.config.theme,
+            currentLanguage: this.config.language,
+            resumePosition: 0,
+            textTrack: -1,
+            lastTextTrack: -1,
+            captionStyle: {},
+            chapter: -1,
+            accessibilityFeatures: {
+                highContrast: false,
+                reducedMotion: false,
+                audioDescriptions: false,
+                signLanguage: false
+            },
+            isAdPlaying: false,
+            zoom: 1,
+            panX: 0,
+            panY: 0,
+            isDragging: false,
+            gestures: {
+                lastTap: 0,
+                touchStartX: 0,
+                touchStartY: 0,
+                touchStartTime: 0,
+                pinchDistance: 0,
+                pinchZoom: 1,
+                pinchMoved: false,
+                isPinching: false,
+                lastTapZone: null,
+                mode: null,
+                startVolume: 1,
+                longPressTimer: null,
+                seekStreak: null
+            }
+        };
+
+        // Event listeners storage
+        this.eventListeners = {};
+        
+        // Performance monitoring
+        this.performance = {
+            frames: 0,
+            lastFrameTime: performance.now(),
+            fps: 0,
+            bufferEvents: 0,
+            seekEvents: 0
+        };
+        
+        // Initialize player
+        this.init();
+    }
+
+    /**
+     * Initialize the player with premium features
+     */
+    init() {
+        // Collect language packs before any text is created
+        this.setupLanguagePacks();
+        
+        // Create player structure
+        this.createPlayerStructure();
+        
+        // Create video element
+        this.createVideoElement();
+        
+        // Create controls
+        if (this.config.controls) {
+            this.createControls();
+        }
+        
+        // Setup event listeners
+        this.setupEventListeners();
+        
+        // Key bindings exist without premium features so bindKey() and friends always work
+        this.setupKeymap();
+        
+        // Setup premium features
+        if (this.config.premiumFeatures) {
+            this.setupPremiumFeatures();
+        }
+        
+        // Setup buffer monitoring
+        this.setupBufferMonitoring();
+        
+        // Setup theme system
+        this.setupThemeSystem();
+        
+        // Setup accessibility features
+        this.setupAccessibilityFeatures();
+        
+        // Setup multi-language support
+        this.setupMultiLanguageSupport();
+        
+        // Setup PiP enhancements
+        this.setupPiPEnhancements();
+        
+        // Setup gesture controls
+        this.setupGestureControls();
+        
+        // Setup zoom and pan
+        this.setupZoom();
+        
+        // Setup smart resume
+        this.setupSmartResume();
+        
+        // Setup chapters before tracks, which may carry them
+        this.setupChapters();
+        
+        // Setup captions and subtitles
+        this.setupTextTracks();
+        
+        // Setup audio description, which may read description tracks
+        this.setupAudioDescriptions();
+        
+        // Setup the sign language interpreter window
+        this.setupSignLanguage();
+        
+        // Setup seek preview thumbnails
+        this.setupThumbnails();
+        
+        // Initialize plugins
+        this.initializePlugins();
+        
+        // Setup ads before anything can start playback
+        this.setupAnalytics();
+        
+        this.setupAds();
+        
+        // Setup playlist
+        this.setupPlaylist();
+        
+        // Load video source, unless the playlist loaded its first item
+        if (this.config.src && this.playlist.currentIndex === -1) {
+            this.loadSource(this.config.src);
+        }
+        
+        // Set dimensions
+        this.setDimensions();
+        
+        // Start performance monitoring
+        this.startPerformanceMonitoring();
+        
+        // Mark as ready
+        this.state.isReady = true;
+        this.trigger(EVENTS.CANPLAY);
+    }
+
+    /**
+     * Setup theme system
+     */
+    setupThemeSystem() {
+        // Follow changes of the system colour scheme and contrast with the 'auto' theme
+        this.themeQueries = [];
+        
+        if (typeof window.matchMedia === 'function') {
+            const onChange = () => {
+                if (this.state.theme === 'auto') {
+                    this.applyTheme('auto');
+                }
+            };
+            
+            ['(prefers-color-scheme: light)', '(prefers-contrast: more)'].forEach(media => {
+                const query = window.matchMedia(media);
+                query.addEventListener('change', onChange);
+                this.themeQueries.push({ query, onChange });
+            });
+        }
+        
+        // Apply initial theme
+        this.applyTheme(this.state.theme);
+        
+        // Create theme switcher
+        this.createThemeSwitcher();
+    }
+
+    /**
+     * Register a theme from its tokens (primary, secondary, background, surface,
+     * surfaceHover, text, textSecondary, controls and shadow, plus the optional
+     * primaryGlow, bufferColor and bufferLoading). With `extends`,
+     * tokens left out are taken from that theme.
+     */
+    static registerTheme(name, tokens) {
+        if (typeof name !== 'string' || !name) {
+            throw new Error('LionPlayer: Theme name must be a non-empty string');
+        }
+        
+        if (name === 'auto') {
+            throw new Error('LionPlayer: Theme name "auto" is reserved for following the system theme');
+        }
+        
+        if (!tokens || typeof tokens !== 'object') {
+            throw new Error(`LionPlayer: Theme "${name}" must be registered with an object of tokens`);
+        }
+        
+        const own = Object.assign({}, tokens);
+        const base = own.extends;
+        delete own.extends;
+        
+        if (base !== undefined && !THEMES[base]) {
+            throw new Error(`LionPlayer: Theme "${name}" extends unknown theme "${base}"`);
+        }
+        
+        Object.keys(own).forEach(token => {
+            if (!THEME_TOKENS.includes(token) && !OPTIONAL_THEME_TOKENS.includes(token)) {
+                throw new Error(`LionPlayer: Unknown token "${token}" in theme "${name}"`);
+            }
+            
+            if (typeof own[token] !== 'string' || !own[token].trim()) {
+                throw new Error(`LionPlayer: Token "${token}" of theme "${name}" must be a non-empty string`);
+            }
+        });
+        
+        const theme = Object.assign({}, base !== undefined ? THEMES[base] : {}, own);
+        const missing = THEME_TOKENS.filter(token => !(token in theme));
+        
+        if (missing.length) {
+            throw new Error(`LionPlayer: Theme "${name}" is missing tokens: ${missing.join(', ')}`);
+        }
+        
+        if (THEMES[name]) {
+            console.warn(`LionPlayer: Theme "${name}" is already registered and will be replaced`);
+        }
+        
+        THEMES[name] = theme;
+    }
+
+    /**
+     * Resolve 'auto' to the theme matching the system colour scheme and contrast
+     */
+    resolveTheme(themeName) {
+        if (themeName !== 'auto') return themeName;
+        
+        const matches = media => typeof window.matchMedia === 'function' && window.matchMedia(media).matches;
+        
+        if (matches('(prefers-contrast: more)')) return 'high-contrast';
+        
+        return matches('(prefers-color-scheme: light)') ? 'light' : 'dark';
+    }
+
+    /**
+     * Apply a registered theme, or 'auto' to follow the system, to the player
+     */
+    applyTheme(themeName) {
+        const resolved = this.resolveTheme(themeName);
+        const theme = THEMES[resolved];
+        
+        if (!theme) {
+            console.warn(`LionPlayer: Unknown theme "${themeName}"`);
+            return;
+        }
+        
+        // Apply theme variables
+        THEME_TOKENS.concat(OPTIONAL_THEME_TOKENS).forEach(token => {
+            const property = `--lion-${token.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+            
+            if (theme[token] !== undefined) {
+                this.el.style.setProperty(property, theme[token]);
+            } else {
+                this.el.style.removeProperty(property);
+            }
+        });
+        
+        // Remember the theme to go back to when high contrast is turned off
+        if (resolved === 'high-contrast' && this.state.theme !== themeName && !this.state.accessibilityFeatures.highContrast) {
+            this.themeBeforeContrast = this.state.theme;
+        }
+        
+        // Update theme state
+        this.state.theme = themeName;
+        this.state.accessibilityFeatures.highContrast = resolved === 'high-contrast';
+        
+        // Update theme switcher
+        this.renderSettingsMenu();
+        
+        // Trigger theme change event
+        this.trigger(EVENTS.THEMECHANGE, { theme: themeName, resolved, tokens: Object.assign({}, theme) });
+    }
+
+    /**
+     * Create theme switcher
+     */
+    createThemeSwitcher() {
+        // Add theme switcher to settings menu
+        this.addSettingsPage('theme', {
+            title: () => this.localize('theme'),
+            value: () => this.getThemeLabel(this.state.theme),
+            items: () => ['auto'].concat(Object.keys(THEMES)).map(name => ({
+                label: this.getThemeLabel(name),
+                checked: name === this.state.theme,
+                onSelect: () => this.handleSettingsChange('theme', name)
+            }))
+        });
+    }
+
+    /**
+     * Get the label of a theme, from its language key (themeDark for 'dark')
+     */
+    getThemeLabel(name) {
+        const key = `theme${name.replace(/(^|-)(\w)/g, (match, dash, letter) => letter.toUpperCase())}`;
+        const label = this.localize(key);
+        
+        return label === key ? name : label;
+    }
+
+    /**
+     * Setup accessibility features
+     */
+    setupAccessibilityFeatures() {
+        if (!this.config.accessibility.enabled) return;
+        
+        // Add accessibility options to settings
+        this.addSettingsPage('accessibility', {
+            title: () => this.localize('accessibility'),
+            items: ['highContrast', 'reducedMotion', 'audioDescriptions', 'signLanguage'].map(feature => ({
+                type: 'toggle',
+                label: () => this.localize(feature),
+                checked: () => this.state.accessibilityFeatures[feature],
+                onChange: () => this.handleSettingsChange('accessibility', feature)
+            }))
+        });
+        
+        // Apply initial accessibility settings
+        this.applyAccessibilitySettings();
+    }
+
+    /**
+     * Apply accessibility settings
+     */
+    applyAccessibilitySettings() {
+        const { accessibility } = this.config;
+        
+        if (accessibility.highContrast) {
+            this.toggleAccessibilityFeature('highContrast', true);
+        }
+        
+        if (accessibility.reducedMotion) {
+            this.toggleAccessibilityFeature('reducedMotion', true);
+        }
+        
+        // Add ARIA labels
+        this.addARIALabels();
+    }
+
+    /**
+     * Add ARIA labels for screen readers
      */
     addARIALabels() {
         if (!this.config.accessibility.screenReader) return;
         
-        this.video.setAttribute('role', 'application');
-        this.video.setAttribute('aria-label', 'Video player');
+        this.video.setAttribute('role', 'application');
+        this.video.setAttribute('aria-label', this.localize('videoPlayer'));
+        
+        // Add live region for status updates
+        const liveRegion = document.createElement('div');
+        liveRegion.setAttribute('aria-live', 'polite');
+        liveRegion.setAttribute('aria-atomic', 'true');
+        liveRegion.className = 'lion-player-live-region';
+        liveRegion.style.position = 'absolute';
+        liveRegion.style.left = '-9999px';
+        this.container.appendChild(liveRegion);
+        
+        this.liveRegion = liveRegion;
+    }
+
+    /**
+     * Announce to screen reader
+     */
+    announce(message) {
+        if (this.liveRegion) {
+            this.liveRegion.textContent = message;
+        }
+    }
+
+    /**
+     * Collect the built-in language packs and those from config.languages,
+     * where a string value is the URL of a JSON pack loaded on first use
+     */
+    setupLanguagePacks() {
+        this.languagePacks = {};
+        this.languageUrls = {};
+        this.languageLoads = {};
+        
+        Object.entries(LANGUAGES).forEach(([lang, pack]) => {
+            this.languagePacks[lang] = Object.assign({}, pack);
+        });
+        
+        Object.entries(this.config.languages || {}).forEach(([lang, pack]) => {
+            if (typeof pack === 'string') {
+                this.languageUrls[lang] = pack;
+            } else if (pack && typeof pack === 'object') {
+                this.languagePacks[lang] = Object.assign({}, this.languagePacks[lang], pack);
+            }
+        });
+    }
+
+    /**
+     * Setup multi-language support
+     */
+    setupMultiLanguageSupport() {
+        // Add language switcher to settings
+        this.createLanguageSwitcher();
+        
+        // Apply initial language
+        this.setLanguage(this.state.currentLanguage);
+    }
+
+    /**
+     * Create language switcher
+     */
+    createLanguageSwitcher() {
+        this.addSettingsPage('language', {
+            title: () => this.localize('language'),
+            value: () => this.getLanguageName(this.state.currentLanguage),
+            items: () => this.getLanguages().map(lang => ({
+                label: this.getLanguageName(lang),
+                checked: lang === this.state.currentLanguage,
+                onSelect: () => this.handleSettingsChange('language', lang)
+            }))
+        });
+    }
+
+    /**
+     * Get the name of a language in that language, falling back to its code
+     */
+    getLanguageName(lang) {
+        try {
+            const name = new Intl.DisplayNames([lang], { type: 'language' }).of(lang);
+            return name.charAt(0).toLocaleUpperCase(lang) + name.slice(1);
+        } catch (error) {
+            return lang;
+        }
+    }
+
+    /**
+     * Translate a language key, filling {placeholders} from params. Plural
+     * entries pick their form from params.count; unknown keys are returned as is.
+     */
+    localize(key, params = {}) {
+        const lang = this.state.currentLanguage || 'en';
+        const chain = [lang, lang.split('-')[0], 'en'];
+        const pack = chain.map(code => this.languagePacks[code]).find(entry => entry && entry[key] !== undefined);
+        let text = pack ? pack[key] : key;
+        
+        if (text && typeof text === 'object') {
+            const form = this.getPluralForm(lang, params.count);
+            text = text[form] !== undefined ? text[form] : text.other;
+        }
+        
+        return String(text).replace(/\{(\w+)\}/g, (match, name) => name in params ? params[name] : match);
+    }
+
+    /**
+     * Get the plural form (zero, one, two, few, many or other) of a count
+     */
+    getPluralForm(lang, count) {
+        if (typeof count !== 'number') return 'other';
+        
+        try {
+            return new Intl.PluralRules(lang).select(count);
+        } catch (error) {
+            return count === 1 ? 'one' : 'other';
+        }
+    }
+
+    /**
+     * Get the languages that have a pack, built in or configured
+     */
+    getLanguages() {
+        return Array.from(new Set(Object.keys(this.languagePacks).concat(Object.keys(this.languageUrls))));
+    }
+
+    /**
+     * Load the packs of a language and its base language that come from a URL
+     */
+    loadLanguage(lang) {
+        const codes = Array.from(new Set([lang, lang.split('-')[0]])).filter(code => this.languageUrls[code]);
+        
+        return Promise.all(codes.map(code => {
+            if (!this.languageLoads[code]) {
+                this.languageLoads[code] = fetch(this.languageUrls[code])
+                    .then(response => {
+                        if (!response.ok) {
+                            throw new Error(`HTTP ${response.status}`);
+                        }
+                        return response.json();
+                    })
+                    .then(pack => {
+                        this.languagePacks[code] = Object.assign({}, this.languagePacks[code], pack);
+                    })
+                    .catch(error => {
+                        console.warn(`LionPlayer: Failed to load language "${code}":`, error);
+                        // Allow another attempt the next time the language is picked
+                        delete this.languageLoads[code];
+                    });
+            }
+            
+            return this.languageLoads[code];
+        }));
+    }
+
+    /**
+     * Switch the UI language, loading its pack first when it comes from a URL
+     */
+    async setLanguage(lang) {
+        this.pendingLanguage = lang;
+        
+        await this.loadLanguage(lang);
+        
+        // A later call picked another language, or the player was destroyed, while this one was loading
+        if (this.pendingLanguage !== lang || !this.video) return;
+        
+        this.applyLanguage(lang);
+    }
+
+    /**
+     * Check if a language is written right to left
+     */
+    isRtlLanguage(lang) {
+        return RTL_LANGUAGES.includes(lang.split('-')[0]);
+    }
+
+    /**
+     * Apply language to UI
+     */
+    applyLanguage(lang) {
+        const previous = this.state.currentLanguage;
+        const dir = this.isRtlLanguage(lang) ? 'rtl' : 'ltr';
+        
+        // Update language state
+        this.state.currentLanguage = lang;
+        this.el.setAttribute('lang', lang);
+        this.el.setAttribute('dir', dir);
+        
+        // Update UI text
+        this.updateUIText();
+        
+        if (lang !== previous) {
+            this.trigger(EVENTS.LANGUAGECHANGE, { language: lang, dir });
+        }
+    }
+
+    /**
+     * Update UI text with translations
+     */
+    updateUIText() {
+        if (this.video) {
+            this.video.setAttribute('aria-label', this.localize('videoPlayer'));
+        }
+        
+        // Update control labels; those that change with player state refresh through their update methods
+        this.updatePlayButton();
+        this.updateVolumeIcon();
+        this.updateFullscreenIcon();
+        
+        const labels = [
+            [this.captionsButton, 'subtitles'],
+            [this.settingsButton, 'settings'],
+            [this.miniPlayerButton, 'miniPlayer'],
+            [this.resumeButton, 'resume'],
+            [this.playlist && this.playlist.button, 'playlist'],
+            [this.signLanguageWindow, 'signLanguageWindow'],
+            [this.signLanguageCloseButton, 'close'],
+            [this.progressBar, 'progress']
+        ];
+        labels.forEach(([button, key]) => {
+            if (button) {
+                button.setAttribute('aria-label', this.localize(key));
+            }
+        });
+        
+        // Update status indicators
+        if (this.loadingSpinner && this.loadingStatus) {
+            this.updateLoadingText();
+        }
+        
+        if (this.bufferHealthIndicator) {
+            this.updateBufferHealthText();
+        }
+        
+        if (this.networkStatusIndicator) {
+            this.updateNetworkStatusText();
+        }
+        
+        this.updateProgressAria(true);
+        
+        // Rebuild the settings menu and panels
+        this.renderSettingsMenu();
+        
+        if (this.playlist) {
+            this.playlist.renderPanel();
+        }
+        
+        if (this.shortcutsOverlay) {
+            this.shortcutsOverlay.setAttribute('aria-label', this.localize('keyboardShortcuts'));
+            this.renderShortcutsOverlay();
+        }
+        
+        if (this.zoomIndicator) {
+            this.zoomIndicator.querySelector('.lion-player-zoom-reset').textContent = this.localize('reset');
+        }
+        
+        // Update the end screen; a running countdown relabels itself every second
+        if (this.upNextLabel && !this.upNextTimer) {
+            this.upNextLabel.textContent = this.localize('upNext');
+        }
+        
+        if (this.endScreen) {
+            const playNow = this.endScreen.querySelector('.lion-player-up-next-play');
+            if (playNow) {
+                playNow.textContent = this.localize('playNow');
+            }
+        }
+        
+        if (this.upNextCancel) {
+            this.upNextCancel.textContent = this.localize('cancel');
+        }
+    }
+
+    /**
+     * Setup PiP enhancements
+     */
+    setupPiPEnhancements() {
+        if (!this.config.piP.enabled) return;
+        
+        // Create custom PiP controls
+        this.createPiPControls();
+        
+        // Listen for PiP events
+        this.video.addEventListener('enterpictureinpicture', () => {
+            this.onPiPEnter();
+        });
+        
+        this.video.addEventListener('leavepictureinpicture', () => {
+            this.onPiPLeave();
+        });
+    }
+
+    /**
+     * Create custom PiP controls
+     */
+    createPiPControls() {
+        // Create PiP container
+        this.pipContainer = document.createElement('div');
+        this.pipContainer.className = 'lion-player-pip-container';
+        this.pipContainer.style.position = 'fixed';
+        this.pipContainer.style.bottom = '20px';
+        this.pipContainer.style.right = '20px';
+        this.pipContainer.style.width = `${this.config.piP.size.width}px`;
+        this.pipContainer.style.height = `${this.config.piP.size.height}px`;
+        this.pipContainer.style.background = '#000';
+        this.pipContainer.style.borderRadius = '8px';
+        this.pipContainer.style.boxShadow = '0 4px 20px rgba(0, 0, 0, 0.5)';
+        this.pipContainer.style.zIndex = '9999';
+        this.pipContainer.style.display = 'none';
+        this.pipContainer.style.overflow = 'hidden';
+        
+        // Create PiP video
+        this.pipVideo = document.createElement('video');
+        this.pipVideo.style.width = '100%';
+        this.pipVideo.style.height = '100%';
+        this.pipVideo.style.objectFit = 'contain';
+        this.pipVideo.muted = true;
+        this.pipContainer.appendChild(this.pipVideo);
+        
+        // Create PiP controls
+        if (this.config.piP.controls) {
+            this.createPiPControlBar();
+        }
+        
+        // Add to document
+        document.body.appendChild(this.pipContainer);
+    }
+
+    /**
+     * Create PiP control bar
+     */
+    createPiPControlBar() {
+        const controlBar = document.createElement('div');
+        controlBar.className = 'lion-player-pip-controls';
+        controlBar.style.position = 'absolute';
+        controlBar.style.bottom = '0';
+        controlBar.style.left = '0';
+        controlBar.style.right = '0';
+        controlBar.style.height = '40px';
+        controlBar.style.background = 'rgba(0, 0, 0, 0.7)';
+        controlBar.style.display = 'flex';
+        controlBar.style.alignItems = 'center';
+        controlBar.style.justifyContent = 'space-between';
+        controlBar.style.padding = '0 10px';
+        
+        // Play/pause button
+        const playBtn = document.createElement('button');
+        playBtn.innerHTML = '▶';
+        playBtn.style.color = '#fff';
+        playBtn.style.background = 'none';
+        playBtn.style.border = 'none';
+        playBtn.style.fontSize = '16px';
+        playBtn.style.cursor = 'pointer';
+        playBtn.addEventListener('click', () => this.togglePlay());
+        controlBar.appendChild(playBtn);
+        
+        // Close button
+        const closeBtn = document.createElement('button');
+        closeBtn.innerHTML = '✕';
+        closeBtn.style.color = '#fff';
+        closeBtn.style.background = 'none';
+        closeBtn.style.border = 'none';
+        closeBtn.style.fontSize = '16px';
+        closeBtn.style.cursor = 'pointer';
+        closeBtn.addEventListener('click', () => this.exitPiP());
+        controlBar.appendChild(closeBtn);
+        
+        this.pipContainer.appendChild(controlBar);
+    }
+
+    /**
+     * Enter PiP mode
+     */
+    enterPiP() {
+        if (!this.config.piP.enabled) return;
+        
+        // Show PiP container
+        this.pipContainer.style.display = 'block';
+        
+        // Sync video sources
+        this.pipVideo.src = this.video.src;
+        this.pipVideo.currentTime = this.video.currentTime;
+        
+        // Play PiP video if main video is playing
+        if (this.state.isPlaying) {
+            this.pipVideo.play();
+        }
+        
+        // Hide main video controls
+        this.controls.style.opacity = '0';
+    }
+
+    /**
+     * Exit PiP mode
+     */
+    exitPiP() {
+        if (!this.config.piP.enabled) return;
+        
+        // Hide PiP container
+        this.pipContainer.style.display = 'none';
+        
+        // Pause PiP video
+        this.pipVideo.pause();
+        
+        // Show main video controls
+        this.controls.style.opacity = '1';
+    }
+
+    /**
+     * Handle PiP enter
+     */
+    onPiPEnter() {
+        this.el.classList.add('pip-mode');
+        this.announce(this.localize('pipActivated'));
+    }
+
+    /**
+     * Handle PiP leave
+     */
+    onPiPLeave() {
+        this.el.classList.remove('pip-mode');
+        this.announce(this.localize('pipDeactivated'));
+    }
+
+    /**
+     * Setup gesture controls
+     */
+    setupGestureControls() {
+        if (!this.getGestureOptions().enabled) return;
+        
+        this.gestureRipples = {};
+        
+        // Touch events for mobile
+        this.video.addEventListener('touchstart', (e) => this.onTouchStart(e));
+        this.video.addEventListener('touchmove', (e) => this.onTouchMove(e));
+        this.video.addEventListener('touchend', (e) => this.onTouchEnd(e));
+        
+        // Mouse events for desktop
+        this.video.addEventListener('mousedown', (e) => this.onMouseDown(e));
+        this.video.addEventListener('mousemove', (e) => this.onMouseMove(e));
+        this.video.addEventListener('mouseup', (e) => this.onMouseUp(e));
+    }
+
+    /**
+     * Get the gesture options merged with their defaults
+     */
+    getGestureOptions() {
+        return Object.assign({}, DEFAULT_CONFIG.gestures, this.config.gestures);
+    }
+
+    /**
+     * Handle touch start
+     */
+    onTouchStart(e) {
+        const gestures = this.state.gestures;
+        clearTimeout(gestures.longPressTimer);
+        
+        // A second finger starts a pinch, or a two-finger tap if the fingers stay put
+        if (e.touches.length === 2) {
+            gestures.pinchDistance = this.getTouchDistance(e.touches);
+            gestures.pinchZoom = this.state.zoom;
+            gestures.pinchMoved = false;
+            gestures.isPinching = true;
+            gestures.touchStartTime = Date.now();
+            return;
+        }
+        
+        if (e.touches.length > 2) return;
+        
+        const touch = e.touches[0];
+        gestures.touchStartX = touch.clientX;
+        gestures.touchStartY = touch.clientY;
+        gestures.touchStartTime = Date.now();
+        gestures.mode = null;
+        gestures.startVolume = this.tech ? this.tech.volume() : 1;
+        
+        // Holding still turns into a long press
+        if (this.state.zoom === 1 && this.getGestureAction('longPress')) {
+            gestures.longPressTimer = setTimeout(() => {
+                gestures.mode = 'longPress';
+                this.runGesture('longPress', { phase: 'start', zone: this.getTouchZone(touch.clientX) });
+            }, this.getGestureOptions().longPressDelay);
+        }
+    }
+
+    /**
+     * Get the distance between the first two touches
+     */
+    getTouchDistance(touches) {
+        return Math.hypot(touches[1].clientX - touches[0].clientX, touches[1].clientY - touches[0].clientY);
+    }
+
+    /**
+     * Get the third of the video a touch is in: 'left', 'center' or 'right'
+     */
+    getTouchZone(clientX) {
+        const rect = this.videoWrapper.getBoundingClientRect();
+        const position = rect.width ? (clientX - rect.left) / rect.width : 0.5;
+        
+        return position < 1 / 3 ? 'left' : position > 2 / 3 ? 'right' : 'center';
+    }
+
+    /**
+     * Handle touch move
+     */
+    onTouchMove(e) {
+        e.preventDefault();
+        
+        const gestures = this.state.gestures;
+        
+        // Pinch to zoom around the point between the fingers
+        if (e.touches.length === 2 && gestures.pinchDistance) {
+            const [first, second] = e.touches;
+            const distance = this.getTouchDistance(e.touches);
+            
+            if (Math.abs(distance - gestures.pinchDistance) > 10) {
+                gestures.pinchMoved = true;
+            }
+            
+            if (gestures.pinchMoved) {
+                this.setZoom(
+                    gestures.pinchZoom * distance / gestures.pinchDistance,
+                    (first.clientX + second.clientX) / 2,
+                    (first.clientY + second.clientY) / 2
+                );
+            }
+            return;
+        }
+        
+        const touch = e.touches[0];
+        const deltaX = touch.clientX - gestures.touchStartX;
+        const deltaY = touch.clientY - gestures.touchStartY;
+        
+        // Handle pan when zoomed
+        if (this.state.zoom > 1) {
+            clearTimeout(gestures.longPressTimer);
+            this.setPan(this.state.panX + deltaX, this.state.panY + deltaY);
+            gestures.touchStartX = touch.clientX;
+            gestures.touchStartY = touch.clientY;
+            return;
+        }
+        
+        if (gestures.mode === 'longPress') return;
+        
+        // The first movement decides between a horizontal and a vertical swipe
+        if (!gestures.mode && Math.hypot(deltaX, deltaY) > 10) {
+            clearTimeout(gestures.longPressTimer);
+            gestures.mode = Math.abs(deltaY) > Math.abs(deltaX) ? 'vertical' : 'horizontal';
+        }
+        
+        // Volume follows the finger; other vertical swipe actions run when it lifts
+        if (gestures.mode === 'vertical') {
+            const type = this.getVerticalSwipeType();
+            
+            if (this.getGestureAction(type) === 'volume') {
+                this.runGesture(type, { phase: 'move', value: -deltaY, zone: this.getTouchZone(gestures.touchStartX) }, false);
+            }
+        }
+    }
+
+    /**
+     * Get the vertical swipe gesture for the half of the video the touch started on
+     */
+    getVerticalSwipeType() {
+        const rect = this.videoWrapper.getBoundingClientRect();
+        return this.state.gestures.touchStartX - rect.left > rect.width / 2 ? 'swipeVerticalRight' : 'swipeVerticalLeft';
+    }
+
+    /**
+     * Handle touch end
+     */
+    onTouchEnd(e) {
+        const gestures = this.state.gestures;
+        const options = this.getGestureOptions();
+        clearTimeout(gestures.longPressTimer);
+        
+        // Ending a pinch isn't a tap or swipe; a finger left down carries on panning
+        if (gestures.isPinching) {
+            if (e.touches.length < 2) {
+                gestures.pinchDistance = 0;
+            }
+            
+            if (e.touches.length === 1) {
+                gestures.touchStartX = e.touches[0].clientX;
+                gestures.touchStartY = e.touches[0].clientY;
+                gestures.mode = 'pan';
+            } else if (!e.touches.length) {
+                gestures.isPinching = false;
+                
+                if (!gestures.pinchMoved && Date.now() - gestures.touchStartTime < options.doubleTapDelay) {
+                    this.runGesture('twoFingerTap', { zone: 'center' });
+                }
+            }
+            return;
+        }
+        
+        const touch = e.changedTouches[0];
+        const deltaX = touch.clientX - gestures.touchStartX;
+        const deltaY = touch.clientY - gestures.touchStartY;
+        const mode = gestures.mode;
+        gestures.mode = null;
+        
+        if (mode === 'longPress') {
+            this.runGesture('longPress', { phase: 'end', zone: this.getTouchZone(gestures.touchStartX) });
+            return;
+        }
+        
+        if (mode === 'vertical') {
+            this.runGesture(this.getVerticalSwipeType(), {
+                phase: 'end',
+                value: -deltaY,
+                zone: this.getTouchZone(gestures.touchStartX)
+            });
+            return;
+        }
+        
+        // While zoomed, swiping pans instead of seeking
+        if (mode === 'horizontal') {
+            if (this.state.zoom === 1 && Math.abs(deltaX) > options.swipeThreshold && Math.abs(deltaY) < 50) {
+                this.runGesture(deltaX > 0 ? 'swipeRight' : 'swipeLeft', { zone: deltaX > 0 ? 'right' : 'left' });
+            }
+            return;
+        }
+        
+        if (!mode && Date.now() - gestures.touchStartTime < options.doubleTapDelay) {
+            this.onTap(touch.clientX);
+        }
+    }
+
+    /**
+     * Handle a tap: a second tap in the same third is a double tap, and
+     * further taps while a double-tap seek is showing keep seeking
+     */
+    onTap(clientX) {
+        const gestures = this.state.gestures;
+        const zone = this.getTouchZone(clientX);
+        const type = `doubleTap${zone.charAt(0).toUpperCase()}${zone.slice(1)}`;
+        const now = Date.now();
+        
+        const streak = gestures.seekStreak;
+        const continuing = streak && streak.type === type && now - gestures.lastTap < this.getGestureOptions().doubleTapDelay * 2;
+        const doubleTap = gestures.lastTap && gestures.lastTapZone === zone && now - gestures.lastTap < this.getGestureOptions().doubleTapDelay;
+        
+        if (continuing || doubleTap) {
+            this.runGesture(type, { zone });
+            // A seek keeps counting taps; anything else starts over
+            gestures.lastTap = gestures.seekStreak && gestures.seekStreak.type === type ? now : 0;
+        } else {
+            gestures.lastTap = now;
+        }
+        
+        gestures.lastTapZone = zone;
+    }
+
+    /**
+     * Get the action bound to a gesture: an action name, a function or null
+     */
+    getGestureAction(type) {
+        const map = Object.assign({}, DEFAULT_GESTURE_MAP, this.getGestureOptions().map);
+        return map[type] || null;
+    }
+
+    /**
+     * Run the action bound to a gesture and report it with the GESTURE event
+     */
+    runGesture(type, gesture = {}, notify = true) {
+        const action = this.getGestureAction(type);
+        if (!action) return false;
+        
+        const run = typeof action === 'function' ? action : GESTURE_ACTIONS[action];
+        if (!run) {
+            console.warn(`LionPlayer: Unknown gesture action "${action}"`);
+            return false;
+        }
+        
+        const value = run(this, Object.assign({ type }, gesture));
+        
+        if (notify) {
+            // Seeks, volume and long presses draw their feedback as they go
+            if (!['seekBackward', 'seekForward', 'volume', 'fastForward'].includes(action)) {
+                this.showGestureRipple(gesture.zone, this.getGestureFeedback(action, value));
+            }
+            
+            this.trigger(EVENTS.GESTURE, { type, action: typeof action === 'function' ? 'custom' : action, value });
+        }
+        
+        return true;
+    }
+
+    /**
+     * Get the ripple text for what a gesture action did; custom actions show
+     * the text or number they return
+     */
+    getGestureFeedback(action, value) {
+        switch (action) {
+            case 'togglePlay':
+                return value ? '▶' : '❚❚';
+            case 'toggleMute': {
+                const volume = value || !this.tech ? 0 : this.tech.volume();
+                return this.localize('volumeLevel', { percent: Math.round(volume * 100) });
+            }
+            case 'toggleFullscreen':
+                return '⛶';
+            default:
+                return typeof value === 'string' || typeof value === 'number' ? String(value) : '✓';
+        }
+    }
+
+    /**
+     * Seek for a gesture. Repeating the gesture quickly adds to the same seek.
+     */
+    seekByGesture(gesture, direction) {
+        const gestures = this.state.gestures;
+        const options = this.getGestureOptions();
+        let streak = gestures.seekStreak;
+        
+        if (!streak || streak.type !== gesture.type) {
+            streak = gestures.seekStreak = { type: gesture.type, total: 0, timer: null };
+        }
+        
+        clearTimeout(streak.timer);
+        streak.timer = setTimeout(() => {
+            if (gestures.seekStreak === streak) {
+                gestures.seekStreak = null;
+            }
+        }, options.doubleTapDelay * 2);
+        
+        const seconds = direction * options.seekStep;
+        streak.total += seconds;
+        this.skip(seconds);
+        this.showGestureRipple(gesture.zone, `${streak.total > 0 ? '+' : '−'}${Math.abs(streak.total)}s`);
+        
+        return streak.total;
+    }
+
+    /**
+     * Set the volume from a vertical swipe; a swipe up the full height adds 100%
+     */
+    setVolumeByGesture(gesture) {
+        const gestures = this.state.gestures;
+        const height = this.videoWrapper.clientHeight || 1;
+        const volume = Math.max(0, Math.min(1, gestures.startVolume + (gesture.value || 0) / height));
+        
+        if (gesture.phase === 'move') {
+            this.setVolume(volume);
+            this.showGestureRipple(gesture.zone, this.localize('volumeLevel', { percent: Math.round(volume * 100) }));
+        }
+        
+        return volume;
+    }
+
+    /**
+     * Play faster while a long press is held, then go back to the chosen speed
+     */
+    holdPlaybackRate(hold) {
+        if (!this.tech) return 1;
+        
+        if (hold) {
+            const rate = this.getGestureOptions().longPressRate;
+            this.tech.setPlaybackRate(rate);
+            this.showGestureRipple('center', `${rate}× ▸▸`, 0);
+            return rate;
+        }
+        
+        this.tech.setPlaybackRate(this.state.speed || 1);
+        this.hideGestureRipple('center');
+        return this.state.speed || 1;
+    }
+
+    /**
+     * Show gesture feedback over a third of the video; a duration of 0 keeps it until hidden
+     */
+    showGestureRipple(zone = 'center', text = '', duration = 700) {
+        let ripple = this.gestureRipples[zone];
+        
+        if (!ripple) {
+            ripple = document.createElement('div');
+            ripple.className = `lion-player-gesture-ripple ${zone}`;
+            ripple.appendChild(document.createElement('span'));
+            this.videoWrapper.appendChild(ripple);
+            this.gestureRipples[zone] = ripple;
+        }
+        
+        ripple.firstChild.textContent = text;
+        
+        // Restart the ripple animation for each repeat
+        ripple.classList.remove('active');
+        void ripple.offsetWidth;
+        ripple.classList.add('active');
+        
+        clearTimeout(ripple.hideTimer);
+        if (duration) {
+            ripple.hideTimer = setTimeout(() => this.hideGestureRipple(zone), duration);
+        }
+    }
+
+    /**
+     * Hide the gesture feedback of a third of the video
+     */
+    hideGestureRipple(zone) {
+        const ripple = this.gestureRipples[zone];
+        
+        if (ripple) {
+            clearTimeout(ripple.hideTimer);
+            ripple.classList.remove('active');
+        }
+    }
+
+    /**
+     * Handle mouse down
+     */
+    onMouseDown(e) {
+        if (this.state.zoom > 1) {
+            this.state.isDragging = true;
+            this.state.dragStartX = e.clientX - this.state.panX;
+            this.state.dragStartY = e.clientY - this.state.panY;
+            this.video.style.cursor = 'grabbing';
+            e.preventDefault();
+        }
+    }
+
+    /**
+     * Handle mouse move
+     */
+    onMouseMove(e) {
+        if (this.state.isDragging && this.state.zoom > 1) {
+            this.setPan(e.clientX - this.state.dragStartX, e.clientY - this.state.dragStartY);
+        }
+    }
+
+    /**
+     * Handle mouse up
+     */
+    onMouseUp(e) {
+        this.state.isDragging = false;
+        this.video.style.cursor = this.state.zoom > 1 ? 'grab' : 'default';
+    }
+
+    /**
+     * Setup zoom: wheel zoom on desktop and the zoom indicator
+     */
+    setupZoom() {
+        const options = Object.assign({}, DEFAULT_CONFIG.zoom, this.config.zoom);
+        if (!options.enabled) return;
+        
+        this.zoomIndicator = document.createElement('div');
+        this.zoomIndicator.className = 'lion-player-zoom-indicator';
+        
+        this.zoomLevel = document.createElement('span');
+        this.zoomIndicator.appendChild(this.zoomLevel);
+        
+        const reset = document.createElement('button');
+        reset.className = 'lion-player-zoom-reset';
+        reset.setAttribute('type', 'button');
+        reset.textContent = this.localize('reset');
+        reset.addEventListener('click', () => this.resetZoom());
+        this.zoomIndicator.appendChild(reset);
+        
+        this.videoWrapper.appendChild(this.zoomIndicator);
+        
+        // Without the modifier the wheel scrolls the page as usual
+        this.videoWrapper.addEventListener('wheel', (e) => {
+            const modifier = options.wheelModifier;
+            if (modifier && !e[`${modifier}Key`]) return;
+            
+            e.preventDefault();
+            
+            const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+            this.setZoom(this.state.zoom * Math.exp(-delta / 200), e.clientX, e.clientY);
+        }, { passive: false });
+        
+        this.video.addEventListener('mouseleave', (e) => this.onMouseUp(e));
+    }
+
+    /**
+     * Set the zoom level, keeping the point under clientX/clientY in place
+     * (the centre of the view by default)
+     */
+    setZoom(zoom, clientX, clientY) {
+        const options = Object.assign({}, DEFAULT_CONFIG.zoom, this.config.zoom);
+        if (!options.enabled) return;
+        
+        const previous = this.state.zoom;
+        const next = Math.max(options.min, Math.min(options.max, Number(zoom) || 1));
+        
+        // Offset of the focal point from the centre of the view
+        let x = 0;
+        let y = 0;
+        
+        if (clientX !== undefined && clientY !== undefined) {
+            const rect = this.videoWrapper.getBoundingClientRect();
+            x = clientX - rect.left - rect.width / 2;
+            y = clientY - rect.top - rect.height / 2;
+        }
+        
+        this.state.zoom = next;
+        
+        // The frame point under the focal point stays there
+        const ratio = next / previous;
+        this.setPan(x - (x - this.state.panX) * ratio, y - (y - this.state.panY) * ratio);
+    }
+
+    /**
+     * Zoom in or out by a number of zoom.step increments
+     */
+    zoomBy(steps) {
+        const options = Object.assign({}, DEFAULT_CONFIG.zoom, this.config.zoom);
+        this.setZoom(this.state.zoom + steps * options.step);
+    }
+
+    /**
+     * Move the zoomed frame, keeping it covering the view
+     */
+    setPan(x, y) {
+        const { maxX, maxY } = this.getPanLimits();
+        
+        this.state.panX = Math.max(-maxX, Math.min(maxX, Number(x) || 0));
+        this.state.panY = Math.max(-maxY, Math.min(maxY, Number(y) || 0));
+        
+        this.applyZoom();
+    }
+
+    /**
+     * Zoom back out to the whole frame
+     */
+    resetZoom() {
+        if (this.state.zoom === 1 && !this.state.panX && !this.state.panY) return;
+        
+        this.state.zoom = 1;
+        this.setPan(0, 0);
+    }
+
+    /**
+     * Get how far the frame can move before its edge enters the view.
+     * Letterboxing from object-fit: contain doesn't count as frame.
+     */
+    getPanLimits() {
+        const width = this.videoWrapper.clientWidth;
+        const height = this.videoWrapper.clientHeight;
+        let frameWidth = width;
+        let frameHeight = height;
+        
+        if (this.video.videoWidth && this.video.videoHeight) {
+            const aspect = this.video.videoWidth / this.video.videoHeight;
+            frameWidth = Math.min(width, height * aspect);
+            frameHeight = frameWidth / aspect;
+        }
+        
+        return {
+            maxX: Math.max(0, (frameWidth * this.state.zoom - width) / 2),
+            maxY: Math.max(0, (frameHeight * this.state.zoom - height) / 2)
+        };
+    }
+
+    /**
+     * Apply zoom and pan to the video and update the indicator
+     */
+    applyZoom() {
+        const { zoom, panX, panY } = this.state;
+        const zoomed = zoom > 1;
+        
+        this.video.style.transform = zoomed ? `translate(${panX}px, ${panY}px) scale(${zoom})` : '';
+        this.video.style.cursor = zoomed ? (this.state.isDragging ? 'grabbing' : 'grab') : 'default';
+        this.el.classList.toggle('lion-player-zoomed', zoomed);
+        
+        if (this.zoomIndicator) {
+            this.zoomLevel.textContent = `${Math.round(zoom * 100)}%`;
+        }
+        
+        this.trigger(EVENTS.ZOOMCHANGE, { zoom, panX, panY });
+    }
+
+    /**
+     * Setup smart resume
+     */
+    setupSmartResume() {
+        const options = this.getResumeOptions();
+        if (!options.enabled) return;
+        
+        this.resumeStorage = this.createResumeStorage(options.storage);
+        
+        // Add resume button to controls
+        this.resumeButton = this.createButton('resume', this.localize('resume'), () => this.resumePlayback());
+        this.controlsLeft.appendChild(this.resumeButton);
+        
+        // Initially hide resume button
+        this.resumeButton.style.display = 'none';
+        
+        // Save when the viewer stops, not only on the periodic save
+        this.video.addEventListener('pause', () => {
+            if (!this.state.isEnded) {
+                this.savePosition();
+            }
+        });
+        
+        // Forget positions nobody came back for
+        if (options.expiryDays > 0 && typeof this.resumeStorage.prune === 'function') {
+            Promise.resolve()
+                .then(() => this.resumeStorage.prune(options.expiryDays * 86400000))
+                .catch(error => console.warn('LionPlayer: Could not remove expired positions', error));
+        }
+        
+        // Check for saved position on load
+        this.checkSavedPosition();
+    }
+
+    /**
+     * Get the resume options merged with their defaults
+     */
+    getResumeOptions() {
+        return Object.assign({}, DEFAULT_CONFIG.resume, this.config.resume);
+    }
+
+    /**
+     * Get the storage adapter for a storage name or custom adapter
+     */
+    createResumeStorage(storage) {
+        if (storage && typeof storage === 'object') {
+            return storage;
+        }
+        
+        if (storage === 'indexedDB' && typeof indexedDB === 'undefined') {
+            console.warn('LionPlayer: IndexedDB is not available, saving positions in localStorage');
+            return new LocalResumeStorage();
+        }
+        
+        const Storage = RESUME_STORAGE[storage];
+        if (!Storage) {
+            console.warn(`LionPlayer: Unknown resume storage "${storage}", using localStorage`);
+            return new LocalResumeStorage();
+        }
+        
+        return new Storage();
+    }
+
+    /**
+     * Check for a saved position and offer it, or resume right away.
+     * Resolves with the position, or 0 when there is nothing to resume.
+     */
+    async checkSavedPosition() {
+        this.state.resumePosition = 0;
+        if (!this.resumeStorage) return 0;
+        
+        this.resumeButton.style.display = 'none';
+        
+        const videoId = this.getVideoId();
+        if (!videoId) return 0;
+        
+        const options = this.getResumeOptions();
+        let entry = null;
+        
+        try {
+            entry = await this.resumeStorage.get(videoId);
+        } catch (error) {
+            console.warn('LionPlayer: Could not read saved position', error);
+        }
+        
+        // Another video may have been loaded while storage answered
+        if (!entry || videoId !== this.getVideoId()) return 0;
+        
+        const expired = options.expiryDays > 0 && !(Date.now() - entry.updatedAt <= options.expiryDays * 86400000);
+        
+        if (expired || this.isFinishedPosition(entry.position, entry.duration)) {
+            this.clearSavedPosition(videoId);
+            return 0;
+        }
+        
+        if (!(entry.position > options.minPosition)) return 0;
+        
+        this.state.resumePosition = entry.position;
+        
+        if (options.autoResume) {
+            this.resumePlayback(false);
+        } else {
+            this.resumeButton.style.display = 'flex';
+        }
+        
+        return entry.position;
+    }
+
+    /**
+     * Get the ID positions are saved under: a playlist item's videoId, then
+     * resume.videoId (a string or a function of the source URL), then the full URL
+     */
+    getVideoId() {
+        const src = this.sources && this.sources.length ? this.sources[0].src : '';
+        if (!src) return '';
+        
+        if (this.mediaItem && this.mediaItem.src === this.config.src && this.mediaItem.videoId) {
+            return String(this.mediaItem.videoId);
+        }
+        
+        const videoId = this.getResumeOptions().videoId;
+        const id = typeof videoId === 'function' ? videoId(src) : videoId;
+        
+        return id ? String(id) : src;
+    }
+
+    /**
+     * Check whether a position is close enough to the end to count as watched
+     */
+    isFinishedPosition(position, duration) {
+        return duration > 0 && isFinite(duration) && position >= duration * this.getResumeOptions().finishedThreshold;
+    }
+
+    /**
+     * Resume playback from saved position
+     */
+    resumePlayback(play = true) {
+        const position = this.state.resumePosition;
+        if (!(position > 0)) return;
+        
+        // Seeking before metadata is loaded would be lost
+        if (this.video.readyState >= 1) {
+            this.setCurrentTime(position);
+        } else {
+            this.video.addEventListener('loadedmetadata', () => {
+                if (this.state.resumePosition === position) {
+                    this.setCurrentTime(position);
+                }
+            }, { once: true });
+        }
+        
+        if (play) {
+            this.play();
+        }
+        
+        this.resumeButton.style.display = 'none';
+        this.announce(this.localize('resumingFrom', { time: this.formatTime(position) }));
+        this.trigger(EVENTS.RESUME, { position, auto: !play });
+    }
+
+    /**
+     * Save current position, or clear it once the video is essentially finished
+     */
+    async savePosition() {
+        const videoId = this.getVideoId();
+        if (!this.resumeStorage || !videoId) return;
+        
+        const position = this.getCurrentTime();
+        const duration = this.getDuration();
+        
+        // Live streams have no position to come back to
+        if (!isFinite(duration)) return;
+        
+        if (this.isFinishedPosition(position, duration)) {
+            await this.clearSavedPosition(videoId);
+            return;
+        }
+        
+        if (!(position > this.getResumeOptions().minPosition)) return;
+        
+        try {
+            await this.resumeStorage.set(videoId, { position, duration, updatedAt: Date.now() });
+        } catch (error) {
+            console.warn('LionPlayer: Could not save position', error);
+        }
+    }
+
+    /**
+     * Forget the saved position of a video, the current one by default
+     */
+    async clearSavedPosition(videoId = this.getVideoId()) {
+        if (!this.resumeStorage || !videoId) return;
+        
+        try {
+            await this.resumeStorage.remove(videoId);
+        } catch (error) {
+            console.warn('LionPlayer: Could not clear saved position', error);
+        }
+    }
+
+    /**
+     * Register a plugin factory
+     */
+    static registerPlugin(name, factory) {
+        if (typeof name !== 'string' || !name) {
+            throw new Error('LionPlayer: Plugin name must be a non-empty string');
+        }
+        
+        if (typeof factory !== 'function') {
+            throw new Error(`LionPlayer: Plugin "${name}" must be registered with a factory function`);
+        }
+        
+        if (PLUGINS[name]) {
+            console.warn(`LionPlayer: Plugin "${name}" is already registered and will be replaced`);
+        }
+        
+        PLUGINS[name] = factory;
+    }
+
+    /**
+     * Initialize plugins listed in config.plugins
+     */
+    initializePlugins() {
+        this.plugins = {};
+        
+        Object.keys(this.config.plugins || {}).forEach(name => {
+            const options = this.config.plugins[name];
+            
+            // Allow plugins to be disabled with `false`
+            if (options === false) return;
+            
+            this.usePlugin(name, options === true ? {} : options);
+        });
+    }
+
+    /**
+     * Instantiate a registered plugin on this player
+     */
+    usePlugin(name, options = {}) {
+        const factory = PLUGINS[name];
+        
+        if (!factory) {
+            console.warn(`LionPlayer: Plugin "${name}" is not registered`);
+            return null;
+        }
+        
+        if (this.plugins[name]) {
+            return this.plugins[name];
+        }
+        
+        try {
+            const plugin = factory(this, options || {}) || {};
+            
+            if (typeof plugin.onInit === 'function') {
+                plugin.onInit.call(plugin, this);
+            }
+            
+            // Only a plugin that initialized gets the later hooks
+            this.plugins[name] = plugin;
+            return plugin;
+        } catch (error) {
+            console.error(`LionPlayer: Plugin "${name}" failed to initialize:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Get a plugin instance by name
+     */
+    getPlugin(name) {
+        return this.plugins ? this.plugins[name] || null : null;
+    }
+
+    /**
+     * Call a lifecycle hook on every plugin
+     */
+    callPluginHook(hook, ...args) {
+        if (!this.plugins) return;
+        
+        Object.keys(this.plugins).forEach(name => {
+            const plugin = this.plugins[name];
+            
+            if (typeof plugin[hook] === 'function') {
+                try {
+                    plugin[hook].apply(plugin, args);
+                } catch (error) {
+                    console.error(`LionPlayer: Plugin "${name}" failed in ${hook}:`, error);
+                }
+            }
+        });
+    }
+
+    /**
+     * Register a playback tech
+     */
+    static registerTech(name, tech) {
+        if (typeof name !== 'string' || !name) {
+            throw new Error('LionPlayer: Tech name must be a non-empty string');
+        }
+        
+        if (typeof tech !== 'function' ||
+            typeof tech.isSupported !== 'function' ||
+            typeof tech.canPlaySource !== 'function') {
+            throw new Error(`LionPlayer: Tech "${name}" must be a class with static isSupported() and canPlaySource()`);
+        }
+        
+        TECHS[name] = tech;
+    }
+
+    /**
+     * Get a registered tech class by name
+     */
+    static getTech(name) {
+        return TECHS[name] || null;
+    }
+
+    /**
+     * Normalize a source string or object into {src, type}
+     */
+    normalizeSource(src) {
+        const source = typeof src === 'string' ? { src } : Object.assign({}, src);
+        
+        if (!source.type) {
+            const extension = source.src.split(/[?#]/)[0].split('.').pop().toLowerCase();
+            source.type = SOURCE_TYPES[extension] || '';
+        }
+        
+        return source;
+    }
+
+    /**
+     * Pick the first tech in techOrder that can play a source
+     */
+    selectTech(source) {
+        return this.config.techOrder.find(name => {
+            const tech = TECHS[name];
+            return tech && tech.isSupported() && tech.canPlaySource(source, this.config[name] || {});
+        }) || null;
+    }
+
+    /**
+     * Load a tech, disposing the current one
+     */
+    loadTech(name) {
+        if (this.tech && this.state.tech === name) return this.tech;
+        
+        if (this.tech) {
+            this.tech.dispose();
+        }
+        
+        this.tech = new TECHS[name](this, this.config[name] || {});
+        this.state.tech = name;
+        
+        return this.tech;
+    }
+
+    /**
+     * Setup captions and subtitles
+     */
+    setupTextTracks() {
+        this.textTracks = [];
+        
+        // Viewer choices win over the page's style, which wins over the preset
+        const preset = CAPTION_STYLE_PRESETS[this.config.accessibility.highContrast ? 'high-contrast' : 'default'];
+        this.state.captionStyle = Object.assign({}, preset);
+        this.setCaptionStyle(Object.assign({}, this.config.captionStyle, this.loadCaptionStyle()), false);
+        
+        // Player-owned overlay so cues look the same everywhere, including fullscreen
+        this.captionsOverlay = document.createElement('div');
+        this.captionsOverlay.className = 'lion-player-captions';
+        this.captionsOverlay.setAttribute('aria-live', 'off');
+        this.videoWrapper.appendChild(this.captionsOverlay);
+        
+        this.setTextTracks(this.config.tracks);
+    }
+
+    /**
+     * Replace the text tracks, keeping captions on in the same language
+     */
+    setTextTracks(tracks) {
+        const previous = this.textTracks[this.state.textTrack];
+        
+        this.clearTextTracks();
+        (tracks || []).forEach(track => this.addTextTrack(track));
+        
+        let index = this.textTracks.findIndex(entry => entry.default && this.isSubtitleTrack(entry));
+        
+        if (previous) {
+            const same = this.textTracks.findIndex(entry => this.isSubtitleTrack(entry) && entry.language === previous.language);
+            if (same !== -1) index = same;
+        }
+        
+        if (index !== -1) {
+            this.setTextTrack(index);
+        }
+        
+        // Stop speaking descriptions the new tracks don't have
+        this.updateAudioDescription();
+    }
+
+    /**
+     * Remove all text tracks
+     */
+    clearTextTracks() {
+        if (this.state.textTrack !== -1) {
+            this.setTextTrack(-1);
+        }
+        
+        this.textTracks.forEach(entry => {
+            // Tracks added from script can't be removed, only turned off
+            entry.track.mode = 'disabled';
+            
+            if (entry.element) {
+                entry.element.remove();
+            }
+        });
+        
+        this.textTracks = [];
+        this.state.lastTextTrack = -1;
+        this.updateSubtitlesMenu();
+    }
+
+    /**
+     * Add a text track from {src, srclang, label, kind, default}
+     */
+    addTextTrack(options) {
+        const kind = options.kind || 'subtitles';
+        const label = options.label || options.srclang || this.localize('track', { number: this.textTracks.length + 1 });
+        const language = options.srclang || '';
+        const format = this.getSubtitleFormat(options);
+        let element = null;
+        let track;
+        
+        let loaded;
+        
+        if (format) {
+            // Formats browsers can't read are converted into cues on a script track
+            track = this.video.addTextTrack(kind, label, language);
+            loaded = this.loadSubtitles(track, options.src, format);
+        } else {
+            // <track> files load with the video's CORS mode and fail silently without one
+            if (!this.video.hasAttribute('crossorigin') && new URL(options.src, document.baseURI).origin !== location.origin) {
+                console.warn(`LionPlayer: Track "${options.src}" is on another origin; set crossOrigin in the config to load it`);
+            }
+            
+            element = document.createElement('track');
+            element.kind = kind;
+            element.src = options.src;
+            element.srclang = language;
+            element.label = label;
+            this.video.appendChild(element);
+            track = element.track;
+            loaded = new Promise(resolve => element.addEventListener('load', resolve, { once: true }));
+        }
+        
+        const entry = {
+            element,
+            track,
+            kind,
+            label,
+            language,
+            default: !!options.default
+        };
+        
+        // Cues load only while the track is not disabled
+        entry.track.mode = 'disabled';
+        entry.track.addEventListener('cuechange', () => {
+            if (this.textTracks[this.state.textTrack] === entry) {
+                this.renderCues();
+            } else if (this.descriptionTrack === entry) {
+                this.speakDescriptions();
+            }
+        });
+        
+        if (kind === 'chapters') {
+            this.loadChapterTrack(entry, loaded);
+        }
+        
+        this.textTracks.push(entry);
+        this.updateSubtitlesMenu();
+        
+        if (kind === 'descriptions') {
+            this.updateAudioDescription();
+        }
+        
+        return entry;
+    }
+
+    /**
+     * Get the subtitle format of a track, or null for WebVTT
+     */
+    getSubtitleFormat(options) {
+        if (options.type) {
+            const type = options.type.toLowerCase();
+            return SUBTITLE_TYPES[type] || (SUBTITLE_PARSERS[type] ? type : null);
+        }
+        
+        const extension = (options.src || '').split(/[?#]/)[0].split('.').pop().toLowerCase();
+        return SUBTITLE_PARSERS[extension] ? extension : null;
+    }
+
+    /**
+     * Fetch subtitles and add them to a track as WebVTT cues
+     */
+    async loadSubtitles(track, src, format) {
+        try {
+            const response = await fetch(src);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const cues = SUBTITLE_PARSERS[format](await response.text());
+            
+            cues.forEach(data => {
+                const cue = new VTTCue(data.start, data.end, data.text);
+                
+                ['align', 'line', 'snapToLines', 'lineAlign', 'position', 'positionAlign'].forEach(setting => {
+                    if (data[setting] !== undefined) {
+                        cue[setting] = data[setting];
+                    }
+                });
+                
+                track.addCue(cue);
+            });
+        } catch (error) {
+            console.error(`LionPlayer: Failed to load subtitles from ${src}:`, error);
+        }
+    }
+
+    /**
+     * Check if a track is shown as captions or subtitles
+     */
+    isSubtitleTrack(entry) {
+        return entry.kind === 'subtitles' || entry.kind === 'captions';
+    }
+
+    /**
+     * Get the caption and subtitle tracks
+     */
+    getTextTracks() {
+        return this.textTracks
+            .map((entry, index) => ({
+                index,
+                kind: entry.kind,
+                label: entry.label,
+                language: entry.language,
+                active: index === this.state.textTrack
+            }))
+            .filter(track => this.isSubtitleTrack(this.textTracks[track.index]));
+    }
+
+    /**
+     * Show a text track by index or language, or hide captions with -1/null
+     */
+    setTextTrack(track) {
+        let index = -1;
+        
+        if (typeof track === 'string') {
+            index = this.textTracks.findIndex(entry => this.isSubtitleTrack(entry) && entry.language === track);
+        } else if (typeof track === 'number' && this.textTracks[track] && this.isSubtitleTrack(this.textTracks[track])) {
+            index = track;
+        }
         
-        // Add live region for status updates
-        const liveRegion = document.createElement('div');
-        liveRegion.setAttribute('aria-live', 'polite');
-        liveRegion.setAttribute('aria-atomic', 'true');
-        liveRegion.className = 'lion-player-live-region';
-        liveRegion.style.position = 'absolute';
-        liveRegion.style.left = '-9999px';
-        this.container.appendChild(liveRegion);
+        this.textTracks.forEach((entry, i) => {
+            if (this.isSubtitleTrack(entry)) {
+                // Hidden keeps cue events firing without native rendering
+                entry.track.mode = i === index ? 'hidden' : 'disabled';
+            }
+        });
+        
+        if (index !== -1) {
+            this.state.lastTextTrack = index;
+        }
+        
+        this.state.textTrack = index;
+        this.renderCues();
+        this.updateSubtitlesMenu();
+        
+        if (this.captionsButton) {
+            this.captionsButton.classList.toggle('active', index !== -1);
+        }
+        
+        const entry = this.textTracks[index];
+        this.announce(entry ? this.localize('subtitlesOn', { label: entry.label }) : this.localize('subtitlesOff'));
+        this.trigger(EVENTS.TEXTTRACKCHANGE, {
+            index,
+            track: entry ? { kind: entry.kind, label: entry.label, language: entry.language } : null
+        });
+    }
+
+    /**
+     * Toggle captions, restoring the last used track
+     */
+    toggleCaptions() {
+        if (this.state.textTrack !== -1) {
+            this.setTextTrack(-1);
+            return;
+        }
+        
+        const tracks = this.getTextTracks();
+        if (!tracks.length) return;
+        
+        const last = tracks.find(track => track.index === this.state.lastTextTrack);
+        this.setTextTrack((last || tracks[0]).index);
+    }
+
+    /**
+     * Show the captions button when there are subtitle tracks and refresh the settings menu
+     */
+    updateSubtitlesMenu() {
+        if (this.captionsButton) {
+            this.captionsButton.style.display = this.getTextTracks().length ? '' : 'none';
+        }
+        
+        this.renderSettingsMenu();
+    }
+
+    /**
+     * Set caption style options ({fontSize, fontFamily, color, backgroundColor,
+     * backgroundOpacity, edgeStyle, windowPosition}), saving them for the viewer
+     */
+    setCaptionStyle(style, persist = true) {
+        const changes = {};
+        
+        Object.entries(style || {}).forEach(([key, value]) => {
+            const choice = CAPTION_STYLE_CHOICES[key];
+            
+            if (!choice || !(String(value) in choice.values)) {
+                console.warn(`LionPlayer: Invalid caption style ${key}: ${value}`);
+                return;
+            }
+            
+            this.state.captionStyle[key] = changes[key] = String(value);
+        });
+        
+        this.applyCaptionStyle();
+        this.renderSettingsMenu();
+        
+        if (persist) {
+            this.saveCaptionStyle(changes);
+        }
+    }
+
+    /**
+     * Get the current caption style
+     */
+    getCaptionStyle() {
+        return Object.assign({}, this.state.captionStyle);
+    }
+
+    /**
+     * Apply the caption style through CSS variables
+     */
+    applyCaptionStyle() {
+        const style = this.state.captionStyle;
+        
+        const fonts = {
+            'sans-serif': '"Helvetica Neue", Arial, sans-serif',
+            serif: 'Georgia, "Times New Roman", serif',
+            monospace: '"Courier New", Courier, monospace',
+            casual: '"Comic Sans MS", "Comic Neue", cursive',
+            cursive: '"Brush Script MT", "Segoe Script", cursive',
+            'small-caps': '"Helvetica Neue", Arial, sans-serif'
+        };
+        
+        const colors = {
+            white: '255, 255, 255',
+            yellow: '255, 255, 0',
+            green: '0, 255, 0',
+            cyan: '0, 255, 255',
+            blue: '0, 0, 255',
+            magenta: '255, 0, 255',
+            red: '255, 0, 0',
+            black: '0, 0, 0'
+        };
+        
+        const edges = {
+            none: 'none',
+            outline: '-1px -1px 0 #000, 1px -1px 0 #000, -1px 1px 0 #000, 1px 1px 0 #000',
+            'drop-shadow': '2px 2px 3px rgba(0, 0, 0, 0.9)',
+            raised: '1px 1px 0 #222, 2px 2px 0 #222',
+            depressed: '-1px -1px 0 #222, 1px 1px 0 #ccc'
+        };
+        
+        this.el.style.setProperty('--lion-caption-font-scale', parseInt(style.fontSize, 10) / 100);
+        this.el.style.setProperty('--lion-caption-font-family', fonts[style.fontFamily]);
+        this.el.style.setProperty('--lion-caption-font-variant', style.fontFamily === 'small-caps' ? 'small-caps' : 'normal');
+        this.el.style.setProperty('--lion-caption-color', `rgb(${colors[style.color]})`);
+        this.el.style.setProperty('--lion-caption-background', `rgba(${colors[style.backgroundColor]}, ${parseInt(style.backgroundOpacity, 10) / 100})`);
+        this.el.style.setProperty('--lion-caption-text-shadow', edges[style.edgeStyle]);
+        
+        this.el.classList.toggle('lion-player-captions-top', style.windowPosition === 'top');
+    }
+
+    /**
+     * Setup audio description, turned on by accessibility.audioDescriptions
+     * and kept on across sources until the viewer turns it off
+     */
+    setupAudioDescriptions() {
+        this.audioDescriptionMode = null;
+        this.audioDescriptionState = { enabled: false, mode: null };
+        this.descriptionAudio = null;
+        this.descriptionTrack = null;
+        this.descriptionQueue = [];
+        this.spokenCues = new Set();
+        this.pausedForDescription = false;
+        
+        // Described renditions are only known once the media is
+        this.video.addEventListener('loadedmetadata', () => this.updateAudioDescription(true));
+        
+        ['play', 'playing', 'pause', 'waiting', 'seeking', 'ratechange', 'volumechange', 'timeupdate'].forEach(type => {
+            this.video.addEventListener(type, () => this.syncAudioDescription(type));
+        });
+        
+        if (this.config.accessibility.audioDescriptions) {
+            this.setAudioDescription(true);
+        } else {
+            this.updateAudioDescription();
+        }
+    }
+
+    /**
+     * Get the audio description options merged with the defaults
+     */
+    getAudioDescriptionOptions() {
+        return Object.assign({}, DEFAULT_CONFIG.audioDescription, this.config.audioDescription);
+    }
+
+    /**
+     * Turn audio description on or off
+     */
+    setAudioDescription(enabled) {
+        this.toggleAccessibilityFeature('audioDescriptions', !!enabled);
+    }
+
+    /**
+     * Get whether audio description is on and how it is delivered:
+     * 'rendition', 'audio', 'speech' or null when the media has none
+     */
+    getAudioDescription() {
+        return Object.assign({}, this.audioDescriptionState);
+    }
+
+    /**
+     * Get the descriptions track in the player's language, or the first one
+     */
+    getDescriptionTrack() {
+        const language = this.state.currentLanguage.split('-')[0];
+        const tracks = this.textTracks.filter(entry => entry.kind === 'descriptions');
+        
+        return tracks.find(entry => entry.language.split('-')[0] === language) || tracks[0] || null;
+    }
+
+    /**
+     * Pick how the current media can be described, preferring a described
+     * audio rendition, then a description audio file, then spoken text descriptions
+     */
+    getAudioDescriptionMode() {
+        const options = this.getAudioDescriptionOptions();
+        
+        if (this.tech && this.tech.hasDescribedAudio && this.tech.hasDescribedAudio()) {
+            return 'rendition';
+        }
+        
+        if (options.src) {
+            return 'audio';
+        }
+        
+        if (options.speech && typeof speechSynthesis !== 'undefined' && this.getDescriptionTrack()) {
+            return 'speech';
+        }
+        
+        return null;
+    }
+
+    /**
+     * Start, stop or switch audio description to match the viewer's choice
+     * and the media, restarting it for a new source
+     */
+    updateAudioDescription(restart = false) {
+        // Text tracks are set up before audio description
+        if (!this.audioDescriptionState) return;
+        
+        const enabled = !!this.state.accessibilityFeatures.audioDescriptions;
+        const mode = enabled ? this.getAudioDescriptionMode() : null;
+        const trackChanged = mode === 'speech' && this.getDescriptionTrack() !== this.descriptionTrack;
+        
+        if (restart || trackChanged || mode !== this.audioDescriptionMode) {
+            this.stopAudioDescription(mode);
+            this.audioDescriptionMode = mode;
+            this.startAudioDescription();
+        }
+        
+        const previous = this.audioDescriptionState;
+        if (previous.enabled === enabled && previous.mode === mode) return;
+        
+        this.audioDescriptionState = { enabled, mode };
+        
+        if (previous.enabled !== enabled) {
+            this.announce(this.localize(enabled ? 'audioDescriptionsOn' : 'audioDescriptionsOff'));
+        }
+        
+        this.trigger(EVENTS.AUDIODESCRIPTIONCHANGE, { enabled, mode });
+    }
+
+    /**
+     * Start delivering descriptions in the current mode
+     */
+    startAudioDescription() {
+        switch (this.audioDescriptionMode) {
+            case 'rendition':
+                this.tech.setDescribedAudio(true);
+                break;
+            case 'audio':
+                this.descriptionAudio = document.createElement('audio');
+                this.descriptionAudio.preload = 'auto';
+                this.descriptionAudio.src = this.getAudioDescriptionOptions().src;
+                this.syncDescriptionAudio();
+                break;
+            case 'speech':
+                this.descriptionTrack = this.getDescriptionTrack();
+                
+                // Hidden keeps cue events firing without native rendering
+                this.descriptionTrack.track.mode = 'hidden';
+                this.speakDescriptions();
+                break;
+        }
+    }
+
+    /**
+     * Stop the current mode. A described rendition stays selected when the next mode uses it too.
+     */
+    stopAudioDescription(next = null) {
+        switch (this.audioDescriptionMode) {
+            case 'rendition':
+                if (next !== 'rendition' && this.tech) {
+                    this.tech.setDescribedAudio(false);
+                }
+                break;
+            case 'audio':
+                this.descriptionAudio.pause();
+                this.descriptionAudio.removeAttribute('src');
+                this.descriptionAudio.load();
+                this.descriptionAudio = null;
+                break;
+            case 'speech':
+                this.cancelDescriptions();
+                this.descriptionTrack.track.mode = 'disabled';
+                this.descriptionTrack = null;
+                break;
+        }
+    }
+
+    /**
+     * Follow a video event with the description audio or speech
+     */
+    syncAudioDescription(type) {
+        if (this.audioDescriptionMode === 'audio') {
+            this.syncDescriptionAudio();
+            return;
+        }
+        
+        if (this.audioDescriptionMode !== 'speech') return;
+        
+        switch (type) {
+            case 'seeking':
+                // Descriptions of the old position no longer apply
+                this.cancelDescriptions();
+                break;
+            case 'play':
+                this.pausedForDescription = false;
+                speechSynthesis.resume();
+                break;
+            case 'pause':
+                if (!this.pausedForDescription) {
+                    speechSynthesis.pause();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Keep the description audio in step with the video
+     */
+    syncDescriptionAudio() {
+        this.descriptionAudio.volume = this.video.volume;
+        this.descriptionAudio.muted = this.video.muted;
+        this.syncCompanionMedia(this.descriptionAudio, this.getAudioDescriptionOptions().maxDrift);
+    }
+
+    /**
+     * Keep a companion audio or video element in step with the video. Small
+     * drift is corrected by playing a little faster or slower, drift beyond
+     * maxDrift by seeking.
+     */
+    syncCompanionMedia(media, maxDrift) {
+        const video = this.video;
+        const drift = video.currentTime - media.currentTime;
+        
+        // Play only while the video is actually moving
+        const moving = !video.paused && !video.seeking && video.readyState >= 3;
+        
+        // A paused frame must match exactly; companions that end early are left alone
+        if (Math.abs(drift) > (moving ? maxDrift : COMPANION_FRAME_TOLERANCE) && video.currentTime < (media.duration || Infinity)) {
+            media.currentTime = video.currentTime;
+            media.playbackRate = video.playbackRate;
+        } else {
+            const nudge = Math.abs(drift) > COMPANION_FRAME_TOLERANCE ? Math.max(-0.1, Math.min(0.1, drift)) : 0;
+            media.playbackRate = video.playbackRate * (1 + nudge);
+        }
+        
+        if (moving && media.paused) {
+            media.play().catch(() => {});
+        } else if (!moving && !media.paused) {
+            media.pause();
+        }
+    }
+
+    /**
+     * Speak the descriptions that became active. Extended descriptions
+     * pause the video until they have been spoken.
+     */
+    speakDescriptions() {
+        const entry = this.descriptionTrack;
+        const options = this.getAudioDescriptionOptions();
+        const voice = speechSynthesis.getVoices().find(candidate => candidate.name === options.voice) || null;
+        const cues = Array.from(entry.track.activeCues || []).filter(cue => !this.spokenCues.has(cue));
+        
+        cues.forEach(cue => {
+            const utterance = new SpeechSynthesisUtterance(cue.text.replace(/<[^>]*>/g, ''));
+            utterance.lang = entry.language || this.state.currentLanguage;
+            utterance.rate = options.rate;
+            utterance.voice = voice;
+            utterance.onend = () => this.onDescriptionSpoken(utterance);
+            utterance.onerror = () => this.onDescriptionSpoken(utterance);
+            
+            this.spokenCues.add(cue);
+            this.descriptionQueue.push(utterance);
+            speechSynthesis.speak(utterance);
+        });
+        
+        if (cues.length && options.extended && this.state.isPlaying) {
+            this.pausedForDescription = true;
+            this.pause();
+        }
+    }
+
+    /**
+     * Continue the video once an extended description has been spoken
+     */
+    onDescriptionSpoken(utterance) {
+        const index = this.descriptionQueue.indexOf(utterance);
+        if (index === -1) return;
+        
+        this.descriptionQueue.splice(index, 1);
+        
+        if (!this.descriptionQueue.length && this.pausedForDescription) {
+            this.pausedForDescription = false;
+            this.play();
+        }
+    }
+
+    /**
+     * Stop speaking, continuing the video if it waits for a description
+     */
+    cancelDescriptions() {
+        this.descriptionQueue = [];
+        this.spokenCues.clear();
+        speechSynthesis.cancel();
+        
+        if (this.pausedForDescription) {
+            this.pausedForDescription = false;
+            this.play();
+        }
+    }
+
+    /**
+     * Setup the sign language window, shown by accessibility.signLanguage
+     * when there is a signLanguage.src interpreter video
+     */
+    setupSignLanguage() {
+        const options = this.getSignLanguageOptions();
+        const [vertical, horizontal] = options.position.split('-');
+        
+        this.signLanguageState = { enabled: false, visible: false };
+        this.signLanguagePosition = {
+            x: horizontal === 'left' ? 0 : 1,
+            y: vertical === 'top' ? 0 : 1,
+            width: options.width
+        };
+        
+        this.signLanguageWindow = document.createElement('div');
+        this.signLanguageWindow.className = 'lion-player-sign-language';
+        this.signLanguageWindow.setAttribute('tabindex', '0');
+        this.signLanguageWindow.setAttribute('role', 'region');
+        this.signLanguageWindow.setAttribute('aria-label', this.localize('signLanguageWindow'));
+        this.signLanguageWindow.style.display = 'none';
+        
+        // The interpreter has no sound of its own to add
+        this.signLanguageVideo = document.createElement('video');
+        this.signLanguageVideo.className = 'lion-player-sign-language-video';
+        this.signLanguageVideo.muted = true;
+        this.signLanguageVideo.playsInline = true;
+        this.signLanguageVideo.preload = 'auto';
+        this.signLanguageVideo.addEventListener('loadedmetadata', () => this.syncSignLanguage());
+        this.signLanguageWindow.appendChild(this.signLanguageVideo);
+        
+        this.signLanguageCloseButton = document.createElement('button');
+        this.signLanguageCloseButton.className = 'lion-player-sign-language-close';
+        this.signLanguageCloseButton.setAttribute('type', 'button');
+        this.signLanguageCloseButton.setAttribute('aria-label', this.localize('close'));
+        this.signLanguageCloseButton.textContent = '✕';
+        this.signLanguageCloseButton.addEventListener('click', () => this.setSignLanguage(false));
+        this.signLanguageWindow.appendChild(this.signLanguageCloseButton);
+        
+        const resizeHandle = document.createElement('div');
+        resizeHandle.className = 'lion-player-sign-language-resize';
+        this.signLanguageWindow.appendChild(resizeHandle);
+        
+        this.videoWrapper.appendChild(this.signLanguageWindow);
+        
+        this.setupSignLanguageDrag(resizeHandle);
+        this.signLanguageWindow.addEventListener('keydown', (e) => this.onSignLanguageKeyDown(e));
+        
+        ['play', 'playing', 'pause', 'waiting', 'seeking', 'ratechange', 'timeupdate'].forEach(type => {
+            this.video.addEventListener(type, () => this.syncSignLanguage());
+        });
+        
+        // The viewer's own placement wins over the configured one
+        this.setSignLanguagePosition(this.loadSignLanguagePosition(), false);
+        
+        if (this.config.accessibility.signLanguage) {
+            this.setSignLanguage(true);
+        }
+    }
+
+    /**
+     * Get the sign language options merged with the defaults
+     */
+    getSignLanguageOptions() {
+        return Object.assign({}, DEFAULT_CONFIG.signLanguage, this.config.signLanguage);
+    }
+
+    /**
+     * Show or hide the sign language interpreter
+     */
+    setSignLanguage(enabled) {
+        this.toggleAccessibilityFeature('signLanguage', !!enabled);
+    }
+
+    /**
+     * Show the interpreter video while sign language is on and the media has one
+     */
+    updateSignLanguage() {
+        if (!this.signLanguageState) return;
+        
+        const src = this.getSignLanguageOptions().src;
+        const enabled = !!this.state.accessibilityFeatures.signLanguage;
+        const visible = enabled && !!src;
+        const video = this.signLanguageVideo;
+        
+        if (visible && video.getAttribute('src') !== src) {
+            video.src = src;
+        } else if (!visible && video.hasAttribute('src')) {
+            video.pause();
+            video.removeAttribute('src');
+            video.load();
+        }
+        
+        this.signLanguageWindow.style.display = visible ? '' : 'none';
+        
+        const previous = this.signLanguageState;
+        this.signLanguageState = { enabled, visible };
+        this.updateSignLanguageLayout();
+        this.syncSignLanguage();
+        
+        if (previous.enabled !== enabled || previous.visible !== visible) {
+            this.trigger(EVENTS.SIGNLANGUAGECHANGE, { enabled, visible });
+        }
+    }
+
+    /**
+     * Put the interpreter beside the video in fullscreen when the layout asks for it
+     */
+    updateSignLanguageLayout() {
+        if (!this.signLanguageState) return;
+        
+        const sideBySide = this.state.isFullscreen && this.signLanguageState.visible &&
+            this.getSignLanguageOptions().fullscreenLayout === 'side-by-side';
+        
+        this.el.classList.toggle('lion-player-sign-language-side', sideBySide);
+    }
+
+    /**
+     * Keep the interpreter video in step with the video
+     */
+    syncSignLanguage() {
+        if (!this.signLanguageState || !this.signLanguageState.visible) return;
+        
+        this.syncCompanionMedia(this.signLanguageVideo, this.getSignLanguageOptions().maxDrift);
+    }
+
+    /**
+     * Get the position of the sign language window as {x, y, width}
+     */
+    getSignLanguagePosition() {
+        return Object.assign({}, this.signLanguagePosition);
+    }
+
+    /**
+     * Move or resize the sign language window. x and y place it between the
+     * left or top (0) and the right or bottom (1) of the player, width is a
+     * fraction of the player width.
+     */
+    setSignLanguagePosition(position, save = true) {
+        const next = Object.assign({}, this.signLanguagePosition, position);
+        const clamp = (value, min, max) => Math.min(max, Math.max(min, Number(value) || 0));
+        
+        this.signLanguagePosition = {
+            x: clamp(next.x, 0, 1),
+            y: clamp(next.y, 0, 1),
+            width: clamp(next.width, SIGN_LANGUAGE_WINDOW.minWidth, SIGN_LANGUAGE_WINDOW.maxWidth)
+        };
+        
+        const style = this.signLanguageWindow.style;
+        style.setProperty('--lion-sign-x', this.signLanguagePosition.x);
+        style.setProperty('--lion-sign-y', this.signLanguagePosition.y);
+        style.setProperty('--lion-sign-width', this.signLanguagePosition.width);
+        
+        // The resize handle goes on the side facing the middle of the player
+        this.signLanguageWindow.classList.toggle('lion-player-sign-language-right', this.signLanguagePosition.x > 0.5);
+        
+        if (save) {
+            this.saveSignLanguagePosition();
+        }
+    }
+
+    /**
+     * Move the sign language window by dragging it, or resize it by its handle
+     */
+    setupSignLanguageDrag(resizeHandle) {
+        let drag = null;
+        
+        this.signLanguageWindow.addEventListener('pointerdown', (e) => {
+            // The window keeps its place beside the video in the side-by-side layout
+            if (e.button !== 0 || e.target === this.signLanguageCloseButton ||
+                this.el.classList.contains('lion-player-sign-language-side')) return;
+            
+            e.preventDefault();
+            this.signLanguageWindow.setPointerCapture(e.pointerId);
+            this.signLanguageWindow.classList.add('dragging');
+            
+            drag = {
+                resize: e.target === resizeHandle,
+                startX: e.clientX,
+                startY: e.clientY,
+                position: this.getSignLanguagePosition(),
+                rangeX: this.videoWrapper.clientWidth - SIGN_LANGUAGE_WINDOW.insetX - this.signLanguageWindow.offsetWidth,
+                rangeY: this.videoWrapper.clientHeight - SIGN_LANGUAGE_WINDOW.insetY - this.signLanguageWindow.offsetHeight,
+                width: this.videoWrapper.clientWidth
+            };
+        });
+        
+        this.signLanguageWindow.addEventListener('pointermove', (e) => {
+            if (!drag) return;
+            
+            const dx = e.clientX - drag.startX;
+            const dy = e.clientY - drag.startY;
+            
+            if (drag.resize) {
+                // A window on the right grows to the left
+                const direction = drag.position.x > 0.5 ? -1 : 1;
+                this.setSignLanguagePosition({ width: drag.position.width + direction * dx / drag.width }, false);
+            } else {
+                this.setSignLanguagePosition({
+                    x: drag.rangeX > 0 ? drag.position.x + dx / drag.rangeX : drag.position.x,
+                    y: drag.rangeY > 0 ? drag.position.y + dy / drag.rangeY : drag.position.y
+                }, false);
+            }
+        });
+        
+        const stopDrag = () => {
+            if (!drag) return;
+            
+            drag = null;
+            this.signLanguageWindow.classList.remove('dragging');
+            this.saveSignLanguagePosition();
+        };
+        
+        this.signLanguageWindow.addEventListener('pointerup', stopDrag);
+        this.signLanguageWindow.addEventListener('pointercancel', stopDrag);
+    }
+
+    /**
+     * Move the focused sign language window with the arrow keys and resize it with plus and minus
+     */
+    onSignLanguageKeyDown(e) {
+        if (e.target !== this.signLanguageWindow || e.ctrlKey || e.altKey || e.metaKey) return;
+        
+        const step = 0.05;
+        const { x, y, width } = this.signLanguagePosition;
+        const changes = {
+            ArrowLeft: { x: x - step },
+            ArrowRight: { x: x + step },
+            ArrowUp: { y: y - step },
+            ArrowDown: { y: y + step },
+            '+': { width: width + step },
+            '=': { width: width + step },
+            '-': { width: width - step }
+        };
         
-        this.liveRegion = liveRegion;
+        if (!changes[e.key]) return;
+        
+        // Keep the player's shortcuts from seeking or changing the volume
+        e.preventDefault();
+        e.stopPropagation();
+        this.setSignLanguagePosition(changes[e.key]);
     }
 
     /**
-     * Announce to screen reader
+     * Load the viewer's saved sign language window position
      */
-    announce(message) {
-        if (this.liveRegion) {
-            this.liveRegion.textContent = message;
+    loadSignLanguagePosition() {
+        try {
+            return JSON.parse(localStorage.getItem('lion-player-sign-language')) || {};
+        } catch (error) {
+            return {};
         }
     }
 
     /**
-     * Setup multi-language support
+     * Save the sign language window position for the viewer
      */
-    setupMultiLanguageSupport() {
-        // Add language switcher to settings
+    saveSignLanguagePosition() {
+        try {
+            localStorage.setItem('lion-player-sign-language', JSON.stringify(this.signLanguagePosition));
+        } catch (error) {
+            console.warn('LionPlayer: Could not save sign language position:', error);
+        }
+    }
 
+    /**
+     * Setup chapters from the chapters option
+     */
+    setupChapters() {
+        this.chapters = [];
         
-        // Apply initial language
-        this.applyLanguage(this.state.currentLanguage);
+        if (this.progressBar) {
+            this.chapterMarkers = document.createElement('div');
+            this.chapterMarkers.className = 'lion-player-chapter-markers';
+            this.progressBar.appendChild(this.chapterMarkers);
+        }
+        
+        if (this.config.chapters && this.config.chapters.length) {
+            this.setChapters(this.config.chapters);
+        }
     }
 
     /**
-     * Apply language to UI
+     * Read chapters from a kind="chapters" text track once its cues load
      */
-    applyLanguage(lang) {
-        const translations = {
-            en: {
-                play: 'Play',
-                pause: 'Pause',
-                mute: 'Mute',
-                unmute: 'Unmute',
-                fullscreen: 'Fullscreen',
-                exitFullscreen: 'Exit Fullscreen',
-                settings: 'Settings',
-                pip: 'Picture in Picture',
-                speed: 'Speed',
-                resume: 'Resume'
-            },
-            es: {
-                play: 'Reproducir',
-                pause: 'Pausar',
-                mute: 'Silenciar',
-                unmute: 'Activar sonido',
-                fullscreen: 'Pantalla completa',
-                exitFullscreen: 'Salir de pantalla completa',
-                settings: 'Configuración',
-                pip: 'Imagen en imagen',
-                speed: 'Velocidad',
-                resume: 'Reanudar'
-            },
-            fr: {
-                play: 'Lire',
-                pause: 'Pause',
-                mute: 'Couper le son',
-                unmute: 'Activer le son',
-                fullscreen: 'Plein écran',
-                exitFullscreen: 'Quitter le plein écran',
-                settings: 'Paramètres',
-                pip: 'Image dans image',
-                speed: 'Vitesse',
-                resume: 'Reprendre'
-            },
-            de: {
-                play: 'Abspielen',
-                pause: 'Pause',
-                mute: 'Stumm',
-                unmute: 'Ton ein',
-                fullscreen: 'Vollbild',
-                exitFullscreen: 'Vollbild beenden',
-                settings: 'Einstellungen',
-                pip: 'Bild-in-Bild',
-                speed: 'Geschwindigkeit',
-                resume: 'Fortsetzen'
-            },
-            ja: {
-                play: '再生',
-                pause: '一時停止',
-                mute: 'ミュート',
-                unmute: 'ミュート解除',
-                fullscreen: 'フルスクリーン',
-                exitFullscreen: 'フルスクリーン終了',
-                settings: '設定',
-                pip: 'ピクチャーインピクチャー',
-                speed: '速度',
-                resume: '再開'
-            },
-            zh: {
-                play: '播放',
-                pause: '暂停',
-                mute: '静音',
-                unmute: '取消静音',
-                fullscreen: '全屏',
-                exitFullscreen: '退出全屏',
-                settings: '设置',
-                pip: '画中画',
-                speed: '速度',
-                resume: '恢复'
-            }
-        };
+    loadChapterTrack(entry, loaded) {
+        // Cues only load while the track is not disabled
+        entry.track.mode = 'hidden';
         
-        const texts = translations[lang] || translations.en;
+        loaded.then(() => {
+            // The track may have been replaced meanwhile
+            if (!this.textTracks.includes(entry)) return;
+            
+            const cues = Array.from(entry.track.cues || []);
+            
+            // The chapters option takes precedence over a chapters track
+            if (!cues.length || (this.config.chapters && this.config.chapters.length)) return;
+            
+            this.setChapters(cues.map(cue => ({ start: cue.startTime, end: cue.endTime, title: cue.text })));
+        });
+    }
+
+    /**
+     * Set chapters from a list of {start, title} with an optional end
+     */
+    setChapters(chapters) {
+        const sorted = (chapters || [])
+            .filter(chapter => typeof chapter.start === 'number' && !isNaN(chapter.start))
+            .sort((a, b) => a.start - b.start);
+        
+        // A chapter without an end runs until the next one, or the end of the video
+        this.chapters = sorted.map((chapter, index) => ({
+            start: chapter.start,
+            end: typeof chapter.end === 'number' ? chapter.end : (sorted[index + 1] ? sorted[index + 1].start : null),
+            title: chapter.title || this.localize('chapter', { number: index + 1 })
+        }));
+        
+        this.state.chapter = -1;
+        this.renderChapterMarkers();
+        this.renderSettingsMenu();
+        this.updateChapter();
+    }
+
+    /**
+     * Get the chapters
+     */
+    getChapters() {
+        return this.chapters.map((chapter, index) => Object.assign({ index }, chapter));
+    }
+
+    /**
+     * Get the index of the chapter at a time, or -1
+     */
+    getChapterAt(time) {
+        for (let i = this.chapters.length - 1; i >= 0; i--) {
+            const chapter = this.chapters[i];
+            
+            if (time >= chapter.start) {
+                return chapter.end === null || time < chapter.end ? i : -1;
+            }
+        }
         
-        // Update UI text
-        this.updateUIText(texts);
+        return -1;
+    }
+
+    /**
+     * Seek to the start of a chapter
+     */
+    goToChapter(index) {
+        const chapter = this.chapters[index];
+        if (!chapter) return;
         
-        // Update language state
-        this.state.currentLanguage = lang;
+        this.setCurrentTime(chapter.start);
+        this.updateChapter();
     }
 
     /**
-     * Update UI text with translations
+     * Seek to the next chapter
      */
-    updateUIText(texts) {
-        // Update button labels
-        if (this.playButton) {
-            this.playButton.setAttribute('aria-label', texts.play);
-        }
+    nextChapter() {
+        const time = this.getCurrentTime();
+        const index = this.chapters.findIndex(chapter => chapter.start > time + 0.5);
         
-        if (this.volumeButton) {
-            this.volumeButton.setAttribute('aria-label', texts.mute);
+        if (index !== -1) {
+            this.goToChapter(index);
         }
+    }
+
+    /**
+     * Seek to the start of the current chapter, or the previous one near its start
+     */
+    previousChapter() {
+        const time = this.getCurrentTime();
+        const starts = this.chapters.map(chapter => chapter.start);
+        let index = starts.filter(start => start <= time).length - 1;
         
-        if (this.fullscreenButton) {
-            this.fullscreenButton.setAttribute('aria-label', texts.fullscreen);
+        if (index > 0 && time - starts[index] < 3) {
+            index--;
         }
         
-        if (this.settingsButton) {
-            this.settingsButton.setAttribute('aria-label', texts.settings);
+        if (index !== -1) {
+            this.goToChapter(index);
         }
+    }
+
+    /**
+     * Track the chapter under the playhead
+     */
+    updateChapter() {
+        const index = this.getChapterAt(this.getCurrentTime());
+        if (index === this.state.chapter) return;
         
-        // Update other UI elements as needed
+        this.state.chapter = index;
+        this.renderSettingsMenu();
+        
+        const chapter = this.chapters[index];
+        this.trigger(EVENTS.CHAPTERCHANGE, { index, chapter: chapter ? Object.assign({}, chapter) : null });
     }
 
     /**
-     * Setup PiP enhancements
+     * Draw chapter boundaries on the progress bar
      */
-    setupPiPEnhancements() {
-        if (!this.config.piP.enabled) return;
+    renderChapterMarkers() {
+        if (!this.chapterMarkers) return;
         
-        // Create custom PiP controls
-        this.createPiPControls();
+        this.chapterMarkers.innerHTML = '';
         
-        // Listen for PiP events
-        this.video.addEventListener('enterpictureinpicture', () => {
-            this.onPiPEnter();
+        const duration = this.getDuration();
+        if (!duration || !isFinite(duration)) return;
+        
+        const boundaries = new Set();
+        this.chapters.forEach(chapter => {
+            boundaries.add(chapter.start);
+            if (chapter.end !== null) boundaries.add(chapter.end);
         });
         
-        this.video.addEventListener('leavepictureinpicture', () => {
-            this.onPiPLeave();
+        boundaries.forEach(time => {
+            if (time <= 0 || time >= duration) return;
+            
+            const marker = document.createElement('div');
+            marker.className = 'lion-player-chapter-marker';
+            marker.style.left = `${(time / duration) * 100}%`;
+            this.chapterMarkers.appendChild(marker);
         });
     }
 
     /**
-     * Create custom PiP controls
+     * Setup seek preview thumbnails
      */
-    createPiPControls() {
-        // Create PiP container
-        this.pipContainer = document.createElement('div');
-        this.pipContainer.className = 'lion-player-pip-container';
-        this.pipContainer.style.position = 'fixed';
-        this.pipContainer.style.bottom = '20px';
-        this.pipContainer.style.right = '20px';
-        this.pipContainer.style.width = `${this.config.piP.size.width}px`;
-        this.pipContainer.style.height = `${this.config.piP.size.height}px`;
-        this.pipContainer.style.background = '#000';
-        this.pipContainer.style.borderRadius = '8px';
-        this.pipContainer.style.boxShadow = '0 4px 20px rgba(0, 0, 0, 0.5)';
-        this.pipContainer.style.zIndex = '9999';
-        this.pipContainer.style.display = 'none';
-        this.pipContainer.style.overflow = 'hidden';
+    setupThumbnails() {
+        this.thumbnails = [];
+        this.thumbnailCache = new Map();
         
-        // Create PiP video
-        this.pipVideo = document.createElement('video');
-        this.pipVideo.style.width = '100%';
-        this.pipVideo.style.height = '100%';
-        this.pipVideo.style.objectFit = 'contain';
-        this.pipVideo.muted = true;
-        this.pipContainer.appendChild(this.pipVideo);
+        this.thumbnailPreview = document.createElement('div');
+        this.thumbnailPreview.className = 'lion-player-thumbnail';
         
-        // Create PiP controls
-        if (this.config.piP.controls) {
-            this.createPiPControlBar();
+        const options = Object.assign({}, DEFAULT_CONFIG.thumbnails, this.config.thumbnails);
+        if (options.src) {
+            this.setThumbnails(options.src);
         }
+    }
+
+    /**
+     * Load a WebVTT thumbnails track, or clear it with null to capture frames instead
+     */
+    async setThumbnails(src) {
+        this.thumbnails = [];
+        this.thumbnailsSrc = src || null;
         
-        // Add to document
-        document.body.appendChild(this.pipContainer);
+        if (!src) return;
+        
+        try {
+            const url = new URL(src, document.baseURI).href;
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const thumbnails = parseVttThumbnails(await response.text(), url);
+            
+            // Ignore a response for a track that was replaced meanwhile
+            if (this.thumbnailsSrc === src) {
+                this.thumbnails = thumbnails;
+            }
+        } catch (error) {
+            console.error(`LionPlayer: Failed to load thumbnails from ${src}:`, error);
+        }
     }
 
     /**
-     * Create PiP control bar
+     * Show the preview thumbnail for a time in the time tooltip
      */
-    createPiPControlBar() {
-        const controlBar = document.createElement('div');
-        controlBar.className = 'lion-player-pip-controls';
-        controlBar.style.position = 'absolute';
-        controlBar.style.bottom = '0';
-        controlBar.style.left = '0';
-        controlBar.style.right = '0';
-        controlBar.style.height = '40px';
-        controlBar.style.background = 'rgba(0, 0, 0, 0.7)';
-        controlBar.style.display = 'flex';
-        controlBar.style.alignItems = 'center';
-        controlBar.style.justifyContent = 'space-between';
-        controlBar.style.padding = '0 10px';
+    updateThumbnail(time) {
+        const preview = this.thumbnailPreview;
+        if (!preview) return;
         
-        // Play/pause button
-        const playBtn = document.createElement('button');
-        playBtn.innerHTML = '▶';
-        playBtn.style.color = '#fff';
-        playBtn.style.background = 'none';
-        playBtn.style.border = 'none';
-        playBtn.style.fontSize = '16px';
-        playBtn.style.cursor = 'pointer';
-        playBtn.addEventListener('click', () => this.togglePlay());
-        controlBar.appendChild(playBtn);
+        const options = Object.assign({}, DEFAULT_CONFIG.thumbnails, this.config.thumbnails);
         
-        // Close button
-        const closeBtn = document.createElement('button');
-        closeBtn.innerHTML = '✕';
-        closeBtn.style.color = '#fff';
-        closeBtn.style.background = 'none';
-        closeBtn.style.border = 'none';
-        closeBtn.style.fontSize = '16px';
-        closeBtn.style.cursor = 'pointer';
-        closeBtn.addEventListener('click', () => this.exitPiP());
-        controlBar.appendChild(closeBtn);
+        if (this.thumbnailsSrc) {
+            const thumbnail = this.thumbnails.find(item => time >= item.start && time < item.end);
+            if (!thumbnail) {
+                preview.style.display = 'none';
+                return;
+            }
+            
+            preview.innerHTML = '';
+            preview.style.display = '';
+            preview.style.backgroundImage = `url("${thumbnail.url}")`;
+            preview.style.backgroundPosition = `-${thumbnail.x}px -${thumbnail.y}px`;
+            preview.style.width = thumbnail.width ? `${thumbnail.width}px` : `${options.width}px`;
+            preview.style.height = thumbnail.height ? `${thumbnail.height}px` : `${Math.round(options.width * 9 / 16)}px`;
+            preview.style.backgroundSize = thumbnail.width ? 'auto' : 'cover';
+            this.timeTooltip.prepend(preview);
+            return;
+        }
         
-        this.pipContainer.appendChild(controlBar);
+        // Frame capture needs a plain file the secondary video can load
+        if (!options.capture || this.state.tech !== 'html5' || !this.currentSource) {
+            preview.style.display = 'none';
+            return;
+        }
+        
+        const key = Math.floor(time / options.interval);
+        this.thumbnailKey = key;
+        
+        preview.style.backgroundImage = '';
+        preview.style.display = '';
+        this.timeTooltip.prepend(preview);
+        
+        const frame = this.thumbnailCache.get(key);
+        if (frame) {
+            this.drawThumbnail(frame);
+        } else {
+            this.captureThumbnail(key, options);
+        }
     }
 
     /**
-     * Enter PiP mode
+     * Draw a captured frame into the preview
      */
-    enterPiP() {
-        if (!this.config.piP.enabled) return;
+    drawThumbnail(frame) {
+        let canvas = this.thumbnailPreview.querySelector('canvas');
         
-        // Show PiP container
-        this.pipContainer.style.display = 'block';
+        if (!canvas) {
+            this.thumbnailPreview.innerHTML = '';
+            canvas = document.createElement('canvas');
+            this.thumbnailPreview.appendChild(canvas);
+        }
         
-        // Sync video sources
-        this.pipVideo.src = this.video.src;
-        this.pipVideo.currentTime = this.video.currentTime;
+        canvas.width = frame.width;
+        canvas.height = frame.height;
+        canvas.getContext('2d').drawImage(frame, 0, 0);
         
-        // Play PiP video if main video is playing
-        if (this.state.isPlaying) {
-            this.pipVideo.play();
+        this.thumbnailPreview.style.width = `${frame.width}px`;
+        this.thumbnailPreview.style.height = `${frame.height}px`;
+    }
+
+    /**
+     * Capture the frame for a thumbnail interval with a hidden video
+     */
+    captureThumbnail(key, options) {
+        // One seek at a time; the latest request is captured next
+        this.pendingThumbnail = key;
+        if (this.capturingThumbnail) return;
+        
+        if (!this.captureVideo || this.captureVideo.dataset.src !== this.currentSource.src) {
+            this.captureVideo = document.createElement('video');
+            this.captureVideo.muted = true;
+            this.captureVideo.preload = 'auto';
+            this.captureVideo.crossOrigin = this.video.crossOrigin;
+            this.captureVideo.dataset.src = this.currentSource.src;
+            this.captureVideo.src = this.currentSource.src;
         }
         
-        // Hide main video controls
-        this.controls.style.opacity = '0';
+        const video = this.captureVideo;
+        const target = this.pendingThumbnail;
+        this.pendingThumbnail = null;
+        this.capturingThumbnail = true;
+        
+        const capture = () => {
+            video.removeEventListener('error', fail);
+            
+            try {
+                const width = options.width;
+                const height = Math.round(width * (video.videoHeight / video.videoWidth || 9 / 16));
+                const frame = document.createElement('canvas');
+                frame.width = width;
+                frame.height = height;
+                frame.getContext('2d').drawImage(video, 0, 0, width, height);
+                
+                this.thumbnailCache.set(target, frame);
+                
+                // Drop the oldest frames past the cache size
+                if (this.thumbnailCache.size > options.cacheSize) {
+                    this.thumbnailCache.delete(this.thumbnailCache.keys().next().value);
+                }
+                
+                if (this.thumbnailKey === target) {
+                    this.drawThumbnail(frame);
+                }
+            } catch (error) {
+                // A frame that can't be drawn is skipped like one that failed to load
+                this.thumbnailPreview.style.display = 'none';
+            } finally {
+                next();
+            }
+        };
+        
+        const fail = () => {
+            video.removeEventListener('seeked', capture);
+            video.removeEventListener('error', fail);
+            this.thumbnailPreview.style.display = 'none';
+            next();
+        };
+        
+        const next = () => {
+            this.capturingThumbnail = false;
+            
+            if (this.pendingThumbnail !== null && this.captureVideo === video) {
+                this.captureThumbnail(this.pendingThumbnail, options);
+            }
+        };
+        
+        video.addEventListener('seeked', capture, { once: true });
+        video.addEventListener('error', fail, { once: true });
+        
+        // Capture the middle of the interval
+        const seek = () => {
+            try {
+                video.currentTime = Math.min((target + 0.5) * options.interval, video.duration || Infinity);
+            } catch (error) {
+                fail();
+            }
+        };
+        
+        if (video.readyState >= 1) {
+            seek();
+        } else {
+            video.addEventListener('loadedmetadata', seek, { once: true });
+        }
     }
 
     /**
-     * Exit PiP mode
+     * Drop captured thumbnails, e.g. when the source changes
      */
-    exitPiP() {
-        if (!this.config.piP.enabled) return;
+    resetThumbnails() {
+        if (this.thumbnailCache) {
+            this.thumbnailCache.clear();
+        }
         
-        // Hide PiP container
-        this.pipContainer.style.display = 'none';
+        if (this.captureVideo) {
+            this.captureVideo.removeAttribute('src');
+            this.captureVideo.load();
+            this.captureVideo = null;
+        }
         
-        // Pause PiP video
-        this.pipVideo.pause();
+        this.capturingThumbnail = false;
+        this.pendingThumbnail = null;
+    }
+
+    /**
+     * Setup the quality-of-experience collector
+     */
+    setupAnalytics() {
+        const options = Object.assign({}, DEFAULT_CONFIG.analytics, this.config.analytics);
+        this.analytics = options.enabled ? new Analytics(this, options) : null;
+    }
+
+    /**
+     * Get quality-of-experience metrics for the current source
+     */
+    getStats() {
+        return this.analytics ? this.analytics.getStats() : null;
+    }
+
+    /**
+     * Setup ad playback when ads are configured
+     */
+    setupAds() {
+        const options = Object.assign({}, DEFAULT_CONFIG.ads, this.config.ads);
+        this.ads = options.tag || options.vmap || options.breaks.length ? new AdManager(this, options) : null;
+    }
+
+    /**
+     * Setup the playlist and load its first item
+     */
+    setupPlaylist() {
+        const options = Object.assign({}, DEFAULT_CONFIG.playlist, this.config.playlist);
+        this.playlist = new Playlist(this, options);
         
-        // Show main video controls
-        this.controls.style.opacity = '1';
+        if (options.items.length) {
+            this.playlist.load(options.items);
+        }
     }
 
     /**
-     * Handle PiP enter
+     * Load a media item ({src, poster, tracks, chapters, thumbnails, audioDescription, signLanguage, videoId})
      */
-    onPiPEnter() {
-        this.el.classList.add('pip-mode');
-        this.announce('Picture in Picture mode activated');
+    loadMedia(item) {
+        // Item metadata replaces the player's
+        this.config.chapters = item.chapters || [];
+        this.config.tracks = item.tracks || [];
+        this.config.audioDescription = Object.assign({}, this.config.audioDescription, { src: item.audioDescription || '' });
+        this.config.signLanguage = Object.assign({}, this.config.signLanguage, { src: item.signLanguage || '' });
+        this.setPoster(item.poster || '');
+        this.setTextTracks(this.config.tracks);
+        this.setChapters(this.config.chapters);
+        this.setThumbnails(item.thumbnails || null);
+        this.updateSignLanguage();
+        this.mediaItem = item;
+        this.loadSource(item.src);
+    }
+
+    /**
+     * Show the end screen with related items and an "Up next" countdown.
+     * Falls back to loading the next playlist item right away when disabled.
+     */
+    showEndScreen(nextIndex = -1) {
+        const options = Object.assign({}, DEFAULT_CONFIG.endScreen, this.config.endScreen);
+        
+        if (!options.enabled) {
+            if (nextIndex !== -1) {
+                this.playlist.goTo(nextIndex);
+            }
+            return;
+        }
+        
+        const related = options.related || [];
+        
+        // The next playlist item comes first, then the first related item
+        let upNext = null;
+        if (nextIndex !== -1) {
+            upNext = { item: this.playlist.items[nextIndex], index: nextIndex, source: 'playlist' };
+        } else if (related.length) {
+            upNext = { item: related[0], index: 0, source: 'related' };
+        }
+        
+        if (!upNext && !related.length) return;
+        
+        this.hideEndScreen();
+        
+        this.endScreen = document.createElement('div');
+        this.endScreen.className = 'lion-player-end-screen';
+        
+        if (upNext) {
+            this.endScreen.appendChild(this.createUpNextCard(upNext, options));
+        }
+        
+        if (related.length) {
+            const grid = document.createElement('div');
+            grid.className = 'lion-player-end-screen-grid';
+            
+            related.forEach((item, index) => {
+                const element = options.renderItem ? options.renderItem(item, index) : this.createEndScreenItem(item);
+                if (!element) return;
+                
+                element.classList.add('lion-player-end-screen-item');
+                element.addEventListener('click', () => this.playEndScreenItem({ item, index, source: 'related' }));
+                grid.appendChild(element);
+            });
+            
+            this.endScreen.appendChild(grid);
+        }
+        
+        this.container.appendChild(this.endScreen);
+        this.hideBigPlayButton();
+        
+        if (upNext && options.autoplay && options.countdown > 0) {
+            this.startUpNextCountdown(upNext, options.countdown);
+        }
     }
 
     /**
-     * Handle PiP leave
+     * Create the "Up next" card
      */
-    onPiPLeave() {
-        this.el.classList.remove('pip-mode');
-        this.announce('Picture in Picture mode deactivated');
+    createUpNextCard(upNext, options) {
+        const card = document.createElement('div');
+        card.className = 'lion-player-up-next';
+        
+        this.upNextLabel = document.createElement('div');
+        this.upNextLabel.className = 'lion-player-up-next-label';
+        this.upNextLabel.textContent = this.localize('upNext');
+        card.appendChild(this.upNextLabel);
+        
+        const preview = options.renderItem ? options.renderItem(upNext.item, upNext.index) : this.createEndScreenItem(upNext.item);
+        if (preview) {
+            preview.classList.add('lion-player-end-screen-item');
+            preview.addEventListener('click', () => this.playEndScreenItem(upNext, 'click'));
+            card.appendChild(preview);
+        }
+        
+        const actions = document.createElement('div');
+        actions.className = 'lion-player-up-next-actions';
+        
+        const playNow = document.createElement('button');
+        playNow.className = 'lion-player-up-next-play';
+        playNow.textContent = this.localize('playNow');
+        playNow.addEventListener('click', () => this.playEndScreenItem(upNext, 'click'));
+        actions.appendChild(playNow);
+        
+        this.upNextCancel = document.createElement('button');
+        this.upNextCancel.className = 'lion-player-up-next-cancel';
+        this.upNextCancel.textContent = this.localize('cancel');
+        this.upNextCancel.addEventListener('click', () => this.cancelUpNext());
+        actions.appendChild(this.upNextCancel);
+        
+        card.appendChild(actions);
+        
+        return card;
     }
 
     /**
-     * Setup gesture controls
+     * Create the default end screen item
      */
-    setupGestureControls() {
-        if (!this.config.gestures.enabled) return;
+    createEndScreenItem(item) {
+        const element = document.createElement('div');
+        
+        if (item.poster) {
+            const poster = document.createElement('img');
+            poster.className = 'lion-player-end-screen-poster';
+            poster.src = item.poster;
+            poster.alt = '';
+            element.appendChild(poster);
+        }
         
-        // Touch events for mobile
-        this.video.addEventListener('touchstart', (e) => this.onTouchStart(e));
-        this.video.addEventListener('touchmove', (e) => this.onTouchMove(e));
-        this.video.addEventListener('touchend', (e) => this.onTouchEnd(e));
+        const title = document.createElement('div');
+        title.className = 'lion-player-end-screen-title';
+        title.textContent = item.title || '';
+        element.appendChild(title);
         
-        // Mouse events for desktop
-        this.video.addEventListener('mousedown', (e) => this.onMouseDown(e));
-        this.video.addEventListener('mousemove', (e) => this.onMouseMove(e));
-        this.video.addEventListener('mouseup', (e) => this.onMouseUp(e));
+        return element;
     }
 
     /**
-     * Handle touch start
+     * Count down to the next item
      */
-    onTouchStart(e) {
-        const touch = e.touches[0];
-        this.state.gestures.touchStartX = touch.clientX;
-        this.state.gestures.touchStartY = touch.clientY;
-        this.state.gestures.touchStartTime = Date.now();
+    startUpNextCountdown(upNext, seconds) {
+        let remaining = seconds;
+        
+        const update = () => {
+            this.upNextLabel.textContent = this.localize('upNextIn', { count: remaining });
+        };
+        
+        update();
+        this.upNext = upNext;
+        this.upNextTimer = setInterval(() => {
+            remaining--;
+            this.upNextRemaining = remaining;
+            
+            if (remaining <= 0) {
+                this.playEndScreenItem(upNext, 'countdown');
+            } else {
+                update();
+            }
+        }, 1000);
+        this.upNextRemaining = remaining;
     }
 
     /**
-     * Handle touch move
+     * Cancel the "Up next" countdown, keeping the end screen
      */
-    onTouchMove(e) {
-        e.preventDefault();
+    cancelUpNext() {
+        if (!this.upNextTimer) return;
         
-        const touch = e.touches[0];
-        const deltaX = touch.clientX - this.state.gestures.touchStartX;
-        const deltaY = touch.clientY - this.state.gestures.touchStartY;
+        clearInterval(this.upNextTimer);
+        this.upNextTimer = null;
         
-        // Handle pan when zoomed
-        if (this.state.zoom > 1) {
-            this.setPan(this.state.panX + deltaX, this.state.panY + deltaY);
-            this.state.gestures.touchStartX = touch.clientX;
-            this.state.gestures.touchStartY = touch.clientY;
-        }
+        this.upNextLabel.textContent = this.localize('upNext');
+        this.upNextCancel.style.display = 'none';
+        
+        const { item, index, source } = this.upNext;
+        this.trigger(EVENTS.AUTOPLAYCANCEL, { item, index, source, remaining: this.upNextRemaining });
     }
 
     /**
-     * Handle touch end
+     * Play an item from the end screen
      */
-    onTouchEnd(e) {
-        const touchEndTime = Date.now();
-        const deltaTime = touchEndTime - this.state.gestures.touchStartTime;
-        
-        // Handle double tap
-        if (deltaTime < this.config.gestures.doubleTapDelay) {
-            if (this.state.gestures.lastTap && (touchEndTime - this.state.gestures.lastTap) < this.config.gestures.doubleTapDelay) {
-                this.togglePlay();
-                this.state.gestures.lastTap = 0;
-            } else {
-                this.state.gestures.lastTap = touchEndTime;
-            }
+    playEndScreenItem(upNext, reason) {
+        const { item, index, source } = upNext;
+        const countdown = !!this.upNextTimer;
+        
+        // A pick from the grid cancels the countdown to a different item
+        if (countdown && this.upNext !== upNext) {
+            this.cancelUpNext();
         }
         
-        // Handle swipe
-        const touch = e.changedTouches[0];
-        const deltaX = touch.clientX - this.state.gestures.touchStartX;
-        const deltaY = touch.clientY - this.state.gestures.touchStartY;
+        this.hideEndScreen();
         
-        if (Math.abs(deltaX) > this.config.gestures.swipeThreshold && Math.abs(deltaY) < 50) {
-            if (deltaX > 0) {
-                this.skip(10);
-                this.trigger(EVENTS.GESTURE, { type: 'swipeRight', value: 10 });
-            } else {
-                this.skip(-10);
-                this.trigger(EVENTS.GESTURE, { type: 'swipeLeft', value: -10 });
-            }
+        if (reason) {
+            this.trigger(EVENTS.AUTOPLAYNEXT, { item, index, source, reason });
         }
-    }
-
-    /**
-     * Handle mouse down
-     */
-    onMouseDown(e) {
-        if (this.state.zoom > 1) {
-            this.state.isDragging = true;
-            this.state.dragStartX = e.clientX - this.state.panX;
-            this.state.dragStartY = e.clientY - this.state.panY;
-            this.video.style.cursor = 'grabbing';
+        
+        if (source === 'playlist') {
+            this.playlist.goTo(index);
+        } else {
+            this.loadMedia(item);
+            this.play();
         }
     }
 
     /**
-     * Handle mouse move
+     * Remove the end screen
      */
-    onMouseMove(e) {
-        if (this.state.isDragging && this.state.zoom > 1) {
-            this.setPan(e.clientX - this.state.dragStartX, e.clientY - this.state.dragStartY);
+    hideEndScreen() {
+        if (this.upNextTimer) {
+            clearInterval(this.upNextTimer);
+            this.upNextTimer = null;
         }
+        
+        if (this.endScreen) {
+            this.endScreen.remove();
+            this.endScreen = null;
+        }
+        
+        this.upNext = null;
     }
 
     /**
-     * Handle mouse up
-     */
-    onMouseUp(e) {
-        this.state.isDragging = false;
-        this.video.style.cursor = this.state.zoom > 1 ? 'grab' : 'default';
-    }
-
-    /**
-     * Setup smart resume
+     * Set the poster image
      */
-    setupSmartResume() {
-        // Add resume button to controls
-        this.resumeButton = this.createButton('resume', 'Resume', () => this.resumePlayback());
-        this.controlsLeft.appendChild(this.resumeButton);
-        
-        // Initially hide resume button
-        this.resumeButton.style.display = 'none';
+    setPoster(url) {
+        this.config.poster = url;
         
-        // Check for saved position on load
-        this.checkSavedPosition();
+        if (url) {
+            this.video.setAttribute('poster', url);
+        } else {
+            this.video.removeAttribute('poster');
+        }
     }
 
     /**
-     * Check for saved position
+     * Load the viewer's saved caption style
      */
-    checkSavedPosition() {
-        // In a real implementation, you would fetch this from a server or local storage
-        // For demo purposes, we'll use a simple approach
-        const videoId = this.getVideoId();
-        const savedPosition = localStorage.getItem(`lion-player-resume-${videoId}`);
-        
-        if (savedPosition) {
-            this.state.resumePosition = parseFloat(savedPosition);
-            
-            // Show resume button if there's a saved position
-            if (this.state.resumePosition > 10) { // Only show if more than 10 seconds
-                this.resumeButton.style.display = 'flex';
-            }
+    loadCaptionStyle() {
+        try {
+            return JSON.parse(localStorage.getItem('lion-player-caption-style')) || {};
+        } catch (error) {
+            return {};
         }
     }
 
     /**
-     * Get video ID for resume functionality
+     * Save caption style choices for the viewer, keeping earlier ones. Values from
+     * the page or a preset are left out so they don't turn into viewer choices.
      */
-    getVideoId() {
-        // Create a simple ID from the video source
-        return btoa(this.video.src).replace(/[^a-zA-Z0-9]/g, '').substring(0, 10);
+    saveCaptionStyle(changes) {
+        try {
+            localStorage.setItem('lion-player-caption-style', JSON.stringify(Object.assign(this.loadCaptionStyle(), changes)));
+        } catch (error) {
+            console.warn('LionPlayer: Could not save caption style:', error);
+        }
     }
 
     /**
-     * Resume playback from saved position
+     * Render the active cues of the current track
      */
-    resumePlayback() {
-        if (this.state.resumePosition > 0) {
-            this.video.currentTime = this.state.resumePosition;
-            this.play();
-            this.resumeButton.style.display = 'none';
-            this.announce(`Resuming from ${this.formatTime(this.state.resumePosition)}`);
-            this.trigger(EVENTS.RESUME, { position: this.state.resumePosition });
-        }
+    renderCues() {
+        if (!this.captionsOverlay) return;
+        
+        this.captionsOverlay.innerHTML = '';
+        
+        const entry = this.textTracks[this.state.textTrack];
+        if (!entry || !entry.track.activeCues) return;
+        
+        // Scale text with the player
+        this.captionsOverlay.style.fontSize = `${Math.max(12, this.videoWrapper.clientHeight * 0.045)}px`;
+        
+        // Cues without an explicit line stack up from the bottom
+        const autoArea = document.createElement('div');
+        autoArea.className = 'lion-player-captions-auto';
+        this.captionsOverlay.appendChild(autoArea);
+        
+        Array.from(entry.track.activeCues).forEach(cue => {
+            const box = this.createCueBox(cue);
+            (cue.line === 'auto' || cue.line === undefined ? autoArea : this.captionsOverlay).appendChild(box);
+        });
     }
 
     /**
-     * Save current position
+     * Create a positioned box for a WebVTT cue
      */
-    savePosition() {
-        if (this.video.currentTime > 10) { // Only save if more than 10 seconds
-            const videoId = this.getVideoId();
-            localStorage.setItem(`lion-player-resume-${videoId}`, this.video.currentTime.toString());
+    createCueBox(cue) {
+        const box = document.createElement('div');
+        box.className = 'lion-player-cue';
+        
+        const text = document.createElement('span');
+        text.className = 'lion-player-cue-text';
+        text.appendChild(cue.getCueAsHTML ? cue.getCueAsHTML() : document.createTextNode(cue.text));
+        box.appendChild(text);
+        
+        const align = cue.align || 'center';
+        const anchors = { start: 0, left: 0, 'line-left': 0, center: 0.5, end: 1, right: 1, 'line-right': 1 };
+        const vertical = cue.vertical === 'rl' || cue.vertical === 'lr';
+        const autoLine = cue.line === 'auto' || cue.line === undefined;
+        
+        box.style.textAlign = { start: 'start', left: 'left', center: 'center', end: 'end', right: 'right' }[align];
+        
+        if (vertical) {
+            box.style.writingMode = cue.vertical === 'rl' ? 'vertical-rl' : 'vertical-lr';
+        }
+        
+        // Position and size along the line
+        const size = typeof cue.size === 'number' ? cue.size : 100;
+        const anchor = cue.positionAlign && cue.positionAlign !== 'auto' ? anchors[cue.positionAlign] : anchors[align];
+        const position = typeof cue.position === 'number' ? cue.position : anchors[align] * 100;
+        const offset = Math.max(0, Math.min(100 - size, position - size * anchor));
+        
+        box.style[vertical ? 'height' : 'width'] = `${size}%`;
+        box.style[vertical ? 'top' : (autoLine ? 'marginLeft' : 'left')] = `${offset}%`;
+        
+        // Position across lines
+        if (!autoLine) {
+            if (cue.snapToLines !== false) {
+                const edge = vertical ? (cue.vertical === 'rl' ? 'right' : 'left') : 'top';
+                const opposite = { top: 'bottom', left: 'right', right: 'left' }[edge];
+                const lines = cue.line >= 0 ? cue.line : -cue.line - 1;
+                
+                box.style[cue.line >= 0 ? edge : opposite] = `${lines * 1.5}em`;
+            } else {
+                const shift = { start: '0', center: '-50%', end: '-100%' }[cue.lineAlign || 'start'];
+                
+                box.style[vertical ? 'left' : 'top'] = `${cue.line}%`;
+                box.style.transform = vertical ? `translateX(${shift})` : `translateY(${shift})`;
+            }
         }
+        
+        return box;
     }
 
     /**
@@ -839,7 +8751,7 @@ class LionPlayer {
             </div>
             <div class="lion-player-loading-text">
                 <span class="loading-percentage">0%</span>
-                <span class="loading-status">Loading...</span>
+                <span class="loading-status">${this.localize('loading')}</span>
             </div>
         `;
         this.videoWrapper.appendChild(this.loadingSpinner);
@@ -849,7 +8761,7 @@ class LionPlayer {
         this.bufferHealthIndicator.className = 'lion-player-buffer-health';
         this.bufferHealthIndicator.innerHTML = `
             <div class="status-dot"></div>
-            Buffer: Good
+            ${this.localize('bufferGood')}
         `;
         this.videoWrapper.appendChild(this.bufferHealthIndicator);
         
@@ -875,6 +8787,11 @@ class LionPlayer {
         
         // Set video attributes
         this.video.setAttribute('preload', this.config.preload);
+        
+        // Also lets <track> files load from other origins
+        if (this.config.crossOrigin) {
+            this.video.setAttribute('crossorigin', this.config.crossOrigin);
+        }
         this.video.setAttribute('playsinline', '');
         this.video.setAttribute('webkit-playsinline', '');
         this.video.setAttribute('x-webkit-airplay', 'allow');
@@ -893,6 +8810,12 @@ class LionPlayer {
         
         // Add to DOM
         this.videoWrapper.appendChild(this.video);
+        
+        // Load the first supported tech until a source picks one
+        const techName = this.config.techOrder.find(name => TECHS[name] && TECHS[name].isSupported());
+        if (techName) {
+            this.loadTech(techName);
+        }
     }
 
     /**
@@ -904,9 +8827,13 @@ class LionPlayer {
         this.controls.className = 'lion-player-controls';
         this.container.appendChild(this.controls);
         
-        // Create progress bar
+        // Create progress bar, operated as a slider from the keyboard
         this.progressBar = document.createElement('div');
         this.progressBar.className = 'lion-player-progress-bar';
+        this.progressBar.setAttribute('role', 'slider');
+        this.progressBar.setAttribute('tabindex', '0');
+        this.progressBar.setAttribute('aria-label', this.localize('progress'));
+        this.progressBar.setAttribute('aria-valuemin', '0');
         this.controls.appendChild(this.progressBar);
         
         this.progressFilled = document.createElement('div');
@@ -938,7 +8865,7 @@ class LionPlayer {
         this.controlsBar.appendChild(this.controlsRight);
         
         // Create premium play/pause button
-        this.playButton = this.createButton('play', 'Play', () => this.togglePlay(), true);
+        this.playButton = this.createButton('play', this.localize('play'), () => this.togglePlay(), true);
         this.controlsLeft.appendChild(this.playButton);
         
         // Create volume control
@@ -946,7 +8873,7 @@ class LionPlayer {
         this.volumeControl.className = 'lion-player-volume-control';
         this.controlsLeft.appendChild(this.volumeControl);
         
-        this.volumeButton = this.createButton('volume-up', 'Mute', () => this.toggleMute());
+        this.volumeButton = this.createButton('volume-up', this.localize('mute'), () => this.toggleMute());
         this.volumeControl.appendChild(this.volumeButton);
         
         this.volumeSlider = document.createElement('input');
@@ -964,16 +8891,23 @@ class LionPlayer {
         this.timeDisplay.innerHTML = '00:00 / 00:00';
         this.controlsLeft.appendChild(this.timeDisplay);
         
+        // Create captions button, shown once tracks are added
+        this.captionsButton = this.createButton('captions', this.localize('subtitles'), () => this.toggleCaptions());
+        this.captionsButton.style.display = 'none';
+        this.controlsRight.appendChild(this.captionsButton);
+        
         // Create settings button
-        this.settingsButton = this.createButton('settings', 'Settings', () => this.toggleSettings());
+        this.settingsButton = this.createButton('settings', this.localize('settings'), () => this.toggleSettings());
+        this.settingsButton.setAttribute('aria-haspopup', 'menu');
+        this.settingsButton.setAttribute('aria-expanded', 'false');
         this.controlsRight.appendChild(this.settingsButton);
         
         // Create mini player button
-        this.miniPlayerButton = this.createButton('pip', 'Mini Player', () => this.toggleMiniPlayer());
+        this.miniPlayerButton = this.createButton('pip', this.localize('miniPlayer'), () => this.toggleMiniPlayer());
         this.controlsRight.appendChild(this.miniPlayerButton);
         
         // Create fullscreen button
-        this.fullscreenButton = this.createButton('fullscreen', 'Fullscreen', () => this.toggleFullscreen());
+        this.fullscreenButton = this.createButton('fullscreen', this.localize('fullscreen'), () => this.toggleFullscreen());
         this.controlsRight.appendChild(this.fullscreenButton);
         
         // Create settings menu
@@ -1017,7 +8951,9 @@ class LionPlayer {
             settings: 'M19.14,12.94c0.04-0.3,0.06-0.61,0.06-0.94c0-0.32-0.02-0.64-0.07-0.94l2.03-1.58c0.18-0.14,0.23-0.41,0.12-0.61 l-1.92-3.32c-0.12-0.22-0.37-0.29-0.59-0.22l-2.39,0.96c-0.5-0.38-1.03-0.7-1.62-0.94L14.4,2.81c-0.04-0.24-0.24-0.41-0.48-0.41 h-3.84c-0.24,0-0.43,0.17-0.47,0.41L9.25,5.35C8.66,5.59,8.12,5.92,7.63,6.29L5.24,5.33c-0.22-0.08-0.47,0-0.59,0.22L2.74,8.87 C2.62,9.08,2.66,9.34,2.86,9.48l2.03,1.58C4.84,11.36,4.8,11.69,4.8,12s0.02,0.64,0.07,0.94l-2.03,1.58 c-0.18,0.14-0.23,0.41-0.12,0.61l1.92,3.32c0.12,0.22,0.37,0.29,0.59,0.22l2.39-0.96c0.5,0.38,1.03,0.7,1.62,0.94l0.36,2.54 c0.05,0.24,0.24,0.41,0.48,0.41h3.84c0.24,0,0.44-0.17,0.47-0.41l0.36-2.54c0.59-0.24,1.13-0.56,1.62-0.94l2.39,0.96 c0.22,0.08,0.47,0,0.59-0.22l1.92-3.32c0.12-0.22,0.07-0.47-0.12-0.61L19.14,12.94z M12,15.6c-1.98,0-3.6-1.62-3.6-3.6 s1.62-3.6,3.6-3.6s3.6,1.62,3.6,3.6S13.98,15.6,12,15.6z',
             pip: 'M19 7h-8v6h8V7zm2-4H3c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h18c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2zm0 16H3V5h18v14z',
             fullscreen: 'M7 14H5v5h5v-2H7v-3zm-2-4h2V7h3V5H5v5zm12 7h-3v2h5v-5h-2v3zM14 5v2h3v3h2V5h-5z',
-            resume: 'M8 5V1L7 6l5 5V7c3.31 0 6 2.69 6 6s-2.69 6-6 6-6-2.69-6-6z'
+            resume: 'M8 5V1L7 6l5 5V7c3.31 0 6 2.69 6 6s-2.69 6-6 6-6-2.69-6-6z',
+            playlist: 'M3 10h11v2H3zm0-4h11v2H3zm0 8h7v2H3zm13-1v8l6-4z',
+            captions: 'M19 4H5c-1.11 0-2 .9-2 2v12c0 1.1.89 2 2 2h14c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2zm-8 7H9.5v-.5h-2v3h2V13H11v1c0 .55-.45 1-1 1H7c-.55 0-1-.45-1-1v-4c0-.55.45-1 1-1h3c.55 0 1 .45 1 1v1zm7 0h-1.5v-.5h-2v3h2V13H18v1c0 .55-.45 1-1 1h-3c-.55 0-1-.45-1-1v-4c0-.55.45-1 1-1h3c.55 0 1 .45 1 1v1z'
         };
         
         const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
@@ -1028,70 +8964,378 @@ class LionPlayer {
     }
 
     /**
-     * Create settings menu
+     * Create the settings menu with its main page and built-in sub-pages
      */
     createSettingsMenu() {
         this.settingsMenu = document.createElement('div');
         this.settingsMenu.className = 'lion-player-settings-menu';
+        this.settingsMenu.setAttribute('role', 'menu');
+        this.settingsMenu.addEventListener('keydown', (e) => this.onSettingsKeyDown(e));
+        this.container.appendChild(this.settingsMenu);
+        
+        // Tabbing out of the menu closes it; a re-render moves focus to nothing
+        this.settingsMenu.addEventListener('focusout', (e) => {
+            if (e.relatedTarget && !this.settingsMenu.contains(e.relatedTarget) && e.relatedTarget !== this.settingsButton) {
+                this.closeSettings();
+            }
+        });
         
-        // Playback speed options
-        this.addSettingsItem('Speed', 'speed', [
-            { label: '0.25x', value: '0.25' },
-            { label: '0.5x', value: '0.5' },
-            { label: '0.75x', value: '0.75' },
-            { label: 'Normal', value: '1' },
-            { label: '1.25x', value: '1.25' },
-            { label: '1.5x', value: '1.5' },
-            { label: '1.75x', value: '1.75' },
-            { label: '2x', value: '2' }
-        ]);
+        this.settingsPages = new Map();
+        this.settingsPages.set('main', { id: 'main', title: () => this.localize('settings'), parent: null, items: [] });
+        this.settingsPage = 'main';
+        
+        // Playback speed
+        this.addSettingsPage('speed', {
+            title: () => this.localize('speed'),
+            value: () => this.getSpeedLabel(Number(this.state.speed)),
+            items: () => [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2].map(rate => ({
+                label: this.getSpeedLabel(rate),
+                checked: rate === Number(this.state.speed),
+                onSelect: () => this.handleSettingsChange('speed', String(rate))
+            }))
+        });
         
-        this.container.appendChild(this.settingsMenu);
+        // Quality, once a streaming source reports more than one rendition
+        this.addSettingsPage('quality', {
+            title: () => this.localize('quality'),
+            visible: () => this.getQualityLevels().length > 1,
+            value: () => {
+                const level = this.getQualityLevels()[this.tech.getCurrentQuality()];
+                if (this.state.quality !== 'auto') return level ? level.label : '';
+                return level ? this.localize('autoLevel', { level: level.label }) : this.localize('auto');
+            },
+            items: () => [{ label: this.localize('auto'), value: 'auto' }].concat(
+                this.getQualityLevels().slice().reverse().map(level => ({ label: level.label, value: level.index }))
+            ).map(option => ({
+                label: option.label,
+                checked: option.value === this.state.quality,
+                onSelect: () => this.handleSettingsChange('quality', String(option.value))
+            }))
+        });
+        
+        // Subtitles, with the caption style pages next to them
+        this.addSettingsPage('subtitles', {
+            title: () => this.localize('subtitles'),
+            visible: () => this.getTextTracks().length > 0,
+            value: () => {
+                const track = this.getTextTracks().find(entry => entry.active);
+                return track ? track.label : this.localize('off');
+            },
+            items: () => [{ label: this.localize('off'), index: -1 }].concat(this.getTextTracks()).map(track => ({
+                label: track.label,
+                checked: track.index === this.state.textTrack,
+                onSelect: () => this.handleSettingsChange('textTrack', String(track.index))
+            }))
+        });
+        
+        this.addSettingsPage('captionStyle', {
+            title: () => this.localize('captionStyle'),
+            visible: () => this.getTextTracks().length > 0
+        });
+        
+        Object.entries(CAPTION_STYLE_CHOICES).forEach(([key, choice]) => {
+            this.addSettingsPage(`captionStyle.${key}`, {
+                parent: 'captionStyle',
+                title: () => this.localize(choice.title),
+                value: () => this.localize(choice.values[this.state.captionStyle[key]]),
+                items: () => Object.entries(choice.values).map(([value, label]) => ({
+                    label: this.localize(label),
+                    checked: value === this.state.captionStyle[key],
+                    onSelect: () => this.handleSettingsChange(key, value)
+                }))
+            });
+        });
+        
+        // Chapters, once they are known
+        this.addSettingsPage('chapters', {
+            title: () => this.localize('chapters'),
+            visible: () => this.chapters.length > 0,
+            value: () => this.chapters[this.state.chapter] ? this.chapters[this.state.chapter].title : '',
+            items: () => this.chapters.map((chapter, index) => ({
+                label: `${this.formatTime(chapter.start)}  ${chapter.title}`,
+                checked: index === this.state.chapter,
+                onSelect: () => this.handleSettingsChange('chapter', String(index))
+            }))
+        });
+    }
+
+    /**
+     * Add a settings page, linked from its parent page (the main page unless
+     * options.parent is given) by an entry showing options.value. options.items
+     * is a list of items or a function returning the items when the page is shown.
+     */
+    addSettingsPage(id, options = {}) {
+        // Without controls there is no settings menu
+        if (!this.settingsPages) return;
+        
+        const parent = options.parent || 'main';
+        
+        if (this.settingsPages.has(id)) {
+            throw new Error(`LionPlayer: Settings page "${id}" already exists`);
+        }
+        
+        if (!this.settingsPages.has(parent)) {
+            throw new Error(`LionPlayer: Unknown settings page "${parent}"`);
+        }
+        
+        this.settingsPages.set(id, {
+            id,
+            title: options.title || id,
+            parent,
+            value: options.value,
+            visible: options.visible,
+            items: [],
+            getItems: typeof options.items === 'function' ? options.items : null
+        });
+        
+        this.addSettingsItem(parent, { type: 'page', page: id });
+        
+        if (Array.isArray(options.items)) {
+            options.items.forEach(item => this.addSettingsItem(id, item));
+        }
+        
+        this.renderSettingsMenu();
+    }
+
+    /**
+     * Add an item to a settings page: {type: 'radio', label, checked, onSelect},
+     * {type: 'toggle', label, checked, onChange(checked)} or {type: 'page', page}.
+     * Labels, values and checked states may be functions read when the page is shown.
+     */
+    addSettingsItem(pageId, item) {
+        if (!this.settingsPages) return;
+        
+        const page = this.settingsPages.get(pageId);
+        
+        if (!page) {
+            throw new Error(`LionPlayer: Unknown settings page "${pageId}"`);
+        }
+        
+        const type = item.type || 'radio';
+        
+        if (!['radio', 'toggle', 'page'].includes(type)) {
+            throw new Error(`LionPlayer: Unknown settings item type "${type}"`);
+        }
+        
+        page.items.push(Object.assign({}, item, { type }));
+        this.renderSettingsMenu();
+    }
+
+    /**
+     * Show a settings page
+     */
+    showSettingsPage(id) {
+        if (!this.settingsPages || !this.settingsPages.has(id)) return;
+        
+        this.settingsPage = id;
+        this.renderSettingsMenu();
+    }
+
+    /**
+     * Check if a settings page and the pages above it are shown
+     */
+    isSettingsPageVisible(page) {
+        for (let current = page; current; current = this.settingsPages.get(current.parent)) {
+            if (current.visible && !current.visible()) return false;
+        }
+        
+        return true;
+    }
+
+    /**
+     * Render the shown settings page
+     */
+    renderSettingsMenu() {
+        // A closed menu is rendered when it opens
+        if (!this.settingsMenu || !this.settingsMenu.classList.contains('active')) return;
+        
+        let page = this.settingsPages.get(this.settingsPage);
+        
+        // Go back to the main page when the shown page has nothing to offer anymore
+        if (!page || !this.isSettingsPageVisible(page)) {
+            page = this.settingsPages.get('main');
+            this.settingsPage = 'main';
+        }
+        
+        // Keep keyboard focus in the menu across the re-render
+        const previousItems = this.getSettingsMenuItems();
+        const focused = previousItems.indexOf(document.activeElement);
+        const tabbable = focused !== -1 ? focused : previousItems.findIndex(item => item.tabIndex === 0);
+        const previousPage = this.settingsMenu.dataset.page;
+        
+        this.settingsMenu.innerHTML = '';
+        this.settingsMenu.dataset.page = page.id;
+        this.settingsMenu.setAttribute('aria-label', resolveSettingsValue(page.title));
+        
+        if (page.parent) {
+            const back = document.createElement('div');
+            back.className = 'lion-player-settings-back';
+            back.setAttribute('role', 'menuitem');
+            back.setAttribute('aria-label', this.localize('back'));
+            back.textContent = resolveSettingsValue(page.title);
+            back.addEventListener('click', () => this.showSettingsPage(page.parent));
+            this.settingsMenu.appendChild(back);
+        }
+        
+        const items = (page.getItems ? page.getItems() : []).concat(page.items);
+        
+        items.filter(item => item.type !== 'page' || this.isSettingsPageVisible(this.settingsPages.get(item.page)))
+            .forEach((item, index) => {
+                this.settingsMenu.appendChild(this.createSettingsItem(Object.assign({ type: 'radio' }, item), page, index));
+            });
+        
+        // Roving tabindex: the same page keeps its position, a new page starts on the
+        // link back to the page just left, the chosen option or its first item
+        const menuItems = this.getSettingsMenuItems();
+        let index = page.id === previousPage ? tabbable : menuItems.findIndex(item => item.dataset.page === previousPage);
+        
+        if (index === -1) {
+            index = menuItems.findIndex(item => item.getAttribute('role') === 'menuitemradio' && item.getAttribute('aria-checked') === 'true');
+        }
+        
+        if (index === -1) {
+            index = page.parent ? 1 : 0;
+        }
+        
+        index = Math.min(index, menuItems.length - 1);
+        menuItems.forEach((item, i) => item.setAttribute('tabindex', i === index ? '0' : '-1'));
+        
+        if (focused !== -1 && menuItems[index]) {
+            menuItems[index].focus();
+        }
     }
 
     /**
-     * Add settings item with animation
+     * Get the items of the shown settings page, back link included
      */
-    addSettingsItem(title, type, options) {
-        const itemTitle = document.createElement('div');
-        itemTitle.className = 'lion-player-settings-item';
-        itemTitle.textContent = title;
-        this.settingsMenu.appendChild(itemTitle);
+    getSettingsMenuItems() {
+        return Array.from(this.settingsMenu.querySelectorAll('[role^="menuitem"]'));
+    }
+
+    /**
+     * Move through the settings menu with the arrow, Home and End keys, pick
+     * with Enter or Space, open and leave sub-pages sideways and close with Escape
+     */
+    onSettingsKeyDown(e) {
+        const items = this.getSettingsMenuItems();
+        const index = items.indexOf(e.target);
+        const page = this.settingsPages.get(this.settingsPage);
+        const rtl = this.el.getAttribute('dir') === 'rtl';
+        let next = -1;
+        
+        switch (e.key) {
+            case 'Escape':
+                this.closeSettings(true);
+                break;
+            case 'ArrowDown':
+                next = (index + 1) % items.length;
+                break;
+            case 'ArrowUp':
+                next = index <= 0 ? items.length - 1 : index - 1;
+                break;
+            case 'Home':
+                next = 0;
+                break;
+            case 'End':
+                next = items.length - 1;
+                break;
+            case 'Enter':
+            case ' ':
+                if (items[index]) items[index].click();
+                break;
+            case 'ArrowLeft':
+            case 'ArrowRight':
+                // Sideways leads into a sub-page or back out of one, following the text direction
+                if ((e.key === 'ArrowRight') !== rtl) {
+                    if (items[index] && items[index].dataset.page) items[index].click();
+                } else if (page && page.parent) {
+                    this.showSettingsPage(page.parent);
+                }
+                break;
+            default:
+                return;
+        }
+        
+        // Keep the player's shortcuts from acting on the same key
+        e.preventDefault();
         
-        options.forEach((option, index) => {
-            const item = document.createElement('div');
-            item.className = 'lion-player-settings-item';
-            item.textContent = option.label;
-            item.dataset[type] = option.value;
-            item.style.animationDelay = `${index * 50}ms`;
+        if (next !== -1) {
+            items.forEach((item, i) => item.setAttribute('tabindex', i === next ? '0' : '-1'));
+            items[next].focus();
+        }
+    }
+
+    /**
+     * Create the element of a settings item
+     */
+    createSettingsItem(item, page, index) {
+        const element = document.createElement('div');
+        element.className = `lion-player-settings-item lion-player-settings-${item.type}`;
+        element.style.animationDelay = `${index * 50}ms`;
+        
+        const label = document.createElement('span');
+        label.className = 'lion-player-settings-label';
+        element.appendChild(label);
+        
+        if (item.type === 'page') {
+            const target = this.settingsPages.get(item.page);
+            label.textContent = resolveSettingsValue(target.title);
             
-            if (option.value === this.state[type]) {
-                item.classList.add('active');
-            }
+            const value = document.createElement('span');
+            value.className = 'lion-player-settings-value';
+            value.textContent = resolveSettingsValue(target.value) || '';
+            element.appendChild(value);
             
-            item.addEventListener('click', () => {
-                this.handleSettingsChange(type, option.value);
-            });
+            element.setAttribute('role', 'menuitem');
+            element.setAttribute('aria-haspopup', 'menu');
+            element.dataset.page = item.page;
             
-            this.settingsMenu.appendChild(item);
-        });
+            element.addEventListener('click', () => this.showSettingsPage(item.page));
+            return element;
+        }
+        
+        const checked = !!resolveSettingsValue(item.checked);
+        label.textContent = resolveSettingsValue(item.label);
+        element.classList.toggle('active', checked);
+        element.setAttribute('role', item.type === 'toggle' ? 'menuitemcheckbox' : 'menuitemradio');
+        element.setAttribute('aria-checked', String(checked));
+        
+        if (item.type === 'toggle') {
+            const toggle = document.createElement('span');
+            toggle.className = 'lion-player-settings-switch';
+            element.appendChild(toggle);
+            
+            element.addEventListener('click', () => {
+                if (item.onChange) item.onChange(!checked);
+                this.renderSettingsMenu();
+            });
+        } else {
+            // Picking an option returns to the page it was chosen from
+            element.addEventListener('click', () => {
+                if (item.onSelect) item.onSelect();
+                this.showSettingsPage(page.parent || page.id);
+            });
+        }
+        
+        return element;
     }
 
     /**
-     * Handle settings change with animation
+     * Get the label of a playback speed
+     */
+    getSpeedLabel(rate) {
+        return rate === 1 ? this.localize('normal') : `${rate}x`;
+    }
+
+    /**
+     * Handle settings change
      */
     handleSettingsChange(type, value) {
-        // Update state
-        this.state[type] = value;
-        
-        // Update active class with animation
-        const items = this.settingsMenu.querySelectorAll(`[data-${type}]`);
-        items.forEach(item => {
-            item.classList.remove('active');
-            if (item.dataset[type] === value) {
-                setTimeout(() => item.classList.add('active'), 50);
-            }
-        });
+        // Caption style choices are kept together in their own object
+        if (type in CAPTION_STYLE_CHOICES) {
+            this.setCaptionStyle({ [type]: value });
+            return;
+        }
         
         // Apply changes
         switch (type) {
@@ -1099,31 +9343,64 @@ class LionPlayer {
                 this.applyTheme(value);
                 break;
             case 'language':
-                this.applyLanguage(value);
+                this.setLanguage(value);
                 break;
             case 'speed':
                 this.setPlaybackRate(parseFloat(value));
                 break;
+            case 'quality':
+                this.setQuality(value === 'auto' ? 'auto' : parseInt(value, 10));
+                break;
+            case 'textTrack':
+                this.setTextTrack(parseInt(value, 10));
+                break;
+            case 'chapter':
+                this.goToChapter(parseInt(value, 10));
+                break;
             case 'accessibility':
                 this.toggleAccessibilityFeature(value);
                 break;
         }
+        
+        this.renderSettingsMenu();
     }
 
     /**
-     * Toggle accessibility feature
+     * Turn an accessibility feature on or off, flipping it when enabled is omitted
      */
-    toggleAccessibilityFeature(feature) {
+    toggleAccessibilityFeature(feature, enabled = !this.state.accessibilityFeatures[feature]) {
         switch (feature) {
             case 'highContrast':
-                this.applyTheme('high-contrast');
+                if (enabled) {
+                    this.applyTheme('high-contrast');
+                } else if (this.state.accessibilityFeatures.highContrast) {
+                    // 'auto' would pick high contrast again while the system asks for it
+                    const theme = this.themeBeforeContrast || DEFAULT_CONFIG.theme;
+                    this.applyTheme(this.resolveTheme(theme) === 'high-contrast' ? DEFAULT_CONFIG.theme : theme);
+                }
                 break;
             case 'reducedMotion':
-                this.el.style.setProperty('--lion-transition', 'none');
-                this.el.style.setProperty('--lion-transition-fast', 'none');
+                if (enabled) {
+                    this.el.style.setProperty('--lion-transition', 'none');
+                    this.el.style.setProperty('--lion-transition-fast', 'none');
+                } else {
+                    this.el.style.removeProperty('--lion-transition');
+                    this.el.style.removeProperty('--lion-transition-fast');
+                }
+                break;
+            case 'audioDescriptions':
+                this.state.accessibilityFeatures.audioDescriptions = enabled;
+                this.updateAudioDescription();
+                break;
+            case 'signLanguage':
+                this.state.accessibilityFeatures.signLanguage = enabled;
+                this.updateSignLanguage();
                 break;
             // Handle other accessibility features
         }
+        
+        this.state.accessibilityFeatures[feature] = enabled;
+        this.renderSettingsMenu();
     }
 
     /**
@@ -1141,6 +9418,7 @@ class LionPlayer {
         this.video.addEventListener('seeking', () => this.onSeeking());
         this.video.addEventListener('seeked', () => this.onSeeked());
         this.video.addEventListener('timeupdate', () => this.onTimeUpdate());
+        this.video.addEventListener('durationchange', () => this.renderChapterMarkers());
         this.video.addEventListener('progress', () => this.onProgress());
         this.video.addEventListener('volumechange', () => this.onVolumeChange());
         this.video.addEventListener('ratechange', () => this.onRateChange());
@@ -1158,23 +9436,26 @@ class LionPlayer {
             this.progressBar.addEventListener('click', (e) => this.seek(e));
             this.progressBar.addEventListener('mousemove', (e) => this.showTimeTooltip(e));
             this.progressBar.addEventListener('mouseleave', () => this.hideTimeTooltip());
+            this.progressBar.addEventListener('keydown', (e) => this.onProgressKeyDown(e));
+            this.progressBar.addEventListener('focus', () => this.updateTimeTooltip(this.getCurrentTime()));
+            this.video.addEventListener('durationchange', () => this.updateProgressAria());
             
             // Progress bar drag support
             this.setupProgressBarDrag();
         }
         
         // Fullscreen events
-        document.addEventListener('fullscreenchange', () => this.onFullscreenChange());
-        document.addEventListener('webkitfullscreenchange', () => this.onFullscreenChange());
-        document.addEventListener('mozfullscreenchange', () => this.onFullscreenChange());
-        document.addEventListener('MSFullscreenChange', () => this.onFullscreenChange());
+        this.onDocumentFullscreenChange = () => this.onFullscreenChange();
+        FULLSCREEN_EVENTS.forEach(event => document.addEventListener(event, this.onDocumentFullscreenChange));
         
         // Click outside to close settings
         document.addEventListener('click', (e) => {
+            // The path is used because picking an item re-renders the menu, detaching the target
+            const path = e.composedPath();
             if (this.settingsMenu && 
-                !this.settingsMenu.contains(e.target) && 
-                !this.settingsButton.contains(e.target)) {
-                this.settingsMenu.classList.remove('active');
+                !path.includes(this.settingsMenu) && 
+                !path.includes(this.settingsButton)) {
+                this.closeSettings();
             }
         });
         
@@ -1194,6 +9475,7 @@ class LionPlayer {
         
         const startDrag = (e) => {
             isDragging = true;
+            this.progressBar.classList.add('scrubbing');
             this.seek(e);
             document.addEventListener('mousemove', onDrag);
             document.addEventListener('mouseup', stopDrag);
@@ -1202,16 +9484,37 @@ class LionPlayer {
         const onDrag = (e) => {
             if (isDragging) {
                 this.seek(e);
+                this.showTimeTooltip(e);
             }
         };
         
         const stopDrag = () => {
             isDragging = false;
+            this.progressBar.classList.remove('scrubbing');
             document.removeEventListener('mousemove', onDrag);
             document.removeEventListener('mouseup', stopDrag);
         };
         
         this.progressBar.addEventListener('mousedown', startDrag);
+        
+        // Touch scrubbing shows the same tooltip and preview
+        const onTouch = (e) => {
+            if (e.touches.length !== 1) return;
+            
+            e.preventDefault();
+            this.progressBar.classList.add('scrubbing');
+            this.seek(e.touches[0]);
+            this.showTimeTooltip(e.touches[0]);
+        };
+        
+        const stopTouch = () => {
+            this.progressBar.classList.remove('scrubbing');
+        };
+        
+        this.progressBar.addEventListener('touchstart', onTouch, { passive: false });
+        this.progressBar.addEventListener('touchmove', onTouch, { passive: false });
+        this.progressBar.addEventListener('touchend', stopTouch);
+        this.progressBar.addEventListener('touchcancel', stopTouch);
     }
 
     /**
@@ -1268,10 +9571,16 @@ class LionPlayer {
      * Check buffer health and update UI
      */
     checkBufferHealth() {
-        if (!this.video || !this.video.buffered.length) return;
+        const buffered = this.getBuffered();
         
-        const currentTime = this.video.currentTime;
-        const bufferedEnd = this.video.buffered.end(this.video.buffered.length - 1);
+        if (!buffered.length) {
+            // Streaming techs show segments loading before anything is buffered
+            this.updateBufferSegments();
+            return;
+        }
+        
+        const currentTime = this.getCurrentTime();
+        const bufferedEnd = buffered.end(buffered.length - 1);
         const bufferAhead = bufferedEnd - currentTime;
         
         // Determine buffer health
@@ -1300,10 +9609,14 @@ class LionPlayer {
      * Update buffer segments visualization
      */
     updateBufferSegments() {
-        if (!this.video || !this.video.buffered.length) return;
+        const buffered = this.getBuffered();
+        const duration = this.getDuration();
+        const currentTime = this.getCurrentTime();
         
-        const duration = this.video.duration;
-        const currentTime = this.video.currentTime;
+        // Streaming techs report the segments they are downloading
+        const loadingSegments = this.tech && this.tech.getLoadingSegments ? this.tech.getLoadingSegments() : null;
+        
+        if (!duration || !isFinite(duration) || (!buffered.length && !loadingSegments)) return;
         
         // Clear all segments first
         this.state.bufferSegments.forEach(segment => {
@@ -1313,9 +9626,9 @@ class LionPlayer {
         });
         
         // Mark buffered segments
-        for (let i = 0; i < this.video.buffered.length; i++) {
-            const start = this.video.buffered.start(i);
-            const end = this.video.buffered.end(i);
+        for (let i = 0; i < buffered.length; i++) {
+            const start = buffered.start(i);
+            const end = buffered.end(i);
             
             const startIndex = Math.floor((start / duration) * this.config.bufferSegments);
             const endIndex = Math.ceil((end / duration) * this.config.bufferSegments);
@@ -1328,13 +9641,52 @@ class LionPlayer {
                     
                     // Check if current playback is in this segment
                     const segmentTime = (j / this.config.bufferSegments) * duration;
-                    if (Math.abs(currentTime - segmentTime) < duration / this.config.bufferSegments) {
+                    if (!loadingSegments && Math.abs(currentTime - segmentTime) < duration / this.config.bufferSegments) {
+                        segment.loading = true;
+                        segment.element.classList.add('loading');
+                    }
+                }
+            }
+        }
+        
+        // Mark segments that are being downloaded
+        if (loadingSegments) {
+            loadingSegments.forEach(loading => {
+                const startIndex = Math.floor((loading.start / duration) * this.config.bufferSegments);
+                const endIndex = Math.ceil(((loading.start + loading.duration) / duration) * this.config.bufferSegments);
+                
+                for (let j = startIndex; j < endIndex && j < this.config.bufferSegments; j++) {
+                    const segment = this.state.bufferSegments[j];
+                    if (segment) {
                         segment.loading = true;
                         segment.element.classList.add('loading');
                     }
                 }
-            }
+            });
+        }
+    }
+
+    /**
+     * Handle a segment download started by a streaming tech
+     */
+    onSegmentLoading(segment) {
+        // Waiting on the segment under the playhead means playback is buffering
+        const currentTime = this.getCurrentTime();
+        if (this.state.isPlaying && segment.start <= currentTime && currentTime < segment.start + segment.duration) {
+            this.startBuffering();
         }
+        
+        this.updateBufferSegments();
+    }
+
+    /**
+     * Handle a segment appended by a streaming tech
+     */
+    onSegmentLoaded(segment, stats) {
+        this.updateBufferedBar();
+        this.checkBufferHealth();
+        this.updateState();
+        this.trigger(EVENTS.PROGRESS, { segment, stats });
     }
 
     /**
@@ -1344,16 +9696,22 @@ class LionPlayer {
         if (!this.bufferHealthIndicator) return;
         
         this.bufferHealthIndicator.className = `lion-player-buffer-health visible ${health}`;
-        
+        this.updateBufferHealthText(health);
+    }
+
+    /**
+     * Update the buffer health indicator text
+     */
+    updateBufferHealthText(health = this.state.bufferHealth) {
         const statusText = {
-            good: 'Buffer: Good',
-            medium: 'Buffer: Medium',
-            poor: 'Buffer: Low'
+            good: 'bufferGood',
+            medium: 'bufferMedium',
+            poor: 'bufferLow'
         };
         
         this.bufferHealthIndicator.innerHTML = `
             <div class="status-dot"></div>
-            ${statusText[health]}
+            ${this.localize(statusText[health])}
         `;
     }
 
@@ -1364,11 +9722,12 @@ class LionPlayer {
         if (this.state.isBuffering) return;
         
         this.state.isBuffering = true;
+        this.performance.bufferEvents++;
         this.showLoading('buffering');
         this.trigger(EVENTS.BUFFERING);
         
         // Update loading text
-        this.updateLoadingText('Buffering...');
+        this.updateLoadingText('buffering');
     }
 
     /**
@@ -1391,7 +9750,7 @@ class LionPlayer {
         this.networkStatusIndicator.className = 'lion-player-network-status';
         this.networkStatusIndicator.innerHTML = `
             <div class="status-dot"></div>
-            <span class="status-text">Ready</span>
+            <span class="status-text">${this.localize('ready')}</span>
         `;
         this.container.appendChild(this.networkStatusIndicator);
         
@@ -1415,30 +9774,37 @@ class LionPlayer {
         if (!this.networkStatusIndicator) return;
         
         let status = 'idle';
-        let statusText = 'Ready';
         
         switch (this.video.networkState) {
             case 1: // NETWORK_LOADING
                 status = 'loading';
-                statusText = 'Loading...';
                 break;
             case 2: // NETWORK_LOADED
                 status = 'ready';
-                statusText = 'Ready';
                 break;
             case 3: // NETWORK_NO_SOURCE
                 status = 'error';
-                statusText = 'Error';
                 break;
         }
         
         this.state.networkStatus = status;
         this.networkStatusIndicator.className = `lion-player-network-status visible ${status}`;
-        this.networkStatusIndicator.querySelector('.status-text').textContent = statusText;
+        
+        const statusText = this.updateNetworkStatusText();
         
         this.trigger(EVENTS.NETWORKCHANGE, { status, statusText });
     }
 
+    /**
+     * Update the network status indicator text, returning it
+     */
+    updateNetworkStatusText() {
+        const statusText = this.localize({ loading: 'loading', error: 'error' }[this.state.networkStatus] || 'ready');
+        this.networkStatusIndicator.querySelector('.status-text').textContent = statusText;
+        
+        return statusText;
+    }
+
     /**
      * Setup premium features
      */
@@ -1483,10 +9849,27 @@ class LionPlayer {
         this.el.addEventListener('touchmove', resetUserActivity);
 
         // Keyboard events
-        document.addEventListener('keydown', (e) => {
-            if (['Space', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'f', 'm'].includes(e.key)) {
+        this.onActivityKeyDown = (e) => {
+            if (activePlayer === this && !isTypingTarget(e.target)) {
                 resetUserActivity();
             }
+        };
+        document.addEventListener('keydown', this.onActivityKeyDown);
+    }
+
+    /**
+     * Build the key bindings from the defaults and config.keymap
+     */
+    setupKeymap() {
+        this.keymap = new Map();
+        
+        Object.entries(DEFAULT_KEYMAP).forEach(([combo, action]) => this.bindKey(combo, action));
+        Object.entries(this.config.keymap || {}).forEach(([combo, action]) => {
+            if (action) {
+                this.bindKey(combo, action);
+            } else {
+                this.unbindKey(combo);
+            }
         });
     }
 
@@ -1494,57 +9877,175 @@ class LionPlayer {
      * Setup keyboard shortcuts
      */
     setupKeyboardShortcuts() {
-        document.addEventListener('keydown', (e) => {
-            if (!this.state.isUserActive) return;
-            
-            switch(e.key) {
-                case ' ':
-                    e.preventDefault();
-                    this.togglePlay();
-                    break;
-                case 'ArrowLeft':
-                    e.preventDefault();
-                    this.skip(-5);
-                    break;
-                case 'ArrowRight':
-                    e.preventDefault();
-                    this.skip(5);
-                    break;
-                case 'ArrowUp':
-                    e.preventDefault();
-                    this.adjustVolume(0.1);
-                    break;
-                case 'ArrowDown':
-                    e.preventDefault();
-                    this.adjustVolume(-0.1);
-                    break;
-                case 'f':
-                    e.preventDefault();
-                    this.toggleFullscreen();
-                    break;
-                case 'm':
-                    e.preventDefault();
-                    this.toggleMute();
-                    break;
-                case 'r':
-                    e.preventDefault();
-                    this.resumePlayback();
-                    break;
-                case '0':
-                case '1':
-                case '2':
-                case '3':
-                case '4':
-                case '5':
-                case '6':
-                case '7':
-                case '8':
-                case '9':
-                    e.preventDefault();
-                    this.seekToPercent(parseInt(e.key) * 10);
-                    break;
+        // Shortcuts go to the player the viewer is using
+        if (!activePlayer) {
+            activePlayer = this;
+        }
+        
+        const activate = () => {
+            activePlayer = this;
+        };
+        this.el.addEventListener('pointerdown', activate);
+        this.el.addEventListener('focusin', activate);
+        
+        this.onShortcutKeyDown = (e) => this.handleShortcut(e);
+        document.addEventListener('keydown', this.onShortcutKeyDown);
+    }
+
+    /**
+     * Run the shortcut bound to a keydown, if this player should handle it
+     */
+    handleShortcut(e) {
+        if (activePlayer !== this || e.defaultPrevented || isTypingTarget(e.target)) return;
+        
+        // Focused controls handle their own Space and Enter
+        if (e.target.tagName === 'BUTTON' && (e.key === ' ' || e.key === 'Enter')) return;
+        
+        if (e.key === 'Escape' && this.shortcutsOverlay) {
+            e.preventDefault();
+            this.toggleShortcutsOverlay(false);
+            return;
+        }
+        
+        const binding = this.keymap.get(keyComboFromEvent(e));
+        if (!binding) return;
+        
+        e.preventDefault();
+        
+        if (typeof binding.action === 'function') {
+            binding.action(this, e);
+        } else {
+            KEY_ACTIONS[binding.action].run(this, e);
+        }
+    }
+
+    /**
+     * Bind a key combo such as 'Shift+ArrowRight' to a built-in action name
+     * or a function (player, event) => {}
+     */
+    bindKey(combo, action, label) {
+        if (typeof action !== 'function' && !KEY_ACTIONS[action]) {
+            throw new Error(`LionPlayer: Unknown shortcut action "${action}"`);
+        }
+        
+        this.keymap.set(normalizeKeyCombo(combo), {
+            action,
+            label: label || (KEY_ACTIONS[action] ? KEY_ACTIONS[action].label : 'customAction')
+        });
+        
+        if (this.shortcutsOverlay) {
+            this.renderShortcutsOverlay();
+        }
+    }
+
+    /**
+     * Remove the binding of a key combo
+     */
+    unbindKey(combo) {
+        this.keymap.delete(normalizeKeyCombo(combo));
+        
+        if (this.shortcutsOverlay) {
+            this.renderShortcutsOverlay();
+        }
+    }
+
+    /**
+     * Get the active bindings as {combo, action, label}
+     */
+    getKeyBindings() {
+        return Array.from(this.keymap, ([combo, binding]) => ({
+            combo,
+            action: binding.action,
+            label: this.localize(binding.label)
+        }));
+    }
+
+    /**
+     * Show or hide the overlay listing the keyboard shortcuts
+     */
+    toggleShortcutsOverlay(show = !this.shortcutsOverlay) {
+        if (!show) {
+            if (this.shortcutsOverlay) {
+                this.shortcutsOverlay.remove();
+                this.shortcutsOverlay = null;
+            }
+            return;
+        }
+        
+        if (this.shortcutsOverlay) return;
+        
+        this.shortcutsOverlay = document.createElement('div');
+        this.shortcutsOverlay.className = 'lion-player-shortcuts';
+        this.shortcutsOverlay.setAttribute('role', 'dialog');
+        this.shortcutsOverlay.setAttribute('aria-label', this.localize('keyboardShortcuts'));
+        this.container.appendChild(this.shortcutsOverlay);
+        this.renderShortcutsOverlay();
+    }
+
+    /**
+     * Fill the shortcuts overlay, one row per action
+     */
+    renderShortcutsOverlay() {
+        const overlay = this.shortcutsOverlay;
+        overlay.innerHTML = '';
+        
+        const header = document.createElement('div');
+        header.className = 'lion-player-shortcuts-header';
+        header.textContent = this.localize('keyboardShortcuts');
+        
+        const close = document.createElement('button');
+        close.className = 'lion-player-shortcuts-close';
+        close.setAttribute('type', 'button');
+        close.setAttribute('aria-label', this.localize('close'));
+        close.textContent = '×';
+        close.addEventListener('click', () => this.toggleShortcutsOverlay(false));
+        header.appendChild(close);
+        overlay.appendChild(header);
+        
+        // Keys bound to the same action share a row; built-in actions come first, in their usual order
+        const actions = Object.keys(KEY_ACTIONS);
+        const order = binding => typeof binding.action === 'function' ? actions.length : actions.indexOf(binding.action);
+        const bindings = this.getKeyBindings().sort((a, b) => order(a) - order(b));
+        
+        const rows = new Map();
+        bindings.forEach(binding => {
+            const id = typeof binding.action === 'function' ? binding.combo : binding.action;
+            if (!rows.has(id)) {
+                rows.set(id, { label: binding.label, combos: [] });
             }
+            rows.get(id).combos.push(binding.combo);
+        });
+        
+        const list = document.createElement('dl');
+        list.className = 'lion-player-shortcuts-list';
+        
+        rows.forEach(row => {
+            const keys = document.createElement('dt');
+            row.combos.forEach(combo => {
+                const kbd = document.createElement('kbd');
+                kbd.textContent = this.formatKeyCombo(combo);
+                keys.appendChild(kbd);
+            });
+            
+            const label = document.createElement('dd');
+            label.textContent = row.label;
+            
+            list.appendChild(keys);
+            list.appendChild(label);
         });
+        
+        overlay.appendChild(list);
+    }
+
+    /**
+     * Format a key combo for display
+     */
+    formatKeyCombo(combo) {
+        const arrows = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓' };
+        
+        return combo.split(/\+(?!$)/)
+            .map(part => arrows[part] || (part.length === 1 ? part.toUpperCase() : part))
+            .join(' + ');
     }
 
     /**
@@ -1602,8 +10103,61 @@ class LionPlayer {
         if (!src) return;
         
         this.config.src = src;
-        this.video.src = src;
-        this.video.load();
+        this.sources = (Array.isArray(src) ? src : [src]).map(source => this.normalizeSource(source));
+        this.failedSources = new Set();
+        this.cancelSourceRestore();
+        
+        // New content gets its own ad breaks
+        if (this.ads) {
+            this.ads.reset();
+        }
+        
+        const index = this.findPlayableSource(0);
+        
+        // Each source is measured in its own session
+        if (this.analytics) {
+            this.analytics.startSession(this.sources[index === -1 ? 0 : index].src);
+        }
+        
+        if (index === -1) {
+            this.showError(this.localize('errorNoTech'));
+            this.trigger(EVENTS.ERROR, { sources: this.sources });
+            return;
+        }
+        
+        this.loadSourceAt(index);
+    }
+
+    /**
+     * Find the first playable source from an index
+     */
+    findPlayableSource(start) {
+        for (let i = start; i < this.sources.length; i++) {
+            if (this.selectTech(this.sources[i])) {
+                return i;
+            }
+        }
+        
+        return -1;
+    }
+
+    /**
+     * Load one of the sources passed to loadSource()
+     */
+    loadSourceAt(index) {
+        const source = this.sources[index];
+        const techName = this.selectTech(source);
+        
+        this.sourceIndex = index;
+        this.currentSource = source;
+        this.state.quality = 'auto';
+        this.hideError();
+        this.loadTech(techName);
+        this.hideEndScreen();
+        this.resetZoom();
+        this.tech.load(source);
+        this.renderSettingsMenu();
+        this.resetThumbnails();
         
         // Reset buffer state
         this.state.isBuffering = false;
@@ -1612,16 +10166,75 @@ class LionPlayer {
         
         // Check for saved position
         this.checkSavedPosition();
+        
+        // Notify plugins
+        this.callPluginHook('onSourceChange', source.src);
+    }
+
+    /**
+     * Switch to the next playable source after an error, keeping the position
+     */
+    fallbackToNextSource(error) {
+        if (!this.sources) return false;
+        
+        // The tech and the media element can both report the same failure; move on once per source
+        if (this.failedSources.has(this.currentSource)) return true;
+        this.failedSources.add(this.currentSource);
+        
+        const index = this.findPlayableSource(this.sourceIndex + 1);
+        if (index === -1) return false;
+        
+        const from = this.currentSource;
+        
+        // A source that fails before its metadata hands on the position it was to restore
+        const restore = this.sourceRestore || { position: this.getCurrentTime() || 0, wasPlaying: this.state.isPlaying };
+        this.cancelSourceRestore();
+        this.loadSourceAt(index);
+        
+        restore.onLoadedMetadata = () => {
+            this.sourceRestore = null;
+            
+            // Seek the tech directly, as the seek lock during ads is meant for the viewer
+            if (restore.position > 0 && this.tech) {
+                this.tech.setCurrentTime(restore.position);
+            }
+            
+            // A running preroll resumes content itself when it ends
+            if (restore.wasPlaying && !this.state.isAdPlaying) {
+                this.play();
+            }
+        };
+        this.sourceRestore = restore;
+        this.video.addEventListener('loadedmetadata', restore.onLoadedMetadata, { once: true });
+        
+        this.trigger(EVENTS.SOURCEFALLBACK, { from, to: this.currentSource, error, position: restore.position });
+        
+        return true;
+    }
+
+    /**
+     * Drop the position restore waiting for a fallback source's metadata
+     */
+    cancelSourceRestore() {
+        if (!this.sourceRestore) return;
+        
+        this.video.removeEventListener('loadedmetadata', this.sourceRestore.onLoadedMetadata);
+        this.sourceRestore = null;
     }
 
     /**
      * Play video with promise handling
      */
     play() {
-        if (this.video) {
-            return this.video.play().catch(error => {
+        // Play and pause control the ad while one runs
+        if (this.state.isAdPlaying && this.ads) {
+            return Promise.resolve(this.ads.play()).catch(() => {});
+        }
+        
+        if (this.tech) {
+            return Promise.resolve(this.tech.play()).catch(error => {
                 console.error('Play failed:', error);
-                this.showError('Playback failed. Please try again.');
+                this.showError(this.localize('errorPlayback'));
             });
         }
         return Promise.reject(new Error('Video element not available'));
@@ -1631,8 +10244,10 @@ class LionPlayer {
      * Pause video
      */
     pause() {
-        if (this.video) {
-            this.video.pause();
+        if (this.state.isAdPlaying && this.ads) {
+            this.ads.pause();
+        } else if (this.tech) {
+            this.tech.pause();
         }
     }
 
@@ -1651,8 +10266,8 @@ class LionPlayer {
      * Skip by specified seconds
      */
     skip(seconds) {
-        if (this.video) {
-            this.video.currentTime = Math.max(0, Math.min(this.video.duration, this.video.currentTime + seconds));
+        if (this.tech && !this.state.isAdPlaying) {
+            this.tech.setCurrentTime(Math.max(0, Math.min(this.tech.duration(), this.tech.currentTime() + seconds)));
         }
     }
 
@@ -1660,31 +10275,63 @@ class LionPlayer {
      * Seek to specific time
      */
     seek(e) {
-        if (!this.video || !this.video.duration) return;
+        if (!this.tech || !this.tech.duration() || this.state.isAdPlaying) return;
         
-        const rect = this.progressBar.getBoundingClientRect();
-        const pos = (e.clientX - rect.left) / rect.width;
-        const time = pos * this.video.duration;
+        const pos = this.getProgressPosition(e.clientX);
+        const time = pos * this.tech.duration();
         
-        this.video.currentTime = time;
+        this.tech.setCurrentTime(time);
         this.performance.seekEvents++;
     }
 
+    /**
+     * Get the position (0-1) of a pointer along the progress bar, which
+     * runs from right to left in right-to-left languages
+     */
+    getProgressPosition(clientX) {
+        const rect = this.progressBar.getBoundingClientRect();
+        const pos = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+        
+        return this.el.getAttribute('dir') === 'rtl' ? 1 - pos : pos;
+    }
+
     /**
      * Seek to specific time in seconds
      */
     setCurrentTime(time) {
-        if (this.video) {
-            this.video.currentTime = time;
+        // The seek bar is locked during ads
+        if (this.tech && !this.state.isAdPlaying) {
+            this.tech.setCurrentTime(time);
         }
     }
 
+    /**
+     * Get current time in seconds
+     */
+    getCurrentTime() {
+        return this.tech ? this.tech.currentTime() : 0;
+    }
+
+    /**
+     * Get duration in seconds
+     */
+    getDuration() {
+        return this.tech ? this.tech.duration() : 0;
+    }
+
+    /**
+     * Get buffered time ranges
+     */
+    getBuffered() {
+        return this.tech ? this.tech.buffered() : EMPTY_TIME_RANGES;
+    }
+
     /**
      * Seek to percentage
      */
     seekToPercent(percent) {
-        if (this.video && this.video.duration) {
-            this.video.currentTime = (percent / 100) * this.video.duration;
+        if (this.tech && this.tech.duration() && !this.state.isAdPlaying) {
+            this.tech.setCurrentTime((percent / 100) * this.tech.duration());
         }
     }
 
@@ -1692,8 +10339,8 @@ class LionPlayer {
      * Set volume
      */
     setVolume(value) {
-        if (this.video) {
-            this.video.volume = parseFloat(value);
+        if (this.tech) {
+            this.tech.setVolume(parseFloat(value));
             this.volumeSlider.value = value;
         }
     }
@@ -1702,8 +10349,8 @@ class LionPlayer {
      * Adjust volume by delta
      */
     adjustVolume(delta) {
-        if (this.video) {
-            const newVolume = Math.max(0, Math.min(1, this.video.volume + delta));
+        if (this.tech) {
+            const newVolume = Math.max(0, Math.min(1, this.tech.volume() + delta));
             this.setVolume(newVolume);
         }
     }
@@ -1712,8 +10359,8 @@ class LionPlayer {
      * Toggle mute
      */
     toggleMute() {
-        if (this.video) {
-            this.video.muted = !this.video.muted;
+        if (this.tech) {
+            this.tech.setMuted(!this.tech.muted());
         }
     }
 
@@ -1721,7 +10368,36 @@ class LionPlayer {
      * Toggle settings menu
      */
     toggleSettings() {
-        this.settingsMenu.classList.toggle('active');
+        if (this.settingsMenu.classList.contains('active')) {
+            this.closeSettings();
+            return;
+        }
+        
+        this.settingsMenu.classList.add('active');
+        this.settingsButton.setAttribute('aria-expanded', 'true');
+        
+        // The menu always opens on its main page, focused on its first item
+        delete this.settingsMenu.dataset.page;
+        this.showSettingsPage('main');
+        
+        const item = this.settingsMenu.querySelector('[tabindex="0"]');
+        if (item) {
+            item.focus();
+        }
+    }
+
+    /**
+     * Close the settings menu, returning focus to the settings button when asked
+     */
+    closeSettings(restoreFocus = false) {
+        if (!this.settingsMenu) return;
+        
+        this.settingsMenu.classList.remove('active');
+        this.settingsButton.setAttribute('aria-expanded', 'false');
+        
+        if (restoreFocus) {
+            this.settingsButton.focus();
+        }
     }
 
     /**
@@ -1733,10 +10409,10 @@ class LionPlayer {
         } else if (this.video && 'pictureInPictureEnabled' in document) {
             this.video.requestPictureInPicture().catch(error => {
                 console.error('Error entering Picture-in-Picture mode:', error);
-                this.showError('Picture-in-Picture is not supported');
+                this.showError(this.localize('pipUnsupported'));
             });
         } else {
-            this.showError('Picture-in-Picture is not supported in this browser');
+            this.showError(this.localize('pipUnsupportedBrowser'));
         }
     }
 
@@ -1744,12 +10420,30 @@ class LionPlayer {
      * Set playback rate
      */
     setPlaybackRate(rate) {
-        if (this.video) {
-            this.video.playbackRate = rate;
+        if (this.tech) {
+            this.tech.setPlaybackRate(rate);
             this.state.speed = rate;
         }
     }
 
+    /**
+     * Get the quality levels of the current source
+     */
+    getQualityLevels() {
+        return this.tech && this.tech.getQualityLevels ? this.tech.getQualityLevels() : [];
+    }
+
+    /**
+     * Set quality by level index, or 'auto' for adaptive bitrate
+     */
+    setQuality(quality) {
+        if (!this.tech || !this.tech.setQuality) return;
+        
+        this.state.quality = quality;
+        this.tech.setQuality(quality);
+        this.renderSettingsMenu();
+    }
+
     /**
      * Toggle fullscreen
      */
@@ -1797,15 +10491,33 @@ class LionPlayer {
      * Show time tooltip
      */
     showTimeTooltip(e) {
-        if (!this.video || !this.video.duration) return;
+        if (!this.getDuration()) return;
         
-        const rect = this.progressBar.getBoundingClientRect();
-        const pos = (e.clientX - rect.left) / rect.width;
-        const time = pos * this.video.duration;
+        this.updateTimeTooltip(this.getProgressPosition(e.clientX) * this.getDuration());
+    }
+
+    /**
+     * Point the time tooltip at a time, for the pointer or the keyboard
+     */
+    updateTimeTooltip(time) {
+        const duration = this.getDuration();
+        if (!duration || !isFinite(duration)) return;
         
         // Update tooltip content and position
         this.timeTooltip.innerHTML = this.formatTime(time);
-        this.timeTooltip.style.left = `${pos * 100}%`;
+        this.timeTooltip.style.left = `${(time / duration) * 100}%`;
+        
+        // Prefix the chapter title
+        const chapter = this.chapters && this.chapters[this.getChapterAt(time)];
+        if (chapter) {
+            const title = document.createElement('span');
+            title.className = 'lion-player-time-tooltip-chapter';
+            title.textContent = chapter.title;
+            this.timeTooltip.prepend(title);
+        }
+        
+        // Put the preview image above the title and time
+        this.updateThumbnail(time);
     }
 
     /**
@@ -1844,22 +10556,85 @@ class LionPlayer {
      * Update progress bar
      */
     updateProgressBar() {
-        if (this.progressFilled && this.video && this.video.duration) {
-            const percent = (this.video.currentTime / this.video.duration) * 100;
+        if (this.progressFilled && this.getDuration()) {
+            const percent = (this.getCurrentTime() / this.getDuration()) * 100;
             this.progressFilled.style.width = `${percent}%`;
             
             // Update progress handle position
             this.progressBar.style.setProperty('--progress-position', `${percent}%`);
         }
+        
+        this.updateProgressAria();
+    }
+
+    /**
+     * Describe the playback position to assistive technology, in whole
+     * seconds so screen readers aren't flooded during playback
+     */
+    updateProgressAria(force = false) {
+        if (!this.progressBar) return;
+        
+        const duration = this.getDuration();
+        const current = Math.floor(this.getCurrentTime() || 0);
+        const max = isFinite(duration) ? Math.floor(duration) : current;
+        
+        if (!force && this.progressBar.getAttribute('aria-valuenow') === String(current) &&
+            this.progressBar.getAttribute('aria-valuemax') === String(max)) return;
+        
+        this.progressBar.setAttribute('aria-valuemax', String(max));
+        this.progressBar.setAttribute('aria-valuenow', String(current));
+        this.progressBar.setAttribute('aria-valuetext', this.localize('progressTime', {
+            current: this.formatTime(current),
+            duration: this.formatTime(max)
+        }));
+        
+        // The tooltip shown on keyboard focus follows playback unless the pointer is on the bar
+        if (document.activeElement === this.progressBar && !this.progressBar.matches(':hover')) {
+            this.updateTimeTooltip(this.getCurrentTime());
+        }
+    }
+
+    /**
+     * Seek with the arrow, Page Up/Down, Home and End keys while the progress bar has focus
+     */
+    onProgressKeyDown(e) {
+        const duration = this.getDuration();
+        if (e.ctrlKey || e.altKey || e.metaKey || !isFinite(duration) || !duration) return;
+        
+        // The bar runs from right to left in right-to-left languages
+        const rtl = this.el.getAttribute('dir') === 'rtl';
+        const time = this.getCurrentTime();
+        const page = duration / 10;
+        const targets = {
+            ArrowLeft: rtl ? time + 5 : time - 5,
+            ArrowRight: rtl ? time - 5 : time + 5,
+            ArrowDown: time - 5,
+            ArrowUp: time + 5,
+            PageDown: time - page,
+            PageUp: time + page,
+            Home: 0,
+            End: duration
+        };
+        
+        if (!(e.key in targets)) return;
+        
+        // Handled here instead of by the arrow key shortcuts
+        e.preventDefault();
+        const target = Math.max(0, Math.min(duration, targets[e.key]));
+        this.setCurrentTime(target);
+        this.updateProgressBar();
+        this.updateTimeTooltip(target);
     }
 
     /**
      * Update buffered bar
      */
     updateBufferedBar() {
-        if (this.progressBuffered && this.video && this.video.buffered.length > 0) {
-            const bufferedEnd = this.video.buffered.end(this.video.buffered.length - 1);
-            const duration = this.video.duration;
+        const buffered = this.getBuffered();
+        
+        if (this.progressBuffered && buffered.length > 0) {
+            const bufferedEnd = buffered.end(buffered.length - 1);
+            const duration = this.getDuration();
             if (duration > 0) {
                 const percent = (bufferedEnd / duration) * 100;
                 this.progressBuffered.style.width = `${percent}%`;
@@ -1885,6 +10660,7 @@ class LionPlayer {
         const svg = this.createSVGIcon(iconType);
         this.volumeButton.innerHTML = '';
         this.volumeButton.appendChild(svg);
+        this.volumeButton.setAttribute('aria-label', this.localize(this.video.muted ? 'unmute' : 'mute'));
     }
 
     /**
@@ -1899,6 +10675,7 @@ class LionPlayer {
         const svg = this.createSVGIcon(iconType);
         this.fullscreenButton.innerHTML = '';
         this.fullscreenButton.appendChild(svg);
+        this.fullscreenButton.setAttribute('aria-label', this.localize(this.state.isFullscreen ? 'exitFullscreen' : 'fullscreen'));
     }
 
     /**
@@ -1913,6 +10690,7 @@ class LionPlayer {
         const svg = this.createSVGIcon(iconType);
         this.playButton.innerHTML = '';
         this.playButton.appendChild(svg);
+        this.playButton.setAttribute('aria-label', this.localize(this.state.isPlaying ? 'pause' : 'play'));
     }
 
     /**
@@ -1924,11 +10702,11 @@ class LionPlayer {
             this.loadingSpinner.style.display = 'flex';
             
             if (state === 'seeking') {
-                this.updateLoadingText('Seeking...');
+                this.updateLoadingText('seeking');
             } else if (state === 'buffering') {
-                this.updateLoadingText('Buffering...');
+                this.updateLoadingText('buffering');
             } else {
-                this.updateLoadingText('Loading...');
+                this.updateLoadingText('loading');
             }
         }
     }
@@ -1943,21 +10721,25 @@ class LionPlayer {
     }
 
     /**
-     * Update loading text and percentage
+     * Update loading text (a language key) and percentage
      */
-    updateLoadingText(status) {
+    updateLoadingText(status = this.loadingStatus) {
+        this.loadingStatus = status;
+        
         const loadingText = this.loadingSpinner.querySelector('.lion-player-loading-text');
         const percentageElement = loadingText.querySelector('.loading-percentage');
         const statusElement = loadingText.querySelector('.loading-status');
         
-        if (this.video && this.video.duration) {
-            const percent = Math.round((this.video.buffered.end(this.video.buffered.length - 1) / this.video.duration) * 100);
+        const buffered = this.getBuffered();
+        
+        if (this.getDuration() && buffered.length) {
+            const percent = Math.round((buffered.end(buffered.length - 1) / this.getDuration()) * 100);
             percentageElement.textContent = `${percent}%`;
         } else {
             percentageElement.textContent = '0%';
         }
         
-        statusElement.textContent = status;
+        statusElement.textContent = this.localize(status);
     }
 
     /**
@@ -2008,14 +10790,16 @@ class LionPlayer {
      * Update player state
      */
     updateState() {
-        this.state.currentTime = this.video ? this.video.currentTime : 0;
-        this.state.duration = this.video ? this.video.duration : 0;
-        this.state.volume = this.video ? this.video.volume : 1;
-        this.state.playbackRate = this.video ? this.video.playbackRate : 1;
+        const buffered = this.getBuffered();
+        
+        this.state.currentTime = this.getCurrentTime();
+        this.state.duration = this.getDuration();
+        this.state.volume = this.tech ? this.tech.volume() : 1;
+        this.state.playbackRate = this.tech ? this.tech.playbackRate() : 1;
         this.state.buffered = 0;
         
-        if (this.video && this.video.buffered.length > 0) {
-            this.state.buffered = this.video.buffered.end(this.video.buffered.length - 1);
+        if (buffered.length > 0) {
+            this.state.buffered = buffered.end(buffered.length - 1);
         }
         
         this.state.networkState = this.video ? this.video.networkState : 0;
@@ -2073,9 +10857,39 @@ class LionPlayer {
      * Destroy player
      */
     destroy() {
-        // Pause video
-        if (this.video) {
-            this.video.pause();
+        // Let plugins clean up first
+        this.callPluginHook('onDestroy');
+        this.plugins = {};
+        
+        // Silence audio description and release the interpreter video before the tech goes
+        this.pausedForDescription = false;
+        this.stopAudioDescription();
+        
+        if (this.signLanguageVideo) {
+            this.signLanguageVideo.pause();
+            this.signLanguageVideo.removeAttribute('src');
+            this.signLanguageVideo.load();
+        }
+        
+        // Pause video and release the tech
+        if (this.tech) {
+            this.tech.pause();
+            this.tech.dispose();
+            this.tech = null;
+        }
+        
+        // Release the thumbnail capture video, end screen countdown, zoom and ads
+        this.resetThumbnails();
+        this.hideEndScreen();
+        this.resetZoom();
+        
+        if (this.ads) {
+            this.ads.dispose();
+        }
+        
+        // Send the last analytics report
+        if (this.analytics) {
+            this.analytics.dispose();
         }
         
         // Clear intervals
@@ -2089,10 +10903,19 @@ class LionPlayer {
         
         // Remove event listeners
         this.eventListeners = {};
+        document.removeEventListener('keydown', this.onShortcutKeyDown);
+        document.removeEventListener('keydown', this.onActivityKeyDown);
+        FULLSCREEN_EVENTS.forEach(event => document.removeEventListener(event, this.onDocumentFullscreenChange));
+        
+        (this.themeQueries || []).forEach(({ query, onChange }) => query.removeEventListener('change', onChange));
+        
+        if (activePlayer === this) {
+            activePlayer = null;
+        }
         
         // Clear DOM
         this.el.innerHTML = '';
-        this.el.classList.remove('lion-player', 'controls-visible', 'lion-player-playing');
+        this.el.classList.remove('lion-player', 'controls-visible', 'lion-player-playing', 'lion-player-captions-top');
         
         // Remove references
         this.video = null;
@@ -2106,13 +10929,13 @@ class LionPlayer {
     // Event handlers
     onLoadStart() {
         this.showLoading('loading');
-        this.updateLoadingText('Loading...');
+        this.updateLoadingText('loading');
         this.updateState();
         this.trigger(EVENTS.LOADDATA);
     }
 
     onLoadedData() {
-        this.updateLoadingText('Processing...');
+        this.updateLoadingText('processing');
         this.updateState();
         this.trigger(EVENTS.LOADDATA);
     }
@@ -2134,6 +10957,9 @@ class LionPlayer {
         this.state.isPaused = false;
         this.state.isEnded = false;
         this.hideBigPlayButton();
+        
+        // Playback moving on stops the countdown without counting as the viewer cancelling it
+        this.hideEndScreen();
         this.updatePlayButton();
         this.updateState();
         this.trigger(EVENTS.PLAY);
@@ -2149,6 +10975,9 @@ class LionPlayer {
     }
 
     onEnded() {
+        // A postroll plays before the video counts as ended
+        if (this.ads && this.ads.onContentEnded()) return;
+        
         this.state.isPlaying = false;
         this.state.isPaused = true;
         this.state.isEnded = true;
@@ -2156,9 +10985,20 @@ class LionPlayer {
         this.updatePlayButton();
         this.updateState();
         this.trigger(EVENTS.ENDED);
+        
+        // A finished video starts from the beginning next time
+        this.clearSavedPosition();
+        
+        // Offer what to watch next, moving on through the playlist
+        if (this.playlist) {
+            this.showEndScreen(this.playlist.onEnded());
+        }
     }
 
     onSeeking() {
+        // Seeking back into the video means the viewer is staying
+        this.hideEndScreen();
+        
         this.state.isSeeking = true;
         this.showLoading('seeking');
         this.updateState();
@@ -2175,6 +11015,7 @@ class LionPlayer {
     onTimeUpdate() {
         this.updateState();
         this.updateProgressBar();
+        this.updateChapter();
         this.updateTimeDisplay();
         this.trigger(EVENTS.TIMEUPDATE);
     }
@@ -2182,7 +11023,7 @@ class LionPlayer {
     onProgress() {
         this.updateBufferedBar();
         this.updateBufferSegments();
-        this.updateLoadingText('Buffering...');
+        this.updateLoadingText('buffering');
         this.updateState();
         this.trigger(EVENTS.PROGRESS);
     }
@@ -2211,16 +11052,41 @@ class LionPlayer {
     }
 
     onError(e) {
+        // Loading the next source clears the media error, so a late event belongs to a source already left
+        if (this.sources && !this.video.error) return;
+        
+        if (this.fallbackToNextSource(this.video.error)) return;
+        
         const message = this.video.error ? 
-            `Error ${this.video.error.code}: ${this.video.error.message}` : 
-            'Unknown error occurred';
+            this.localize('errorMedia', { code: this.video.error.code, message: this.video.error.message }) : 
+            this.localize('errorUnknown');
         
         this.showError(message);
         this.updateState();
         this.trigger(EVENTS.ERROR, e);
     }
 
+    onQualityLevelsLoaded() {
+        this.renderSettingsMenu();
+    }
+
+    onQualityChange(data) {
+        this.renderSettingsMenu();
+        this.trigger(EVENTS.QUALITYCHANGE, data);
+    }
+
+    onTechError(error) {
+        if (this.fallbackToNextSource(error)) return;
+        
+        this.showError(error.message);
+        this.updateState();
+        this.trigger(EVENTS.ERROR, error);
+    }
+
     onFullscreenChange() {
+        // A destroyed player has no video left to lay out
+        if (!this.video) return;
+        
         this.state.isFullscreen = !!(
             document.fullscreenElement ||
             document.webkitFullscreenElement ||
@@ -2229,10 +11095,22 @@ class LionPlayer {
         );
         
         this.updateFullscreenIcon();
+        this.updateSignLanguageLayout();
+        this.renderCues();
+        
+        // The view changed size, so the zoomed frame may need to move back into it
+        if (this.state.zoom > 1) {
+            this.setPan(this.state.panX, this.state.panY);
+        }
         this.trigger(EVENTS.FULLSCREENCHANGE);
     }
 }
 
+// Register built-in techs
+LionPlayer.registerTech('html5', Html5Tech);
+LionPlayer.registerTech('hls', HlsTech);
+LionPlayer.registerTech('dash', DashTech);
+
 // Export for ES6 modules
 export { LionPlayer };
 